@@ -0,0 +1,51 @@
+// admin/adminClient.js
+// 명령줄 도구에서 실행 중인 크롤러의 관리 API(adminServer.js)를 호출합니다.
+// 관리 API 주소는 --url, ADMIN_URL, http://127.0.0.1:{ADMIN_PORT} 순으로 정합니다.
+const axios = require('axios');
+
+/**
+ * 관리 API 주소
+ * @param {string} url 명령줄에서 지정한 주소 (선택적)
+ * @returns {string} 끝의 /를 뺀 주소
+ */
+const resolveAdminUrl = (url = null) =>
+  (url || process.env.ADMIN_URL || `http://127.0.0.1:${process.env.ADMIN_PORT || 4025}`).replace(/\/+$/, '');
+
+/**
+ * 관리 API 호출
+ * 오류 응답은 상태 코드와 오류 코드를 담은 메시지로 바꿔 던집니다.
+ * @param {Object} options 옵션
+ * @param {string} options.method HTTP 메서드
+ * @param {string} options.path 요청 경로 (예: /admin/bookings)
+ * @param {string} options.storeId 매장 ID (선택적, ?store=)
+ * @param {string} options.url 관리 API 주소 (선택적, resolveAdminUrl 참고)
+ * @param {string} options.token Bearer 토큰 (기본 ADMIN_TOKEN)
+ * @param {number} options.timeoutMs 요청 제한 시간
+ * @returns {Promise<any>} 응답 본문
+ */
+const requestAdmin = async ({ method, path, storeId = null, url = null, token = process.env.ADMIN_TOKEN || null, timeoutMs = 30000 }) => {
+  try {
+    const response = await axios.request({
+      method,
+      url: `${resolveAdminUrl(url)}${path}`,
+      params: storeId ? { store: storeId } : undefined,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      },
+      timeout: timeoutMs
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      const { error: code, message } = error.response.data || {};
+      throw new Error(`${error.response.status} ${code || ''} ${message || ''}`.trim());
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  requestAdmin,
+  resolveAdminUrl
+};
@@ -0,0 +1,142 @@
+// admin/adminServer.js
+// 관리 명령(adminService.js)을 로컬 HTTP API로 제공합니다.
+// 매장이 여러 개면 ?store={id}로 매장을 지정합니다.
+// 브라우저의 교차 출처 요청(웹 페이지가 127.0.0.1로 보내는 POST 등)은 Origin 헤더와 Content-Type으로 거부합니다.
+const http = require('http');
+const { AdminService, AdminError } = require('./adminService');
+const { ConfigError } = require('../config');
+const logger = require('../utils/logger');
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+// [메서드, 경로 패턴, 처리 함수(admin, storeId, params)]
+const ROUTES = [
+  ['GET', /^\/admin\/stores$/, (admin) => admin.listStores()],
+  ['GET', /^\/admin\/bookings$/, (admin, storeId) => admin.listBookings(storeId)],
+  ['GET', /^\/admin\/bookings\/([^/]+)$/, (admin, storeId, [bookId]) => admin.getBooking(storeId, bookId)],
+  ['GET', /^\/admin\/held$/, (admin, storeId) => admin.listHeld(storeId)],
+  ['GET', /^\/admin\/conflicts$/, (admin, storeId) => admin.listConflicts(storeId)],
+  ['GET', /^\/admin\/bookings\/([^/]+)\/payment$/, (admin, storeId, [bookId]) => admin.getPayment(storeId, bookId)],
+  ['POST', /^\/admin\/bookings\/([^/]+)\/resync$/, (admin, storeId, [bookId]) => admin.resync(storeId, bookId)],
+  ['POST', /^\/admin\/bookings\/([^/]+)\/create$/, (admin, storeId, [bookId]) => admin.create(storeId, bookId)],
+  ['POST', /^\/admin\/bookings\/([^/]+)\/cancel$/, (admin, storeId, [bookId]) => admin.cancel(storeId, bookId)],
+  ['POST', /^\/admin\/refresh$/, (admin, storeId) => admin.refresh(storeId)],
+  ['GET', /^\/admin\/reconcile$/, (admin, storeId) => admin.reconcile(storeId)],
+  ['POST', /^\/admin\/reconcile$/, (admin, storeId) => admin.reconcile(storeId, { repair: true })]
+];
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * 요청에 맞는 경로 찾기
+ * @param {string} method HTTP 메서드
+ * @param {string} pathname 요청 경로
+ * @returns {Object|null} {handler, params}
+ */
+const matchRoute = (method, pathname) => {
+  for (const [routeMethod, pattern, handler] of ROUTES) {
+    const match = pathname.match(pattern);
+    if (match && routeMethod === method) {
+      return { handler, params: match.slice(1).map(decodeURIComponent) };
+    }
+  }
+  return null;
+};
+
+/**
+ * 브라우저에서 보낸 요청 거부
+ * 명령줄 도구는 Origin 헤더를 보내지 않으며, 상태를 바꾸는 요청에는 Content-Type: application/json을 붙입니다.
+ * (브라우저는 교차 출처 요청에 Origin을 붙이고, 사전 요청 없이는 JSON Content-Type을 보낼 수 없음)
+ * @param {Object} req HTTP 요청
+ * @throws {AdminError}
+ */
+const rejectBrowserRequest = (req) => {
+  if (req.headers.origin) {
+    throw new AdminError(403, 'ORIGIN_NOT_ALLOWED', 'Admin API does not accept browser requests');
+  }
+  if (req.method !== 'GET' && !/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    throw new AdminError(415, 'JSON_REQUIRED', 'Requests that change state must use Content-Type: application/json');
+  }
+};
+
+/**
+ * 관리 API 서버 생성
+ * @param {StoreRouter} router 매장 라우터
+ * @param {Object} options 옵션
+ * @param {string} options.token 요구할 Bearer 토큰 (없으면 인증 검사 안 함)
+ * @returns {Object} {admin, server, listen(port, host), close()}
+ */
+const createAdminServer = (router, { token = null } = {}) => {
+  const admin = new AdminService(router);
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    try {
+      rejectBrowserRequest(req);
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        throw new AdminError(401, 'UNAUTHORIZED');
+      }
+
+      const route = matchRoute(req.method, pathname);
+      if (!route) {
+        throw new AdminError(404, 'NOT_FOUND');
+      }
+
+      const storeId = searchParams.get('store');
+      if (req.method !== 'GET') {
+        logger.info(`[admin] ${req.method} ${pathname}${storeId ? ` (store ${storeId})` : ''}`);
+      }
+      return sendJson(res, 200, await route.handler(admin, storeId, route.params));
+    } catch (error) {
+      const status = error.status || 500;
+      if (status >= 500) {
+        logger.error(`[admin] ${req.method} ${pathname} failed: ${error.message}`, error);
+      }
+      return sendJson(res, status, { error: error.code || 'INTERNAL_ERROR', message: error.message });
+    }
+  });
+
+  return {
+    admin,
+    server,
+    listen: (port = 0, host = '127.0.0.1') => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve(server.address());
+      });
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * 설정(admin.port)이 있으면 관리 API 서버 시작
+ * 서버 소켓은 프로세스 종료를 막지 않습니다.
+ * @param {StoreRouter} router 매장 라우터
+ * @param {Object} config 전체 설정 객체
+ * @returns {Promise<Object|null>} 시작한 서버 (설정이 없으면 null)
+ * @throws {ConfigError} 루프백이 아닌 주소에 ADMIN_TOKEN 없이 열려는 경우
+ */
+const startAdminServer = async (router, config) => {
+  if (config.admin.port === null) return null;
+
+  if (!config.admin.token && !LOOPBACK_HOSTS.includes(config.admin.host)) {
+    throw new ConfigError([`ADMIN_TOKEN is required to expose the admin API on ${config.admin.host}`]);
+  }
+
+  const adminServer = createAdminServer(router, { token: config.admin.token });
+  const address = await adminServer.listen(config.admin.port, config.admin.host);
+  adminServer.server.unref();
+  logger.info(`Admin API listening on http://${address.address}:${address.port}/admin`);
+  return adminServer;
+};
+
+module.exports = {
+  createAdminServer,
+  startAdminServer
+};
@@ -0,0 +1,197 @@
+// admin/adminService.js
+// 실행 중인 크롤러의 동기화 상태를 조회하고 조정하는 관리 명령입니다.
+// adminServer.js가 HTTP로, cli/admin.js가 명령줄로 이 명령들을 제공합니다.
+const { extractPaymentInfo } = require('../utils/bookingHelpers');
+const { findBookingById } = require('../utils/cacheHelpers');
+const ReconcileService = require('../services/reconcileService');
+
+class AdminError extends Error {
+  constructor(status, code, message = code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class AdminService {
+  /**
+   * @param {StoreRouter} router 매장 라우터
+   */
+  constructor(router) {
+    this.router = router;
+  }
+
+  /**
+   * 매장 목록
+   * @returns {Array<Object>} [{storeId, name}]
+   */
+  listStores() {
+    return [...this.router.contexts.values()].map(context => ({ storeId: context.storeId, name: context.name }));
+  }
+
+  /**
+   * 처리한 예약 목록 (처리 기록과 마지막 전송 데이터)
+   * @param {string} storeId 매장 ID (매장이 하나면 생략 가능)
+   * @returns {Array<Object>} [{bookId, processed, claims, lastSent, held, review}]
+   */
+  listBookings(storeId) {
+    const context = this._getContext(storeId);
+    const bookIds = new Set([
+      ...context.maps.processedBookings,
+      ...context.bookingService.idempotency.listBookIds(),
+      ...context.maps.sentBookings.keys()
+    ]);
+    return [...bookIds].map(bookId => this._describeBooking(context, bookId));
+  }
+
+  /**
+   * 룸 매핑이 없어 보류 중인 예약 목록
+   * @param {string} storeId 매장 ID
+   * @returns {Array<Object>} [{bookId, action, status, kimcaddyRoomId, source, payload, heldAt, updatedAt}]
+   */
+  listHeld(storeId) {
+    return this._getContext(storeId).bookingService.heldBookings.list();
+  }
+
+  /**
+   * 같은 룸 예약과 겹치거나 시간이 잘못되어 검토를 기다리는 예약 목록
+   * @param {string} storeId 매장 ID
+   * @returns {Array<Object>} [{bookId, conflicts, source, payload, detectedAt, updatedAt}]
+   */
+  listConflicts(storeId) {
+    return this._getContext(storeId).bookingService.conflictReview.list();
+  }
+
+  /**
+   * 예약 하나의 처리 기록과 마지막 전송 데이터
+   * @param {string} storeId 매장 ID
+   * @param {string} bookId 예약 ID
+   * @returns {Object} {bookId, processed, claims, lastSent, held, review, inBookingList}
+   */
+  getBooking(storeId, bookId) {
+    const context = this._getContext(storeId);
+    return {
+      ...this._describeBooking(context, bookId),
+      inBookingList: Boolean(findBookingById(bookId, context.bookingDataCache))
+    };
+  }
+
+  /**
+   * 예약의 결제 상태
+   * @param {string} storeId 매장 ID
+   * @param {string} bookId 예약 ID
+   * @returns {Object} {bookId, amount, finished, totals, payments, bookingList}
+   */
+  getPayment(storeId, bookId) {
+    const context = this._getContext(storeId);
+    const booking = findBookingById(bookId, context.bookingDataCache);
+    const ledger = context.bookingService.paymentLedger;
+
+    return {
+      bookId,
+      amount: context.maps.paymentAmounts.get(bookId) ?? null,
+      finished: context.maps.paymentStatus.get(bookId) ?? null,
+      totals: ledger.getTotals(bookId),
+      payments: ledger.getPayments(bookId),
+      bookingList: booking ? extractPaymentInfo(booking) : null
+    };
+  }
+
+  /**
+   * 처리 기록을 지워 다음 예약 목록에서 다시 동기화
+   * @param {string} storeId 매장 ID
+   * @param {string} bookId 예약 ID
+   * @returns {Object} {bookId, removed}
+   */
+  resync(storeId, bookId) {
+    const context = this._getContext(storeId);
+    return { bookId, removed: context.bookingService.forgetBooking(bookId) };
+  }
+
+  /**
+   * 캐시를 무시하고 예약 목록 다시 조회
+   * @param {string} storeId 매장 ID
+   * @returns {Promise<Object>} {storeId, bookings}
+   */
+  async refresh(storeId) {
+    const context = this._getContext(storeId);
+    const data = await context.bookingService.refreshBookings();
+    if (!data) {
+      throw new AdminError(502, 'REFRESH_FAILED', `Failed to fetch booking list for store ${context.storeId}`);
+    }
+    return { storeId: context.storeId, bookings: data.results.length };
+  }
+
+  /**
+   * 예약 목록의 예약으로 Booking_Create 전송
+   * @param {string} storeId 매장 ID
+   * @param {string} bookId 예약 ID
+   * @returns {Promise<Object>} {bookId, bookingData, outcome}
+   */
+  async create(storeId, bookId) {
+    const context = this._getContext(storeId);
+    const created = await context.bookingService.createFromBookingList(bookId);
+    if (!created) {
+      throw new AdminError(404, 'BOOKING_NOT_FOUND', `Booking ${bookId} not found in booking list`);
+    }
+    return { bookId, ...created };
+  }
+
+  /**
+   * Booking_Cancel 전송
+   * @param {string} storeId 매장 ID
+   * @param {string} bookId 예약 ID
+   * @returns {Promise<Object>} 전송 후 처리 기록
+   */
+  async cancel(storeId, bookId) {
+    const context = this._getContext(storeId);
+    await context.bookingService.cancel(bookId);
+    return this._describeBooking(context, bookId);
+  }
+
+  /**
+   * 김캐디 전체 예약 목록과 24골프 전송 기록 비교
+   * 크롤러 프로세스의 상태로 실행하므로 복구 결과가 실행 중인 상태와 저장 파일에 함께 반영됩니다.
+   * 복구는 매장의 BookingService와 재시도 큐로 보내므로 동기화 중인 전송과 겹치지 않습니다.
+   * @param {string} storeId 매장 ID
+   * @param {Object} options 옵션
+   * @param {boolean} options.repair 차이가 있는 예약을 복구할지 여부
+   * @returns {Promise<Object>} ReconcileService 보고서
+   */
+  async reconcile(storeId, { repair = false } = {}) {
+    const context = this._getContext(storeId);
+    const service = new ReconcileService(context.maps, null, context.config, { bookingService: context.bookingService });
+    return service.reconcile({ repair });
+  }
+
+  _describeBooking(context, bookId) {
+    return {
+      bookId,
+      processed: context.maps.processedBookings.has(bookId),
+      claims: context.bookingService.idempotency.getClaims(bookId),
+      lastSent: context.maps.sentBookings.get(bookId) || null,
+      held: context.bookingService.heldBookings.get(bookId),
+      review: context.bookingService.conflictReview.get(bookId)
+    };
+  }
+
+  _getContext(storeId) {
+    if (!storeId) {
+      if (this.router.contexts.size === 1) {
+        return this.router.contexts.values().next().value;
+      }
+      throw new AdminError(400, 'STORE_REQUIRED', 'store is required when several stores are configured');
+    }
+
+    const context = this.router.getContext(storeId);
+    if (!context) {
+      throw new AdminError(404, 'STORE_NOT_FOUND', `Unknown store ${storeId}`);
+    }
+    return context;
+  }
+}
+
+module.exports = {
+  AdminService,
+  AdminError
+};
@@ -0,0 +1,125 @@
+// calendar/calendarServer.js
+// 매장별 룸 일정 iCalendar 피드를 제공하는 HTTP 서버입니다. (휴대전화 캘린더 앱에서 구독)
+// 캘린더 앱은 헤더를 보낼 수 없으므로 토큰은 ?token= 쿼리로 받습니다.
+const http = require('http');
+const crypto = require('crypto');
+const { getCalendarFeed } = require('../services/calendarFeed');
+const logger = require('../utils/logger');
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const feedFor = (context) => getCalendarFeed(context.maps, { config: context.config });
+
+/**
+ * 매장 라우터의 모든 피드 목록
+ * @param {StoreRouter} router 매장 라우터
+ * @returns {Array<Object>} [{storeId, roomId, name, path}] (roomId가 null이면 매장 전체)
+ */
+const listFeeds = (router) => [...router.contexts.values()].flatMap(context => [
+  { storeId: context.storeId, roomId: null, name: context.name, path: `/calendars/${encodeURIComponent(context.storeId)}.ics` },
+  ...feedFor(context).listRooms().map(room => ({
+    storeId: context.storeId,
+    roomId: room.roomId,
+    name: room.name || room.roomId,
+    path: `/calendars/${encodeURIComponent(context.storeId)}/${encodeURIComponent(room.roomId)}.ics`
+  }))
+]);
+
+/**
+ * 일정 피드 서버 생성
+ * GET /calendars: 피드 목록 (JSON)
+ * GET /calendars/{storeId}.ics: 매장의 모든 룸
+ * GET /calendars/{storeId}/{roomId}.ics: 24골프 룸 하나
+ * @param {StoreRouter} router 매장 라우터
+ * @param {Object} options 옵션
+ * @param {string} options.token 요구할 토큰 (?token=, 없으면 인증 검사 안 함)
+ * @returns {Object} {server, listen(port, host), close()}
+ */
+const createCalendarServer = (router, { token = null } = {}) => {
+  const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (token && searchParams.get('token') !== token) {
+        return sendJson(res, 401, { error: 'UNAUTHORIZED' });
+      }
+      if (req.method !== 'GET') {
+        return sendJson(res, 405, { error: 'METHOD_NOT_ALLOWED' });
+      }
+      if (pathname === '/calendars') {
+        return sendJson(res, 200, listFeeds(router));
+      }
+
+      const match = pathname.match(/^\/calendars\/([^/]+?)(?:\/([^/]+?))?\.ics$/);
+      const context = match && router.getContext(decodeURIComponent(match[1]));
+      if (!context) {
+        return sendJson(res, 404, { error: 'NOT_FOUND' });
+      }
+
+      const feed = feedFor(context);
+      const roomId = match[2] ? decodeURIComponent(match[2]) : null;
+      const room = roomId === null ? null : feed.listRooms().find(item => item.roomId === roomId);
+      if (roomId !== null && !room) {
+        return sendJson(res, 404, { error: 'NOT_FOUND' });
+      }
+
+      const body = feed.render({ roomId, name: room ? `${context.name} ${room.name || room.roomId}` : context.name });
+      const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        return res.end();
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${roomId === null ? 'all' : encodeURIComponent(roomId)}.ics"`,
+        'Cache-Control': 'no-cache',
+        ETag: etag
+      });
+      return res.end(body);
+    } catch (error) {
+      logger.error(`Calendar server failed to handle ${req.method} ${pathname}: ${error.message}`, error);
+      return sendJson(res, 500, { error: 'INTERNAL_ERROR' });
+    }
+  });
+
+  return {
+    server,
+    listen: (port = 0, host = '127.0.0.1') => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve(server.address());
+      });
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * 설정(calendar.port)이 있으면 일정 피드 서버 시작
+ * 서버 소켓은 프로세스 종료를 막지 않습니다.
+ * @param {StoreRouter} router 매장 라우터
+ * @param {Object} config 전체 설정 객체
+ * @returns {Promise<Object|null>} 시작한 서버 (설정이 없으면 null)
+ */
+const startCalendarServer = async (router, config) => {
+  if (config.calendar.port === null) return null;
+
+  const calendar = createCalendarServer(router, { token: config.calendar.token });
+  const address = await calendar.listen(config.calendar.port, config.calendar.host);
+  calendar.server.unref();
+  logger.info(`Calendar server listening on http://${address.address}:${address.port}/calendars`);
+  if (!config.calendar.token && config.calendar.host !== '127.0.0.1') {
+    logger.warn('Calendar feeds are served without a token (set CALENDAR_TOKEN)');
+  }
+  return calendar;
+};
+
+module.exports = {
+  createCalendarServer,
+  startCalendarServer
+};
@@ -0,0 +1,131 @@
+// calendar/ics.js
+// RFC 5545 iCalendar(.ics) 문서를 만듭니다.
+// 줄 끝은 CRLF이며, 75바이트를 넘는 줄은 접고(folding) 텍스트 값의 특수 문자는 이스케이프합니다.
+
+const PRODUCT_ID = '-//KimCaddie Sync//Bay Schedule//KO';
+const MAX_LINE_BYTES = 75;
+
+// 이벤트 상태
+const EVENT_STATUS = {
+  CONFIRMED: 'CONFIRMED',
+  CANCELLED: 'CANCELLED'
+};
+
+/**
+ * 시각을 UTC 날짜-시간 값으로 변환 (예: 20261020T010000Z)
+ * @param {string|number|Date} value 시각
+ * @returns {string|null} 읽을 수 없으면 null
+ */
+const formatDateTime = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * TEXT 값 이스케이프 (백슬래시, 세미콜론, 쉼표, 줄바꿈)
+ * @param {any} value 값
+ * @returns {string}
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * 75바이트(UTF-8)를 넘는 줄 접기 (이어지는 줄은 공백 하나로 시작)
+ * 여러 바이트 문자는 중간에서 나누지 않습니다.
+ * @param {string} line 내용 줄
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_BYTES : MAX_LINE_BYTES - 1;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * VEVENT 줄 목록
+ * 시작 시각을 읽을 수 없는 이벤트는 빈 배열이며, 종료 시각이 시작보다 늦을 때만 DTEND를 넣습니다.
+ * @param {Object} event 이벤트
+ * @param {string} event.uid 고유 ID
+ * @param {string} event.start 시작 시각
+ * @param {string} event.end 종료 시각
+ * @param {string} event.summary 제목
+ * @param {string} event.description 설명
+ * @param {string} event.location 장소
+ * @param {string} event.status EVENT_STATUS 값
+ * @param {number} event.sequence 변경 횟수
+ * @param {number} event.updatedAt 마지막 변경 시각
+ * @returns {Array<string>}
+ */
+const eventLines = (event) => {
+  const start = formatDateTime(event.start);
+  if (!start) return [];
+  const end = formatDateTime(event.end);
+  const stamp = formatDateTime(event.updatedAt || Date.now());
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `LAST-MODIFIED:${stamp}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTART:${start}`
+  ];
+  if (end && end > start) lines.push(`DTEND:${end}`);
+  lines.push(`STATUS:${event.status || EVENT_STATUS.CONFIRMED}`);
+  if (event.summary) lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * iCalendar 문서 생성
+ * @param {Object} calendar 캘린더
+ * @param {string} calendar.name 캘린더 이름 (X-WR-CALNAME)
+ * @param {Array<Object>} calendar.events 이벤트 목록 (eventLines 참고)
+ * @param {number} calendar.refreshMinutes 구독 앱에 권장할 새로 고침 간격
+ * @returns {string} CRLF로 끝나는 .ics 본문
+ */
+const buildCalendar = ({ name, events = [], refreshMinutes = 5 }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-WR-TIMEZONE:Asia/Seoul',
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+    `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+    ...events.flatMap(eventLines),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  EVENT_STATUS,
+  buildCalendar,
+  escapeText,
+  foldLine,
+  formatDateTime
+};
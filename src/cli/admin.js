@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// cli/admin.js
+// 실행 중인 크롤러의 관리 API(admin/adminServer.js)를 호출하는 명령입니다.
+// 사용법: node src/cli/admin.js <command> [bookId] [--store <storeId>] [--url <adminUrl>] [--token <token>]
+// 관리 API 주소는 --url, ADMIN_URL, http://127.0.0.1:{ADMIN_PORT} 순으로 정합니다.
+const { requestAdmin } = require('../admin/adminClient');
+
+// 명령: [HTTP 메서드, 경로, 예약 ID 필요 여부]
+const COMMANDS = {
+  stores: ['GET', () => '/admin/stores', false],
+  bookings: ['GET', () => '/admin/bookings', false],
+  booking: ['GET', (bookId) => `/admin/bookings/${encodeURIComponent(bookId)}`, true],
+  held: ['GET', () => '/admin/held', false],
+  conflicts: ['GET', () => '/admin/conflicts', false],
+  payment: ['GET', (bookId) => `/admin/bookings/${encodeURIComponent(bookId)}/payment`, true],
+  resync: ['POST', (bookId) => `/admin/bookings/${encodeURIComponent(bookId)}/resync`, true],
+  create: ['POST', (bookId) => `/admin/bookings/${encodeURIComponent(bookId)}/create`, true],
+  cancel: ['POST', (bookId) => `/admin/bookings/${encodeURIComponent(bookId)}/cancel`, true],
+  refresh: ['POST', () => '/admin/refresh', false],
+  reconcile: ['GET', () => '/admin/reconcile', false],
+  repair: ['POST', () => '/admin/reconcile', false]
+};
+
+const USAGE = `Usage: node src/cli/admin.js <${Object.keys(COMMANDS).join('|')}> [bookId] [--store <storeId>] [--url <adminUrl>] [--token <token>]`;
+
+const getOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : null;
+};
+
+// 옵션과 옵션 값을 뺀 위치 인자
+const getPositionals = (args) => args.filter((arg, index) => !arg.startsWith('--') && !args[index - 1]?.startsWith('--'));
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const [commandName, bookId] = getPositionals(args);
+  const command = COMMANDS[commandName];
+  if (!command) {
+    throw new Error(USAGE);
+  }
+
+  const [method, buildPath, needsBookId] = command;
+  if (needsBookId && !bookId) {
+    throw new Error(`${commandName} needs a bookId\n${USAGE}`);
+  }
+
+  const data = await requestAdmin({
+    method,
+    path: buildPath(bookId),
+    storeId: getOption(args, '--store'),
+    url: getOption(args, '--url'),
+    token: getOption(args, '--token') || process.env.ADMIN_TOKEN || null,
+    // 정합성 점검은 김캐디 전체 예약 목록을 조회하므로 오래 걸릴 수 있음
+    timeoutMs: commandName === 'reconcile' || commandName === 'repair' ? 300000 : 30000
+  });
+  console.log(JSON.stringify(data, null, 2));
+};
+
+main().catch((error) => {
+  console.error(`[ERROR] Admin command failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// cli/auditDiff.js
+// 운영 인스턴스와 섀도(드라이런) 인스턴스의 24골프 감사 기록을 비교하는 명령입니다.
+// 사용법: node src/cli/auditDiff.js <live-audit.jsonl> <shadow-audit.jsonl> [--json]
+const { readAuditLog, compareAuditLogs } = require('../utils/auditLog');
+
+const formatRecord = (record) => `${record.action} ${record.externalId} ${JSON.stringify(record.data || record.params)}`;
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const [livePath, shadowPath] = args.filter(arg => !arg.startsWith('--'));
+  if (!livePath || !shadowPath) {
+    throw new Error('Usage: node src/cli/auditDiff.js <live-audit.jsonl> <shadow-audit.jsonl> [--json]');
+  }
+
+  const diff = compareAuditLogs(readAuditLog(livePath), readAuditLog(shadowPath));
+  const differences = diff.onlyLive.length + diff.onlyShadow.length + diff.changed.length;
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(diff, null, 2));
+  } else {
+    console.log(`Matched: ${diff.matched}, only live: ${diff.onlyLive.length}, only shadow: ${diff.onlyShadow.length}, changed: ${diff.changed.length}`);
+    for (const record of diff.onlyLive) {
+      console.log(`  - live only:   ${formatRecord(record)}`);
+    }
+    for (const record of diff.onlyShadow) {
+      console.log(`  + shadow only: ${formatRecord(record)}`);
+    }
+    for (const { live, shadow } of diff.changed) {
+      console.log(`  ~ ${live.action} ${live.externalId}`);
+      console.log(`      live:   ${JSON.stringify(live.data || live.params)}`);
+      console.log(`      shadow: ${JSON.stringify(shadow.data || shadow.params)}`);
+    }
+  }
+
+  if (differences > 0) {
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error(`[ERROR] Audit diff failed: ${error.message}`);
+  process.exitCode = 1;
+});
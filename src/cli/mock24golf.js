@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// cli/mock24golf.js
+// 개발/테스트용 24골프 모의 서버를 실행하는 명령입니다.
+// 사용법: node src/cli/mock24golf.js [--port 4024] [--token <token>] [--latency <ms>] [--failure-rate <0~1>]
+// 크롤러는 API_BASE_URL=http://127.0.0.1:4024 로 모의 서버에 연결합니다. (매장 설정의 accessToken을 --token과 같게 지정)
+const { createMockGolfServer } = require('../mock/golfApiServer');
+
+const getOption = (args, name, defaultValue = null) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : defaultValue;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const port = parseInt(getOption(args, '--port', '4024'), 10);
+
+  const mock = createMockGolfServer({
+    token: getOption(args, '--token'),
+    latencyMs: parseInt(getOption(args, '--latency', '0'), 10) || 0,
+    failureRate: parseFloat(getOption(args, '--failure-rate', '0')) || 0
+  });
+  const address = await mock.listen(port);
+
+  console.log(`Mock 24Golf API listening on http://${address.address}:${address.port}`);
+  console.log(`  Set API_BASE_URL=http://${address.address}:${address.port} to send crawler requests here`);
+  console.log(`  Inspect: GET /__mock/bookings, GET /__mock/calls`);
+  console.log(`  Faults:  POST /__mock/faults {"action":"Booking_Cancel","status":400,"error":"ALREADY_CANCELLED","times":1}`);
+
+  const shutdown = () => mock.close().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+main().catch((error) => {
+  console.error(`[ERROR] Mock 24Golf API failed to start: ${error.message}`);
+  process.exitCode = 1;
+});
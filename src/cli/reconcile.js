@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// cli/reconcile.js
+// 김캐디와 24골프 예약을 비교하는 명령입니다.
+// 사용법: node src/cli/reconcile.js [--repair] [--json] [--store <storeId>] [--url <adminUrl>] [--token <token>]
+// 보고서는 상태 파일을 읽기만 하여 만들고, 복구(--repair)는 실행 중인 크롤러의 관리 API로 요청합니다.
+// (다른 프로세스가 상태 파일을 고쳐 쓰면 크롤러의 메모리 상태와 어긋나고 크롤러가 추가한 기록을 잃음)
+const { getConfig, getStoreList, forStore, toLoggerOptions } = require('../config');
+const logger = require('../utils/logger');
+const { configureTransport } = require('../utils/apiHelpers');
+const { createStateStore } = require('../utils/stateStore');
+const { createStoreMaps } = require('../services/storeContext');
+const { getStoreTokenManager } = require('../utils/tokenManager');
+const ReconcileService = require('../services/reconcileService');
+const { requestAdmin } = require('../admin/adminClient');
+
+const printSection = (title, items, format) => {
+  console.log(`\n${title} (${items.length})`);
+  for (const item of items) {
+    console.log(`  - ${format(item)}`);
+  }
+};
+
+const getOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : null;
+};
+
+const formatPayment = item => `${item.key} bookIdx=${item.bookIdx} amount=${item.amount} received=${new Date(item.receivedAt).toISOString()}`;
+
+const printReport = (storeId, report, repair) => {
+  console.log(`[${storeId}] Reconciled at ${report.checkedAt}: ${report.kimcaddieCount} KimCaddie bookings, ${report.sentCount} sent to 24Golf`);
+  printSection('Missing in 24Golf', report.missing, item => item.bookId);
+  printSection('Extra in 24Golf', report.extra, item => `${item.bookId} (${item.reason})`);
+  printSection('Mis-paid', report.misPaid, item => `${item.bookId} ${JSON.stringify(item.changes)}`);
+  printSection('Mis-timed', report.misTimed, item => `${item.bookId} ${JSON.stringify(item.changes)}`);
+  printSection('Untracked (no sent payload recorded)', report.untracked, item => item.bookId);
+  printSection('Unmapped rooms', report.unmappedRooms, item => `${item.bookId} room=${item.kimcaddyRoomId ?? '(none)'} (${item.status}${item.sent ? ', already sent' : ''})`);
+  printSection('Held bookings', report.heldBookings, item => `${item.bookId} ${item.action} ${item.reason === 'phone' ? 'customer' : `room=${item.kimcaddyRoomId ?? '(none)'}`} (${item.status}) since ${new Date(item.heldAt).toISOString()}`);
+  printSection('Unmatched payments (waiting)', report.unmatchedPayments.pending, formatPayment);
+  printSection('Unmatched payments (expired)', report.unmatchedPayments.expired, formatPayment);
+  if (repair) {
+    printSection('Repaired', report.repaired, item => `${item.bookId} ${item.action}${item.queued ? ' (queued for retry)' : ''}`);
+    printSection('Repair failed', report.failed, item => `${item.bookId} ${item.action}: ${item.error}`);
+  }
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const repair = args.includes('--repair');
+  const asJson = args.includes('--json');
+  const onlyStoreId = getOption(args, '--store');
+
+  const config = getConfig();
+  logger.configure(toLoggerOptions(config));
+
+  const stores = getStoreList(config).filter(store => !onlyStoreId || store.id === onlyStoreId);
+  if (stores.length === 0) {
+    throw new Error(onlyStoreId ? `Unknown store ${onlyStoreId}` : 'No store configured (STORE_ID or STORES)');
+  }
+
+  const reports = {};
+  if (repair) {
+    for (const store of stores) {
+      reports[store.id] = await requestAdmin({
+        method: 'POST',
+        path: '/admin/reconcile',
+        storeId: store.id,
+        url: getOption(args, '--url'),
+        token: getOption(args, '--token') || config.admin.token,
+        timeoutMs: 300000
+      });
+    }
+  } else {
+    configureTransport(config);
+    const stateStore = createStateStore(config.stateStore, { readOnly: true });
+    for (const store of stores) {
+      const maps = createStoreMaps(config, store.id, stateStore);
+      getStoreTokenManager(maps, store, forStore(config, store));
+      reports[store.id] = await new ReconcileService(maps, store.accessToken || null, forStore(config, store)).reconcile();
+    }
+  }
+
+  if (asJson) {
+    console.log(JSON.stringify(reports, null, 2));
+    return;
+  }
+
+  for (const [storeId, report] of Object.entries(reports)) {
+    printReport(storeId, report, repair);
+  }
+};
+
+main().catch((error) => {
+  console.error(`[ERROR] Reconciliation failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// cli/replay.js
+// 녹화한 김캐디 요청/응답을 재생하고 24골프 호출이 기대값과 같은지 확인하는 명령입니다.
+// 사용법: node src/cli/replay.js <fixture.jsonl> [--expect <expected.json>] [--write-expected] [--store <storeId>] [--settle <ms>] [--json]
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { readFixture } = require('../replay/recorder');
+const { Replayer, compareCalls } = require('../replay/replayer');
+
+const getOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : null;
+};
+
+const formatCall = (call) => call ? `${call.action} ${call.externalId} ${JSON.stringify(call.data || call.params)}` : '(none)';
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const fixturePath = args[0];
+  if (!fixturePath || fixturePath.startsWith('--')) {
+    throw new Error('Usage: node src/cli/replay.js <fixture.jsonl> [--expect <expected.json>] [--write-expected] [--store <storeId>] [--settle <ms>] [--json]');
+  }
+
+  const expectPath = getOption(args, '--expect') || fixturePath.replace(/\.jsonl?$/, '') + '.expected.json';
+  const settle = getOption(args, '--settle');
+  const level = args.includes('--verbose') ? 'debug' : 'warn';
+  logger.configure({ level });
+
+  const replayer = new Replayer({
+    storeId: getOption(args, '--store') || 'replay',
+    // StoreRouter가 설정의 로그 레벨을 다시 적용하므로 재생 설정에도 지정
+    overrides: { log: { level } },
+    settleMs: settle ? parseInt(settle, 10) : undefined
+  });
+  const result = await replayer.run(readFixture(fixturePath));
+
+  if (args.includes('--write-expected')) {
+    fs.writeFileSync(expectPath, `${JSON.stringify(result.calls, null, 2)}\n`);
+    console.log(`Wrote ${result.calls.length} expected 24Golf calls to ${expectPath}`);
+    return;
+  }
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`Replayed ${fixturePath}: ${result.calls.length} 24Golf calls, ${result.crawls.length} crawl fetches, ${result.pendingJobs} pending jobs, ${result.deadLetters.length} dead letters`);
+    for (const call of result.calls) {
+      console.log(`  +${Math.round(call.at / 1000)}s ${formatCall(call)}`);
+    }
+  }
+
+  if (!fs.existsSync(expectPath)) {
+    console.log(`No expected calls at ${expectPath} (use --write-expected to create it)`);
+    return;
+  }
+
+  const mismatches = compareCalls(result.calls, JSON.parse(fs.readFileSync(expectPath, 'utf8')));
+  if (mismatches.length === 0) {
+    console.log(`24Golf calls match ${expectPath}`);
+    return;
+  }
+
+  console.error(`[ERROR] ${mismatches.length} 24Golf calls differ from ${expectPath}`);
+  for (const { index, expected, actual } of mismatches) {
+    console.error(`  #${index} expected: ${formatCall(expected)}`);
+    console.error(`  #${index}   actual: ${formatCall(actual)}`);
+  }
+  process.exitCode = 1;
+};
+
+main().catch((error) => {
+  console.error(`[ERROR] Replay failed: ${error.message}`);
+  process.exitCode = 1;
+});
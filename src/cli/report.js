@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// cli/report.js
+// 룸별 일간/월간 매출과 가동률 보고서를 CSV 또는 JSON으로 출력하는 명령입니다.
+// 사용법: node src/cli/report.js --from <YYYY-MM-DD> [--to <YYYY-MM-DD>] [--monthly] [--format csv|json] [--out <file>] [--store <storeId>]
+const fs = require('fs');
+const path = require('path');
+const { getConfig, getStoreList, forStore, toLoggerOptions } = require('../config');
+const logger = require('../utils/logger');
+const { configureTransport } = require('../utils/apiHelpers');
+const { createStateStore } = require('../utils/stateStore');
+const { REPORT_PERIODS, toCsv } = require('../utils/bookingReport');
+const { createStoreMaps } = require('../services/storeContext');
+const { getStoreTokenManager } = require('../utils/tokenManager');
+const ReportService = require('../services/reportService');
+
+const FORMATS = ['csv', 'json'];
+
+const getOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : null;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const from = getOption(args, '--from');
+  const to = getOption(args, '--to') || from;
+  const period = args.includes('--monthly') ? REPORT_PERIODS.MONTH : REPORT_PERIODS.DAY;
+  const format = getOption(args, '--format') || 'csv';
+  const outFile = getOption(args, '--out');
+  const onlyStoreId = getOption(args, '--store');
+
+  if (!from) {
+    throw new Error('Usage: report.js --from <YYYY-MM-DD> [--to <YYYY-MM-DD>] [--monthly] [--format csv|json] [--out <file>] [--store <storeId>]');
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format ${format} (one of ${FORMATS.join(', ')})`);
+  }
+
+  const config = getConfig();
+  // 표준 출력으로 보고서를 내보낼 때는 로그가 섞이지 않도록 오류만 출력
+  logger.configure({ ...toLoggerOptions(config), level: outFile ? config.log.level : 'error' });
+  configureTransport(config);
+
+  // 실행 중인 크롤러의 상태 파일을 압축하거나 고쳐 쓰지 않도록 읽기 전용으로 열기
+  const stateStore = createStateStore(config.stateStore, { readOnly: true });
+  const stores = getStoreList(config).filter(store => !onlyStoreId || store.id === onlyStoreId);
+  if (stores.length === 0) {
+    throw new Error(onlyStoreId ? `Unknown store ${onlyStoreId}` : 'No store configured (STORE_ID or STORES)');
+  }
+
+  const reports = {};
+  for (const store of stores) {
+    const maps = createStoreMaps(config, store.id, stateStore);
+    getStoreTokenManager(maps, store, forStore(config, store));
+    reports[store.id] = await new ReportService(maps, store.accessToken || null, forStore(config, store)).generate({ from, to, period });
+  }
+
+  const output = format === 'json' ? `${JSON.stringify(reports, null, 2)}\n` : toCsv(reports);
+  if (!outFile) {
+    process.stdout.write(output);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(outFile)), { recursive: true });
+  fs.writeFileSync(outFile, output);
+  logger.info(`Wrote ${period} report for ${Object.keys(reports).join(', ')} to ${outFile}`);
+};
+
+main().catch((error) => {
+  console.error(`[ERROR] Report failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,328 @@
+// config/index.js
+// 크롤러 설정을 한 곳에서 읽고 검증합니다.
+// 우선순위: 기본값 < 설정 파일(CONFIG_FILE, JSON) < 환경 변수
+const fs = require('fs');
+const path = require('path');
+const { validateRoomMap } = require('../utils/roomMapping');
+const { validateWebhooks } = require('../notifications/notifier');
+const { validateFields, validatePatterns } = require('../utils/redact');
+const { validateBusinessHours } = require('../utils/bookingReport');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * 설정 스키마
+ * 키는 설정 객체의 경로이며, 설정 파일도 같은 중첩 구조를 사용합니다.
+ * type: string | integer | boolean | url | enum | json (string, json은 validate로 추가 검증)
+ */
+const SCHEMA = {
+  'api.baseUrl': { env: 'API_BASE_URL', type: 'url', required: true, description: '김캐디 API 기본 URL' },
+  'sync.mode': { env: 'SYNC_MODE', type: 'enum', values: ['live', 'dry-run'], default: 'live', description: '동기화 모드 (dry-run이면 24골프로 보내지 않고 보낼 데이터만 기록)' },
+  'sync.auditFile': { env: 'SYNC_AUDIT_FILE', type: 'string', default: null, description: '24골프 예약 작업 감사 기록 파일 경로 (JSON Lines)' },
+  'auth.tokenTtlMs': { env: 'AUTH_TOKEN_TTL_MS', type: 'integer', default: 50 * MINUTE, min: MINUTE, description: '만료 시각을 알 수 없는 토큰의 유효 시간' },
+  'auth.refreshMarginMs': { env: 'AUTH_TOKEN_REFRESH_MARGIN_MS', type: 'integer', default: MINUTE, min: 0, description: '만료 전 미리 토큰을 갱신하는 여유 시간' },
+  'store.id': { env: 'STORE_ID', type: 'string', default: null, description: '김캐디 매장 ID' },
+  'store.roomMap': { env: 'ROOM_MAP', type: 'json', default: null, validate: (value) => validateRoomMap(value), description: '김캐디 룸 -> 24골프 룸 매핑 (STORES를 쓰지 않을 때, 없으면 김캐디 룸 ID를 그대로 사용)' },
+  'stores': { env: 'STORES', type: 'json', default: [], validate: (value) => validateStores(value), description: '한 프로세스에서 처리할 매장 목록' },
+
+  'cache.bookingTtlMs': { env: 'BOOKING_CACHE_TTL_MS', type: 'integer', default: MINUTE, min: 0, description: '예약 목록 캐시 유효 시간' },
+
+  'customer.pendingTimeoutMs': { env: 'CUSTOMER_PENDING_TIMEOUT_MS', type: 'integer', default: 10 * SECOND, min: 0, description: '고객 정보 조회 후 새 예약 목록을 기다리는 시간 (초과 시 직접 조회)' },
+  'customer.pendingMaxAttempts': { env: 'CUSTOMER_PENDING_MAX_ATTEMPTS', type: 'integer', default: 3, min: 1, description: '대기 중인 고객의 예약 목록 직접 조회 최대 횟수 (예약을 찾지 못하거나 실패한 경우)' },
+  'customer.updateWindowMs': { env: 'CUSTOMER_UPDATE_WINDOW_MS', type: 'integer', default: 30 * SECOND, min: 0, description: '최근 고객 정보 변경으로 보는 시간' },
+  'customer.matchWindowMs': { env: 'CUSTOMER_MATCH_WINDOW_MS', type: 'integer', default: MINUTE, min: 0, description: '예약과 고객 정보 변경 시각 일치 허용 오차' },
+  'customer.requestCooldownMs': { env: 'CUSTOMER_REQUEST_COOLDOWN_MS', type: 'integer', default: MINUTE, min: 0, description: '같은 고객 재처리 방지 시간' },
+  'customer.updateRetentionMs': { env: 'CUSTOMER_UPDATE_RETENTION_MS', type: 'integer', default: 5 * MINUTE, min: 0, description: '고객 정보 변경 기록 보관 시간' },
+  'customer.profileSync': { env: 'CUSTOMER_PROFILE_SYNC', type: 'boolean', default: true, description: '고객 정보 응답의 이름/전화번호 변경을 이미 보낸 예약에 Booking_Update로 반영' },
+  'customer.holdMissingProfile': { env: 'CUSTOMER_HOLD_MISSING_PROFILE', type: 'boolean', default: false, description: '고객 이름이나 휴대전화 번호가 없는 Booking_Create를 보내지 않고 보류 (끄면 빈 값으로 전송)' },
+  'customer.processedClearThreshold': { env: 'PROCESSED_APP_BOOKINGS_CLEAR_THRESHOLD', type: 'integer', default: 1000, min: 1, description: '인메모리 처리 기록을 비우는 기준 개수' },
+
+  'rooms.conflictCheck': { env: 'ROOM_CONFLICT_CHECK', type: 'boolean', default: true, description: 'Booking_Create 전에 같은 룸 예약과의 겹침과 시간 오류 확인 (충돌하면 검토 목록에 보관)' },
+  'report.businessHours': { env: 'REPORT_BUSINESS_HOURS', type: 'string', default: '00:00-24:00', validate: (value) => validateBusinessHours(value), description: '매출/가동률 보고서의 영업시간 (HH:MM-HH:MM, 종료가 시작보다 이르면 다음 날 새벽까지)' },
+
+  'idempotency.claimTtlMs': { env: 'IDEMPOTENCY_CLAIM_TTL_MS', type: 'integer', default: 2 * MINUTE, min: SECOND, description: '전송 중 선점 유지 시간 (응답 없이 넘기면 다른 경로가 다시 시도 가능)' },
+
+  'revenue.pendingWindowMs': { env: 'REVENUE_PENDING_WINDOW_MS', type: 'integer', default: 10 * SECOND, min: 0, description: '결제 정보를 생성 중인 예약에 연결하는 시간' },
+  'revenue.unmatchedTtlMs': { env: 'REVENUE_UNMATCHED_TTL_MS', type: 'integer', default: 60 * MINUTE, min: MINUTE, description: '예약에 연결하지 못한 결제를 보관하는 시간' },
+  'revenue.expiredRetentionMs': { env: 'REVENUE_EXPIRED_RETENTION_MS', type: 'integer', default: 7 * DAY, min: MINUTE, description: '끝내 연결하지 못한 결제 보고 기록 보관 기간' },
+
+  'stateStore.backend': { env: 'STATE_STORE_BACKEND', type: 'enum', values: ['file', 'memory'], default: 'file', description: '상태 저장소 백엔드' },
+  'stateStore.path': { env: 'STATE_STORE_PATH', type: 'string', default: path.join('data', 'sync-state.jsonl'), description: '상태 저장 파일 경로' },
+  'stateStore.maxAgeMs': { env: 'STATE_STORE_MAX_AGE_MS', type: 'integer', default: 30 * DAY, min: MINUTE, description: '상태 기본 보관 기간' },
+  'stateStore.compactThreshold': { env: 'STATE_STORE_COMPACT_THRESHOLD', type: 'integer', default: 5000, min: 1, description: '자동 압축 기준 기록 수' },
+
+  'outbound.maxAttempts': { env: 'OUTBOUND_MAX_ATTEMPTS', type: 'integer', default: 8, min: 1, description: '24골프 호출 최대 시도 횟수' },
+  'outbound.baseDelayMs': { env: 'OUTBOUND_BASE_DELAY_MS', type: 'integer', default: 2 * SECOND, min: 0, description: '첫 재시도 지연' },
+  'outbound.maxDelayMs': { env: 'OUTBOUND_MAX_DELAY_MS', type: 'integer', default: 5 * MINUTE, min: 0, description: '최대 재시도 지연' },
+  'outbound.breakerFailureThreshold': { env: 'OUTBOUND_BREAKER_FAILURES', type: 'integer', default: 5, min: 1, description: '서킷 브레이커를 여는 연속 실패 횟수' },
+  'outbound.breakerResetMs': { env: 'OUTBOUND_BREAKER_RESET_MS', type: 'integer', default: MINUTE, min: 0, description: '서킷 브레이커 재시도 대기 시간' },
+
+  'notifications.webhooks': { env: 'NOTIFY_WEBHOOKS', type: 'json', default: [], validate: (value) => validateWebhooks(value), description: '동기화 이벤트를 받을 웹훅 목록' },
+  'notifications.maxAttempts': { env: 'NOTIFY_MAX_ATTEMPTS', type: 'integer', default: 3, min: 1, description: '웹훅별 최대 전송 시도 횟수' },
+  'notifications.retryDelayMs': { env: 'NOTIFY_RETRY_DELAY_MS', type: 'integer', default: 2 * SECOND, min: 0, description: '웹훅 첫 재시도 지연 (이후 두 배씩 증가)' },
+  'notifications.timeoutMs': { env: 'NOTIFY_TIMEOUT_MS', type: 'integer', default: 5 * SECOND, min: 0, description: '웹훅 요청 제한 시간' },
+
+  'health.port': { env: 'HEALTH_PORT', type: 'integer', default: null, min: 0, description: '/healthz, /metrics 서버 포트 (없으면 실행 안 함)' },
+  'health.host': { env: 'HEALTH_HOST', type: 'string', default: '127.0.0.1', description: '/healthz, /metrics 서버 주소' },
+  'health.staleAfterMs': { env: 'HEALTH_STALE_AFTER_MS', type: 'integer', default: 10 * MINUTE, min: 0, description: '/owner/booking/ 응답이 이 시간 넘게 없으면 /healthz가 503 응답 (0이면 검사 안 함)' },
+
+  'admin.port': { env: 'ADMIN_PORT', type: 'integer', default: null, min: 0, description: '관리 API 서버 포트 (없으면 실행 안 함)' },
+  'admin.host': { env: 'ADMIN_HOST', type: 'string', default: '127.0.0.1', description: '관리 API 서버 주소' },
+  'admin.token': { env: 'ADMIN_TOKEN', type: 'string', default: null, description: '관리 API 요청에 요구할 Bearer 토큰 (ADMIN_HOST가 루프백 주소가 아니면 필수)' },
+
+  'calendar.port': { env: 'CALENDAR_PORT', type: 'integer', default: null, min: 0, description: '룸 일정 iCalendar 피드 서버 포트 (없으면 실행 안 함)' },
+  'calendar.host': { env: 'CALENDAR_HOST', type: 'string', default: '127.0.0.1', description: '룸 일정 피드 서버 주소 (직원 휴대전화에서 구독하려면 내부망 주소)' },
+  'calendar.token': { env: 'CALENDAR_TOKEN', type: 'string', default: null, description: '피드 요청에 요구할 토큰 (?token=)' },
+  'calendar.pastDays': { env: 'CALENDAR_PAST_DAYS', type: 'integer', default: 7, min: 0, description: '피드에 남길 지난 예약 기간 (일)' },
+
+  'log.level': { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', description: '로그 레벨' },
+  'log.file': { env: 'LOG_FILE', type: 'string', default: null, description: 'JSON 로그 파일 경로' },
+  'log.maxBytes': { env: 'LOG_FILE_MAX_BYTES', type: 'integer', default: 10 * 1024 * 1024, min: 1024, description: '로그 파일 회전 크기' },
+  'log.maxFiles': { env: 'LOG_FILE_MAX_FILES', type: 'integer', default: 5, min: 1, description: '보관할 회전 로그 파일 수' },
+  'log.redactFields': { env: 'LOG_REDACT_FIELDS', type: 'json', default: [], validate: (value) => validateFields(value), description: '기본 규칙에 더해 가릴 필드 경로 (로그, 트래픽 녹화, 감사 기록)' },
+  'log.redactPatterns': { env: 'LOG_REDACT_PATTERNS', type: 'json', default: [], validate: (value) => validatePatterns(value), description: '기본 규칙에 더해 가릴 값의 정규식' },
+  'log.unredacted': { env: 'LOG_UNREDACTED', type: 'boolean', default: false, description: '가리지 않고 기록 (로컬 디버깅 전용, NODE_ENV=production에서는 사용 불가)' }
+};
+
+/**
+ * 매장 목록 검증
+ * 각 항목은 {id, name?, accessToken?, roomMap?} 형태이며 id는 중복될 수 없습니다.
+ * @param {any} stores 매장 목록
+ * @returns {string|null} 오류 메시지
+ */
+const validateStores = (stores) => {
+  if (!Array.isArray(stores)) return 'must be an array of {id, name, accessToken, roomMap}';
+
+  const seen = new Set();
+  for (const [index, store] of stores.entries()) {
+    if (!store || typeof store !== 'object' || !store.id) return `entry ${index} must have an id`;
+    const id = String(store.id);
+    if (seen.has(id)) return `duplicate store id ${id}`;
+    seen.add(id);
+    const roomMapError = validateRoomMap(store.roomMap);
+    if (roomMapError) return `roomMap of store ${id} ${roomMapError}`;
+  }
+  return null;
+};
+
+/**
+ * 설정 값이 잘못되었을 때 발생하는 오류
+ * 모든 문제를 한 번에 보여주기 위해 errors 배열을 가집니다.
+ */
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const getPath = (object, keyPath) => keyPath.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, keyPath, value) => {
+  const keys = keyPath.split('.');
+  let target = object;
+  for (const key of keys.slice(0, -1)) {
+    target[key] = target[key] || {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+};
+
+/**
+ * 문자열 또는 설정 파일 값을 스키마 타입으로 변환
+ * @returns {{value: any, error: string|null}}
+ */
+const coerce = (rawValue, rule) => {
+  switch (rule.type) {
+    case 'integer': {
+      const value = typeof rawValue === 'number' ? rawValue : Number(String(rawValue).trim());
+      if (!Number.isInteger(value)) return { error: `expected an integer but got "${rawValue}"` };
+      if (rule.min !== undefined && value < rule.min) return { error: `must be >= ${rule.min} but got ${value}` };
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof rawValue === 'boolean') return { value: rawValue };
+      const normalized = String(rawValue).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(normalized)) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(normalized)) return { value: false };
+      return { error: `expected a boolean but got "${rawValue}"` };
+    }
+    case 'url': {
+      const value = String(rawValue).trim().replace(/\/+$/, '');
+      try {
+        new URL(value);
+      } catch (e) {
+        return { error: `expected a URL but got "${rawValue}"` };
+      }
+      return { value };
+    }
+    case 'json': {
+      let value = rawValue;
+      if (typeof rawValue === 'string') {
+        try {
+          value = JSON.parse(rawValue);
+        } catch (e) {
+          return { error: `expected JSON but got "${rawValue}"` };
+        }
+      }
+      const validationError = rule.validate ? rule.validate(value) : null;
+      return validationError ? { error: validationError } : { value };
+    }
+    case 'enum': {
+      const value = String(rawValue).trim();
+      if (!rule.values.includes(value)) return { error: `must be one of ${rule.values.join(', ')} but got "${rawValue}"` };
+      return { value };
+    }
+    default: {
+      const value = String(rawValue);
+      const validationError = rule.validate ? rule.validate(value) : null;
+      return validationError ? { error: validationError } : { value };
+    }
+  }
+};
+
+const readConfigFile = (filePath, errors) => {
+  if (!filePath) return {};
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    errors.push(`CONFIG_FILE ${filePath} could not be read: ${e.message}`);
+    return {};
+  }
+};
+
+/**
+ * 설정 로드 및 검증
+ * @param {Object} options 옵션
+ * @param {Object} options.env 환경 변수 객체 (기본 process.env)
+ * @param {string} options.file 설정 파일 경로 (기본 env.CONFIG_FILE)
+ * @param {Object} options.overrides 코드에서 직접 지정할 설정 (최우선)
+ * @returns {Object} 고정(freeze)된 설정 객체
+ * @throws {ConfigError} 필수 값이 없거나 값이 잘못된 경우
+ */
+const loadConfig = ({ env = process.env, file = env.CONFIG_FILE, overrides = {} } = {}) => {
+  const errors = [];
+  const fileValues = readConfigFile(file, errors);
+  const config = {};
+
+  for (const [keyPath, rule] of Object.entries(SCHEMA)) {
+    let rawValue = getPath(overrides, keyPath);
+    let source = 'override';
+    if (rawValue === undefined && rule.env && env[rule.env] !== undefined && env[rule.env] !== '') {
+      rawValue = env[rule.env];
+      source = rule.env;
+    }
+    if (rawValue === undefined) {
+      rawValue = getPath(fileValues, keyPath);
+      source = `${keyPath} in ${file}`;
+    }
+
+    if (rawValue === undefined || rawValue === null) {
+      if (rule.required) {
+        errors.push(`${rule.env || keyPath} is required (${rule.description})`);
+      }
+      setPath(config, keyPath, rule.default === undefined ? null : rule.default);
+      continue;
+    }
+
+    const { value, error } = coerce(rawValue, rule);
+    if (error) {
+      errors.push(`${source} ${error}`);
+      continue;
+    }
+    setPath(config, keyPath, value);
+  }
+
+  if (config.log?.unredacted && env.NODE_ENV === 'production') {
+    errors.push('LOG_UNREDACTED cannot be enabled when NODE_ENV=production (local debugging only)');
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  return deepFreeze(config);
+};
+
+const deepFreeze = (object) => {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === 'object') deepFreeze(value);
+  }
+  return Object.freeze(object);
+};
+
+let cachedConfig = null;
+
+/**
+ * 프로세스 전체에서 공유하는 설정 (최초 호출 시 로드)
+ * @returns {Object} 설정 객체
+ */
+const getConfig = () => {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+};
+
+/**
+ * 공유 설정 교체 (시작 시 직접 로드한 설정을 등록할 때 사용)
+ * @param {Object} config 설정 객체
+ */
+const setConfig = (config) => {
+  cachedConfig = config;
+};
+
+/**
+ * 설정에 등록된 매장 목록 반환
+ * stores가 비어 있으면 store.id 하나로 구성합니다.
+ * @param {Object} config 설정 객체
+ * @returns {Array<Object>} {id, name, accessToken, roomMap} 목록
+ */
+const getStoreList = (config) => {
+  if (config.stores.length > 0) {
+    return config.stores.map(store => ({ roomMap: {}, ...store, id: String(store.id) }));
+  }
+  return config.store.id ? [{ id: config.store.id, roomMap: config.store.roomMap || {} }] : [];
+};
+
+/**
+ * 특정 매장 전용 설정 생성 (store 항목만 해당 매장으로 교체)
+ * @param {Object} config 설정 객체
+ * @param {Object} store 매장 정보 {id, name, accessToken, roomMap}
+ * @returns {Object} 고정(freeze)된 매장별 설정 객체
+ */
+const forStore = (config, store) => deepFreeze({
+  ...JSON.parse(JSON.stringify(config)),
+  store: { ...store }
+});
+
+/**
+ * 로거 설정 옵션으로 변환
+ * @param {Object} config 설정 객체
+ * @returns {Object} logger.configure 옵션
+ */
+const toLoggerOptions = (config) => ({
+  level: config.log.level,
+  filePath: config.log.file,
+  maxBytes: config.log.maxBytes,
+  maxFiles: config.log.maxFiles,
+  redaction: {
+    fields: config.log.redactFields,
+    patterns: config.log.redactPatterns,
+    unredacted: config.log.unredacted
+  }
+});
+
+module.exports = {
+  SCHEMA,
+  ConfigError,
+  loadConfig,
+  getConfig,
+  setConfig,
+  getStoreList,
+  forStore,
+  toLoggerOptions
+};
@@ -0,0 +1,192 @@
+// handlers/storeRouter.js
+// 가로챈 요청/응답을 해당 매장 컨텍스트의 서비스로 전달합니다.
+const { parseMultipartFormData } = require('../utils/parser');
+const { getStoreList, toLoggerOptions } = require('../config');
+const { configureTransport, isDryRun } = require('../utils/apiHelpers');
+const { configureNotifications } = require('../notifications/notifier');
+const { createStoreContext } = require('../services/storeContext');
+const { getRoomMapping } = require('../utils/roomMapping');
+const logger = require('../utils/logger');
+
+const STORE_PATH_PATTERN = /\/stores\/([^/?#]+)/;
+const STORE_QUERY_KEYS = ['store_id', 'store'];
+
+class StoreRouter {
+  /**
+   * @param {Object} config 전체 설정 객체 (stores 또는 store.id 사용)
+   * @param {Object} options 옵션
+   * @param {StateStore} options.stateStore 상태 저장소 (선택적, 드라이런이면 저장 파일에 쓰지 않도록 분리)
+   */
+  constructor(config, { stateStore = null } = {}) {
+    this.contexts = new Map();
+    this.pageBindings = new WeakMap();
+    logger.configure(toLoggerOptions(config));
+    configureTransport(config);
+    configureNotifications(config);
+    if (isDryRun() && stateStore) {
+      // 드라이런에서 보냈다고 본 예약(sentBookings, 멱등성 기록, 재시도 큐)이 저장되면 운영으로 바꿨을 때 보내지 않으므로 메모리에만 반영
+      stateStore.detach();
+      logger.warn(`Dry-run mode: state changes are kept in memory and not written to the state store`);
+    }
+
+    for (const store of getStoreList(config)) {
+      this.contexts.set(store.id, createStoreContext(store, { config, stateStore }));
+      this._logRoomMapping(store);
+    }
+    logger.info(`Initialized ${this.contexts.size} store contexts: ${[...this.contexts.keys()].join(', ')}`);
+  }
+
+  /**
+   * 브라우저 페이지를 매장에 연결 (매장별 계정으로 로그인한 페이지)
+   * URL이나 요청 본문에 매장 ID가 없을 때 사용됩니다.
+   * @param {Object} page 브라우저 페이지 객체
+   * @param {string} storeId 매장 ID
+   */
+  bindPage(page, storeId) {
+    this.pageBindings.set(page, String(storeId));
+  }
+
+  /**
+   * 매장 컨텍스트 조회
+   * @param {string} storeId 매장 ID
+   * @returns {Object|null}
+   */
+  getContext(storeId) {
+    return this.contexts.get(String(storeId)) || null;
+  }
+
+  /**
+   * 요청 또는 응답이 속한 매장 컨텍스트 찾기
+   * 순서: URL 경로/쿼리 -> 요청 본문 -> 연결된 페이지 -> 매장이 하나뿐이면 해당 매장
+   * @param {Object} requestOrResponse 가로챈 요청 또는 응답 객체
+   * @returns {Object|null} 매장 컨텍스트
+   */
+  resolve(requestOrResponse) {
+    const request = typeof requestOrResponse.request === 'function' ? requestOrResponse.request() : requestOrResponse;
+    const storeId = this._storeIdFromUrl(requestOrResponse.url())
+      || this._storeIdFromBody(request)
+      || this._storeIdFromPage(request);
+
+    if (storeId) {
+      const context = this.getContext(storeId);
+      if (!context) {
+        logger.warn(`Received traffic for unknown store ${storeId}, ignoring`);
+      }
+      return context;
+    }
+
+    if (this.contexts.size === 1) {
+      return this.contexts.values().next().value;
+    }
+
+    logger.warn(`Could not determine store for ${requestOrResponse.url()}, ignoring`);
+    return null;
+  }
+
+  async handleBookingConfirmation(request) {
+    const context = this.resolve(request);
+    if (context) await context.bookingService.handleBookingConfirmation(request);
+  }
+
+  async handleBookingList(response) {
+    const context = this.resolve(response);
+    if (context) await context.bookingService.handleBookingList(response, context.customerService);
+  }
+
+  async handleBookingCreation(response, request) {
+    const context = this.resolve(request || response);
+    if (context) await context.bookingService.handleBookingCreation(response, request);
+  }
+
+  async handleCustomerResponse(response) {
+    const context = this.resolve(response);
+    if (context) await context.customerService.handleCustomerResponse(response);
+  }
+
+  async handleRevenueUpdate(response, request) {
+    const context = this.resolve(request || response);
+    if (context) await context.revenueService.handleRevenueUpdate(response, request);
+  }
+
+  async handleRevenueCreation(response, request) {
+    const context = this.resolve(request || response);
+    if (context) await context.revenueService.handleRevenueCreation(response, request);
+  }
+
+  /**
+   * 매장별 상태 요약 (상태 점검/지표용)
+   * 시간 값은 밀리초이며, 아직 한 번도 받지 못했으면 null입니다.
+   * @returns {Array<Object>} [{storeId, bookingCacheAgeMs, bookingListAgeMs, queueSize, deadLetters, pendingCustomers, heldBookings, conflictReviews}]
+   */
+  getStatus() {
+    const now = Date.now();
+    return [...this.contexts.values()].map(context => {
+      const { lastBookingListAt } = context.bookingService;
+      return {
+        storeId: context.storeId,
+        bookingCacheAgeMs: context.bookingDataCache.timestamp ? now - context.bookingDataCache.timestamp : null,
+        bookingListAgeMs: lastBookingListAt ? now - lastBookingListAt : null,
+        queueSize: context.maps.outboundQueue?.size || 0,
+        deadLetters: context.maps.outboundQueue?.listDeadLetters().length || 0,
+        pendingCustomers: context.customerService.pendingCustomers.size,
+        heldBookings: context.bookingService.heldBookings.size,
+        conflictReviews: context.bookingService.conflictReview.size
+      };
+    });
+  }
+
+  /**
+   * 모든 매장의 오래된 고객 업데이트 정보 정리
+   */
+  cleanUpOldUpdates() {
+    for (const context of this.contexts.values()) {
+      context.customerService.cleanUpOldUpdates();
+    }
+  }
+
+  _logRoomMapping(store) {
+    const summary = getRoomMapping(store.roomMap).summary();
+    if (summary.enabled) {
+      logger.info(`Store ${store.id} room mapping: ${summary.active} active, ${summary.inactive} inactive rooms`);
+    } else {
+      logger.info(`Store ${store.id} has no room mapping, sending KimCaddie room IDs as-is`);
+    }
+  }
+
+  _storeIdFromUrl(url) {
+    if (!url) return null;
+
+    const pathMatch = url.match(STORE_PATH_PATTERN);
+    if (pathMatch) return decodeURIComponent(pathMatch[1]);
+
+    try {
+      const params = new URL(url, 'http://localhost').searchParams;
+      for (const key of STORE_QUERY_KEYS) {
+        if (params.get(key)) return params.get(key);
+      }
+    } catch (e) {
+      // 잘못된 URL은 다른 방법으로 확인
+    }
+    return null;
+  }
+
+  _storeIdFromBody(request) {
+    const postData = typeof request?.postData === 'function' ? request.postData() : null;
+    if (!postData) return null;
+
+    try {
+      const payload = parseMultipartFormData(postData);
+      const storeId = payload?.store_id || payload?.store;
+      return storeId ? String(storeId) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _storeIdFromPage(request) {
+    const page = request?.frame?.()?.page?.();
+    return page ? this.pageBindings.get(page) || null : null;
+  }
+}
+
+module.exports = StoreRouter;
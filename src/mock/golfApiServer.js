@@ -0,0 +1,239 @@
+// mock/golfApiServer.js
+// 개발/테스트용 24골프 모의 서버입니다.
+// api.js와 같은 {API_BASE_URL}/stores/{storeId}/reservation/crawl 경로를 제공하므로 API_BASE_URL만 이 서버로 지정하면 됩니다.
+// 예약을 매장별로 메모리에 보관하고, 설정한 규칙에 따라 ALREADY_CANCELLED, 401, 5xx 오류와 지연을 흉내 냅니다.
+const http = require('http');
+const logger = require('../utils/logger');
+
+// 예약 목록 조회(GET)와 예약 작업(POST/PATCH/DELETE)을 받는 경로
+const RESERVATION_PATH = /^\/stores\/([^/]+)\/reservation\/crawl\/?$/;
+
+const METHOD_ACTIONS = {
+  GET: 'Booking_List',
+  POST: 'Booking_Create',
+  PATCH: 'Booking_Update',
+  DELETE: 'Booking_Cancel'
+};
+const REQUIRED_CREATE_FIELDS = ['externalId', 'startDate', 'endDate', 'roomId'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class MockGolfApiError extends Error {
+  constructor(status, code, message = code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class MockGolfApi {
+  /**
+   * @param {Object} options 옵션
+   * @param {string} options.token 요구할 액세스 토큰 (없으면 인증 검사 안 함)
+   * @param {number} options.latencyMs 모든 요청에 더할 지연 시간
+   * @param {number} options.failureRate 임의 503 응답 비율 (0~1)
+   */
+  constructor({ token = null, latencyMs = 0, failureRate = 0 } = {}) {
+    this.token = token;
+    this.latencyMs = latencyMs;
+    this.failureRate = failureRate;
+    this.bookings = new Map();
+    this.calls = [];
+    this.faults = [];
+  }
+
+  /**
+   * 오류/지연 규칙 추가
+   * @param {Object} fault {action, status, error, latencyMs, times}
+   *   action: 'Booking_Create' 등 (생략하면 모든 작업), times: 적용 횟수 (생략하면 1회, 0이면 계속)
+   * @returns {Object} 등록한 규칙
+   */
+  addFault({ action = '*', status = null, error = null, latencyMs = 0, times = 1 } = {}) {
+    const fault = { action, status, error, latencyMs, remaining: times > 0 ? times : Infinity };
+    this.faults.push(fault);
+    return fault;
+  }
+
+  /**
+   * 예약, 호출 기록, 오류 규칙 초기화
+   */
+  reset() {
+    this.bookings.clear();
+    this.calls = [];
+    this.faults = [];
+  }
+
+  /**
+   * 예약 작업 처리
+   * @param {string} action 'Booking_Create' | 'Booking_Update' | 'Booking_Cancel' | 'Booking_List'
+   * @param {string} storeId 요청 경로의 매장 ID
+   * @param {Object} body 요청 데이터
+   * @param {string} authorization Authorization 헤더
+   * @returns {Promise<Object>} 응답 데이터
+   * @throws {MockGolfApiError}
+   */
+  async handle(action, storeId, body, authorization) {
+    this.calls.push({ at: new Date().toISOString(), action, storeId, body });
+
+    const fault = this._takeFault(action);
+    const latencyMs = this.latencyMs + (fault?.latencyMs || 0);
+    if (latencyMs > 0) await sleep(latencyMs);
+
+    if (fault?.status) {
+      throw new MockGolfApiError(fault.status, fault.error || `SIMULATED_${fault.status}`);
+    }
+    if (this.token && authorization !== `Bearer ${this.token}`) {
+      throw new MockGolfApiError(401, 'UNAUTHORIZED');
+    }
+    if (this.failureRate > 0 && Math.random() < this.failureRate) {
+      throw new MockGolfApiError(503, 'SIMULATED_OUTAGE');
+    }
+
+    switch (action) {
+      case 'Booking_List':
+        return { results: [...this.bookings.values()].filter(booking => booking.storeId === storeId) };
+      case 'Booking_Create':
+        return this._create(storeId, body);
+      case 'Booking_Update':
+        return this._update(storeId, body);
+      case 'Booking_Cancel':
+        return this._cancel(storeId, body);
+      default:
+        throw new MockGolfApiError(404, 'UNKNOWN_ACTION');
+    }
+  }
+
+  _create(storeId, data) {
+    const missing = REQUIRED_CREATE_FIELDS.filter(field => data?.[field] === undefined || data?.[field] === null);
+    if (missing.length > 0) {
+      throw new MockGolfApiError(400, 'INVALID_PAYLOAD', `Missing fields: ${missing.join(', ')}`);
+    }
+
+    const key = `${storeId}:${data.externalId}`;
+    const existing = this.bookings.get(key);
+    if (existing && !existing.canceled) {
+      throw new MockGolfApiError(409, 'ALREADY_EXISTS');
+    }
+
+    const booking = { ...data, storeId, canceled: false, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+    this.bookings.set(key, booking);
+    return { success: true, booking };
+  }
+
+  _update(storeId, data) {
+    const booking = this._getActiveBooking(storeId, data?.externalId);
+    const updated = { ...booking, ...data, updatedAt: new Date().toISOString() };
+    this.bookings.set(`${storeId}:${booking.externalId}`, updated);
+    return { success: true, booking: updated };
+  }
+
+  _cancel(storeId, params) {
+    const booking = this._getActiveBooking(storeId, params?.externalId);
+    const canceled = { ...booking, canceled: true, canceledBy: params.canceled_by || null, updatedAt: new Date().toISOString() };
+    this.bookings.set(`${storeId}:${booking.externalId}`, canceled);
+    return { success: true, booking: canceled };
+  }
+
+  _getActiveBooking(storeId, externalId) {
+    const booking = externalId ? this.bookings.get(`${storeId}:${externalId}`) : null;
+    if (!booking) {
+      throw new MockGolfApiError(404, 'BOOKING_NOT_FOUND');
+    }
+    if (booking.canceled) {
+      throw new MockGolfApiError(400, 'ALREADY_CANCELLED');
+    }
+    return booking;
+  }
+
+  _takeFault(action) {
+    const fault = this.faults.find(item => item.remaining > 0 && (item.action === '*' || item.action === action));
+    if (!fault) return null;
+
+    fault.remaining--;
+    this.faults = this.faults.filter(item => item.remaining > 0);
+    return fault;
+  }
+}
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    if (!raw) return resolve({});
+    try {
+      resolve(JSON.parse(raw));
+    } catch (e) {
+      reject(new MockGolfApiError(400, 'INVALID_JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * 모의 서버 생성
+ * 예약 목록: GET /stores/{storeId}/reservation/crawl
+ * 예약 작업: POST(생성)/PATCH(변경)/DELETE(취소) /stores/{storeId}/reservation/crawl
+ * 관리용: GET /__mock/bookings, GET /__mock/calls, POST /__mock/faults, POST /__mock/reset
+ * @param {Object} options MockGolfApi 옵션
+ * @returns {Object} {api, server, listen(port), close()}
+ */
+const createMockGolfServer = (options = {}) => {
+  const api = new MockGolfApi(options);
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (pathname === '/__mock/bookings' && req.method === 'GET') {
+        return sendJson(res, 200, { results: [...api.bookings.values()] });
+      }
+      if (pathname === '/__mock/calls' && req.method === 'GET') {
+        return sendJson(res, 200, { results: api.calls });
+      }
+      if (pathname === '/__mock/faults' && req.method === 'POST') {
+        return sendJson(res, 201, api.addFault(await readJsonBody(req)));
+      }
+      if (pathname === '/__mock/reset' && req.method === 'POST') {
+        api.reset();
+        return sendJson(res, 200, { success: true });
+      }
+
+      const match = pathname.match(RESERVATION_PATH);
+      const action = METHOD_ACTIONS[req.method];
+      if (!match || !action) {
+        throw new MockGolfApiError(404, 'NOT_FOUND');
+      }
+
+      const storeId = decodeURIComponent(match[1]);
+      const result = await api.handle(action, storeId, await readJsonBody(req), req.headers.authorization);
+      logger.info(`[mock-24golf] ${action} ${storeId}/${result.booking?.externalId || `${result.results.length} bookings`} -> 200`);
+      return sendJson(res, 200, result);
+    } catch (error) {
+      const status = error.status || 500;
+      logger.warn(`[mock-24golf] ${req.method} ${pathname} -> ${status} ${error.code || error.message}`);
+      return sendJson(res, status, { error: error.code || 'INTERNAL_ERROR', message: error.message });
+    }
+  });
+
+  return {
+    api,
+    server,
+    listen: (port = 0, host = '127.0.0.1') => new Promise(resolve => {
+      server.listen(port, host, () => resolve(server.address()));
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  RESERVATION_PATH,
+  MockGolfApi,
+  MockGolfApiError,
+  createMockGolfServer
+};
@@ -0,0 +1,129 @@
+// monitoring/healthServer.js
+// 크롤러 상태 점검(/healthz)과 Prometheus 지표(/metrics)를 제공하는 HTTP 서버입니다.
+const http = require('http');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+const toSeconds = (ms) => Math.round(ms / 100) / 10;
+
+/**
+ * 매장 상태를 지표 저장소의 게이지로 옮기는 수집 함수 생성
+ * @param {StoreRouter} router 매장 라우터
+ * @param {number} startedAt 프로세스 시작 시각
+ * @returns {Function} (registry) => void
+ */
+const createStoreCollector = (router, startedAt) => (registry) => {
+  registry.set('kimcady_uptime_seconds', {}, toSeconds(Date.now() - startedAt));
+
+  for (const status of router.getStatus()) {
+    const labels = { store: status.storeId };
+    if (status.bookingCacheAgeMs !== null) {
+      registry.set('kimcady_booking_cache_age_seconds', labels, toSeconds(status.bookingCacheAgeMs));
+    }
+    if (status.bookingListAgeMs !== null) {
+      registry.set('kimcady_booking_list_age_seconds', labels, toSeconds(status.bookingListAgeMs));
+    }
+    registry.set('kimcady_outbound_queue_size', labels, status.queueSize);
+    registry.set('kimcady_outbound_dead_letters', labels, status.deadLetters);
+    registry.set('kimcady_pending_customers', labels, status.pendingCustomers);
+    registry.set('kimcady_held_bookings', labels, status.heldBookings);
+    registry.set('kimcady_conflict_reviews', labels, status.conflictReviews);
+  }
+};
+
+/**
+ * 상태 점검 결과
+ * 어느 매장이든 /owner/booking/ 응답이 staleAfterMs 넘게 없으면(시작 후 한 번도 없으면 시작 시각 기준) stale입니다.
+ * @param {StoreRouter} router 매장 라우터
+ * @param {Object} options {staleAfterMs, startedAt}
+ * @returns {Object} {healthy, body}
+ */
+const checkHealth = (router, { staleAfterMs, startedAt }) => {
+  const uptimeMs = Date.now() - startedAt;
+  const stores = router.getStatus().map(status => {
+    const sinceBookingListMs = status.bookingListAgeMs ?? uptimeMs;
+    return { ...status, stale: staleAfterMs > 0 && sinceBookingListMs > staleAfterMs };
+  });
+  const healthy = stores.every(store => !store.stale);
+
+  return {
+    healthy,
+    body: { status: healthy ? 'ok' : 'stale', uptimeSeconds: toSeconds(uptimeMs), stores }
+  };
+};
+
+/**
+ * 상태 점검/지표 서버 생성
+ * GET /healthz: 정상이면 200, 오래된 매장이 있으면 503 (JSON)
+ * GET /metrics: Prometheus 텍스트 형식 지표
+ * @param {StoreRouter} router 매장 라우터
+ * @param {Object} options 옵션
+ * @param {number} options.staleAfterMs /owner/booking/ 응답이 없어도 정상으로 보는 시간 (0이면 검사 안 함)
+ * @param {MetricsRegistry} options.registry 지표 저장소 (기본: 공유 저장소)
+ * @param {number} options.startedAt 프로세스 시작 시각 (기본: 현재 시각)
+ * @returns {Object} {server, listen(port, host), close()}
+ */
+const createHealthServer = (router, { staleAfterMs = 0, registry = metrics, startedAt = Date.now() } = {}) => {
+  const removeCollector = registry.addCollector(createStoreCollector(router, startedAt));
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'GET' && pathname === '/healthz') {
+        const { healthy, body } = checkHealth(router, { staleAfterMs, startedAt });
+        res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify(body));
+      }
+      if (req.method === 'GET' && pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        return res.end(registry.render());
+      }
+
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'NOT_FOUND' }));
+    } catch (error) {
+      logger.error(`Health server failed to handle ${req.method} ${pathname}: ${error.message}`, error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'INTERNAL_ERROR' }));
+    }
+  });
+
+  return {
+    server,
+    listen: (port = 0, host = '127.0.0.1') => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve(server.address());
+      });
+    }),
+    close: () => new Promise(resolve => {
+      removeCollector();
+      server.close(resolve);
+    })
+  };
+};
+
+/**
+ * 설정(health.port)이 있으면 상태 점검/지표 서버 시작
+ * 서버 소켓은 프로세스 종료를 막지 않습니다.
+ * @param {StoreRouter} router 매장 라우터
+ * @param {Object} config 전체 설정 객체
+ * @returns {Promise<Object|null>} 시작한 서버 (설정이 없으면 null)
+ */
+const startHealthServer = async (router, config) => {
+  if (config.health.port === null) return null;
+
+  const health = createHealthServer(router, { staleAfterMs: config.health.staleAfterMs });
+  const address = await health.listen(config.health.port, config.health.host);
+  health.server.unref();
+  logger.info(`Health server listening on http://${address.address}:${address.port} (/healthz, /metrics)`);
+  return health;
+};
+
+module.exports = {
+  createHealthServer,
+  startHealthServer,
+  checkHealth
+};
@@ -0,0 +1,240 @@
+// notifications/notifier.js
+// 동기화 이벤트(예약 등록/취소, 결제 변경, 전송 실패, 룸 충돌)를 설정한 웹훅으로 보냅니다.
+// 본문은 서명한 JSON이며, 채널마다 받을 이벤트와 매장, 메시지 템플릿을 지정할 수 있습니다.
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+
+// 알림 이벤트
+const NOTIFICATION_EVENTS = {
+  BOOKING_CREATED: 'booking.created',
+  BOOKING_CANCELED: 'booking.canceled',
+  PAYMENT_CHANGED: 'payment.changed',
+  SYNC_FAILED: 'sync.failed',
+  ROOM_CONFLICT: 'room.conflict'
+};
+
+// 채널에 템플릿이 없을 때 사용하는 이벤트별 메시지
+const DEFAULT_TEMPLATES = {
+  [NOTIFICATION_EVENTS.BOOKING_CREATED]: '[{{storeId}}] 예약 {{bookId}}을(를) 24골프에 등록했습니다. ({{data.startDate}}, 룸 {{data.roomId}})',
+  [NOTIFICATION_EVENTS.BOOKING_CANCELED]: '[{{storeId}}] 예약 {{bookId}}을(를) 24골프에서 취소했습니다.',
+  [NOTIFICATION_EVENTS.PAYMENT_CHANGED]: '[{{storeId}}] 예약 {{bookId}}의 결제 정보가 바뀌었습니다. (금액 {{data.paymentAmount}}, 완료 {{data.paymented}})',
+  [NOTIFICATION_EVENTS.SYNC_FAILED]: '[{{storeId}}] 예약 {{bookId}}의 {{data.action}} 전송에 실패했습니다: {{data.error}}',
+  [NOTIFICATION_EVENTS.ROOM_CONFLICT]: '[{{storeId}}] 예약 {{bookId}}이(가) 같은 룸의 다른 예약과 충돌하여 전송하지 않았습니다. ({{data.summary}})'
+};
+
+const SIGNATURE_HEADER = 'X-Kimcady-Signature';
+
+/**
+ * 웹훅 채널 설정 검증
+ * 각 항목은 {name, url, secret?, events?, stores?, template?} 형태입니다.
+ * @param {any} webhooks 채널 목록
+ * @returns {string|null} 오류 메시지
+ */
+const validateWebhooks = (webhooks) => {
+  if (!Array.isArray(webhooks)) return 'must be an array of {name, url, secret, events, stores, template}';
+
+  const names = new Set();
+  const knownEvents = Object.values(NOTIFICATION_EVENTS);
+  for (const [index, webhook] of webhooks.entries()) {
+    if (!webhook || typeof webhook !== 'object') return `entry ${index} must be an object`;
+
+    const name = webhook.name || `webhook-${index}`;
+    if (names.has(name)) return `duplicate webhook name ${name}`;
+    names.add(name);
+
+    try {
+      new URL(webhook.url);
+    } catch (e) {
+      return `webhook ${name} must have a valid url`;
+    }
+    if (webhook.secret !== undefined && typeof webhook.secret !== 'string') return `secret of webhook ${name} must be a string`;
+    if (webhook.events !== undefined) {
+      if (!Array.isArray(webhook.events)) return `events of webhook ${name} must be an array`;
+      const unknown = webhook.events.find(event => event !== '*' && !knownEvents.includes(event));
+      if (unknown) return `webhook ${name} has unknown event ${unknown} (one of ${knownEvents.join(', ')})`;
+    }
+    if (webhook.stores !== undefined && !Array.isArray(webhook.stores)) return `stores of webhook ${name} must be an array`;
+    if (webhook.template !== undefined && typeof webhook.template !== 'string' && (typeof webhook.template !== 'object' || Array.isArray(webhook.template))) {
+      return `template of webhook ${name} must be a string or an object keyed by event`;
+    }
+  }
+  return null;
+};
+
+/**
+ * 메시지 템플릿 적용 ({{storeId}}, {{data.roomId}}처럼 알림 데이터의 경로를 값으로 바꿈)
+ * @param {string} template 템플릿
+ * @param {Object} payload 알림 데이터
+ * @returns {string}
+ */
+const renderTemplate = (template, payload) => template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, keyPath) => {
+  const value = keyPath.split('.').reduce((current, key) => current?.[key], payload);
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+});
+
+/**
+ * 본문 서명 (HMAC-SHA256, `{timestamp}.{body}`)
+ * 수신 측은 X-Kimcady-Timestamp와 본문으로 같은 값을 계산해 X-Kimcady-Signature와 비교합니다.
+ * @param {string} secret 채널 비밀 값
+ * @param {number} timestamp 전송 시각 (초)
+ * @param {string} body JSON 본문
+ * @returns {string} 'sha256={hex}'
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+// 재시도해도 되는 실패 (네트워크 오류, 408, 429, 5xx)
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+};
+
+const sleep = (ms) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  if (timer.unref) timer.unref();
+});
+
+class Notifier {
+  /**
+   * @param {Object} options 옵션 (configure와 같음)
+   */
+  constructor(options = {}) {
+    this.channels = [];
+    this.configure(options);
+  }
+
+  /**
+   * 채널과 재시도 설정 교체
+   * @param {Object} options 옵션
+   * @param {Array<Object>} options.webhooks 웹훅 채널 목록 (validateWebhooks를 통과한 값)
+   * @param {number} options.maxAttempts 채널별 최대 시도 횟수
+   * @param {number} options.retryDelayMs 첫 재시도 지연 (이후 두 배씩 증가)
+   * @param {number} options.timeoutMs 요청 제한 시간
+   * @param {Function} options.send 전송 함수 (url, body, {headers, timeout}) => Promise (테스트/재생용)
+   */
+  configure({ webhooks = [], maxAttempts = 3, retryDelayMs = 2000, timeoutMs = 5000, send = null } = {}) {
+    this.channels = webhooks.map((webhook, index) => ({
+      name: webhook.name || `webhook-${index}`,
+      url: webhook.url,
+      secret: webhook.secret || null,
+      events: webhook.events && !webhook.events.includes('*') ? webhook.events : null,
+      stores: webhook.stores ? webhook.stores.map(String) : null,
+      template: webhook.template || null
+    }));
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.send = send || ((url, body, options) => axios.post(url, body, options));
+  }
+
+  get enabled() {
+    return this.channels.length > 0;
+  }
+
+  /**
+   * 이벤트 알림 (받을 채널마다 따로 전송하며 실패해도 예외를 던지지 않음)
+   * 호출한 쪽은 기다리지 않아도 됩니다.
+   * @param {string} event NOTIFICATION_EVENTS 값
+   * @param {Object} details 알림 내용
+   * @param {string} details.storeId 매장 ID
+   * @param {string} details.bookId 예약 ID
+   * @param {Object} details.data 이벤트별 데이터
+   * @returns {Promise<Array<Object>>} 채널별 결과 [{channel, delivered, attempts}]
+   */
+  async notify(event, { storeId = null, bookId = null, data = {} } = {}) {
+    const channels = this.channels.filter(channel => this._accepts(channel, event, storeId));
+    if (channels.length === 0) return [];
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      occurredAt: new Date().toISOString(),
+      storeId,
+      bookId,
+      data
+    };
+    return Promise.all(channels.map(channel => this._deliver(channel, payload)));
+  }
+
+  _accepts(channel, event, storeId) {
+    if (channel.events && !channel.events.includes(event)) return false;
+    if (channel.stores && !channel.stores.includes(String(storeId))) return false;
+    return true;
+  }
+
+  _template(channel, event) {
+    if (typeof channel.template === 'string') return channel.template;
+    return channel.template?.[event] || channel.template?.['*'] || DEFAULT_TEMPLATES[event] || '{{event}} {{bookId}}';
+  }
+
+  async _deliver(channel, payload) {
+    const body = JSON.stringify({ ...payload, channel: channel.name, text: renderTemplate(this._template(channel, payload.event), payload) });
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Kimcady-Event': payload.event,
+        'X-Kimcady-Delivery': payload.id,
+        'X-Kimcady-Timestamp': String(timestamp)
+      };
+      if (channel.secret) {
+        headers[SIGNATURE_HEADER] = signPayload(channel.secret, timestamp, body);
+      }
+
+      try {
+        await this.send(channel.url, body, { headers, timeout: this.timeoutMs });
+        metrics.inc('kimcady_notifications_total', { event: payload.event, result: 'success' });
+        return { channel: channel.name, delivered: true, attempts: attempt };
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= this.maxAttempts) {
+          metrics.inc('kimcady_notifications_total', { event: payload.event, result: 'failure' });
+          logger.warn(`Failed to deliver ${payload.event} notification to ${channel.name} after ${attempt} attempts: ${error.message}`);
+          return { channel: channel.name, delivered: false, attempts: attempt };
+        }
+        await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+}
+
+// 프로세스 전체에서 공유하는 알림 발송기 (configureNotifications로 설정)
+const notifier = new Notifier();
+
+/**
+ * 설정(notifications.*)으로 공유 알림 발송기 설정
+ * @param {Object} config 설정 객체
+ */
+const configureNotifications = (config) => {
+  notifier.configure(config.notifications);
+  if (notifier.enabled) {
+    logger.info(`Sending sync notifications to ${notifier.channels.map(channel => channel.name).join(', ')}`);
+  }
+};
+
+/**
+ * 공유 알림 발송기로 이벤트 알림 (결과를 기다리지 않고 실패는 로그로만 남김)
+ * @param {string} event NOTIFICATION_EVENTS 값
+ * @param {Object} details {storeId, bookId, data}
+ */
+const notify = (event, details) => {
+  if (!notifier.enabled) return;
+  notifier.notify(event, details).catch(error => logger.warn(`Failed to send ${event} notification: ${error.message}`));
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  SIGNATURE_HEADER,
+  Notifier,
+  notifier,
+  configureNotifications,
+  notify,
+  renderTemplate,
+  signPayload,
+  validateWebhooks
+};
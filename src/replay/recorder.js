@@ -0,0 +1,85 @@
+// replay/recorder.js
+// 브라우저에서 가로챈 김캐디 요청/응답을 재생용 JSON Lines 파일로 저장합니다.
+// 요청 본문과 응답의 고객 이름/전화번호, 토큰은 가려서 저장합니다 (LOG_UNREDACTED면 그대로).
+const fs = require('fs');
+const path = require('path');
+const { matchRoute } = require('./routes');
+const logger = require('../utils/logger');
+const { redact, redactBody } = require('../utils/redact');
+
+class TrafficRecorder {
+  /**
+   * @param {string} filePath 저장할 파일 경로 (.jsonl)
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.startedAt = Date.now();
+    this.count = 0;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+
+  /**
+   * 페이지의 응답을 녹화 (page.on('response') 등록)
+   * @param {Object} page 브라우저 페이지 객체
+   * @returns {TrafficRecorder}
+   */
+  attach(page) {
+    page.on('response', response => {
+      this.recordResponse(response).catch(error => {
+        logger.error(`Failed to record ${response.url()}: ${error.message}`, error);
+      });
+    });
+    return this;
+  }
+
+  /**
+   * 응답 하나를 녹화
+   * 재생 대상이 아닌 요청은 건너뜁니다.
+   * @param {Object} response 가로챈 응답 객체
+   * @returns {Promise<Object|null>} 저장한 항목
+   */
+  async recordResponse(response) {
+    const request = response.request();
+    const route = matchRoute(request.method(), response.url());
+    if (!route) return null;
+
+    const entry = {
+      seq: this.count++,
+      at: Date.now() - this.startedAt,
+      kind: route.kind,
+      method: request.method(),
+      url: response.url(),
+      postData: redactBody(request.postData() || null),
+      status: response.status(),
+      body: redact(await this._readBody(response))
+    };
+
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    logger.debug(`Recorded ${entry.kind} ${entry.method} ${entry.url}`);
+    return entry;
+  }
+
+  async _readBody(response) {
+    try {
+      return await response.json();
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+/**
+ * 녹화 파일 읽기
+ * @param {string} filePath 녹화 파일 경로
+ * @returns {Array<Object>} 녹화 항목 (seq 순)
+ */
+const readFixture = (filePath) => fs.readFileSync(filePath, 'utf8')
+  .split('\n')
+  .filter(line => line.trim())
+  .map(line => JSON.parse(line))
+  .sort((a, b) => a.at - b.at || a.seq - b.seq);
+
+module.exports = {
+  TrafficRecorder,
+  readFixture
+};
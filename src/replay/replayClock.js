@@ -0,0 +1,119 @@
+// replay/replayClock.js
+// 재생 중 Date.now()와 setTimeout을 대체하여 시간을 직접 진행시키는 시계입니다.
+
+const realTimers = {
+  now: Date.now,
+  setTimeout: global.setTimeout,
+  clearTimeout: global.clearTimeout,
+  setImmediate: global.setImmediate
+};
+
+class ReplayClock {
+  /**
+   * @param {number} startTime 시작 시각 (ms)
+   */
+  constructor(startTime = realTimers.now()) {
+    this.current = startTime;
+    this.timers = [];
+    this.nextId = 1;
+    this.installed = false;
+  }
+
+  now() {
+    return this.current;
+  }
+
+  /**
+   * 전역 Date.now/setTimeout/clearTimeout을 이 시계로 교체
+   * @returns {ReplayClock}
+   */
+  install() {
+    if (this.installed) return this;
+
+    Date.now = () => this.current;
+    global.setTimeout = (fn, delay = 0, ...args) => this._schedule(fn, delay, args);
+    global.clearTimeout = (handle) => this._cancel(handle);
+    this.installed = true;
+    return this;
+  }
+
+  /**
+   * 전역 함수를 원래대로 복원
+   */
+  uninstall() {
+    if (!this.installed) return;
+
+    Date.now = realTimers.now;
+    global.setTimeout = realTimers.setTimeout;
+    global.clearTimeout = realTimers.clearTimeout;
+    this.installed = false;
+  }
+
+  /**
+   * 지정한 시각까지 시간을 진행하며 그 사이에 예정된 타이머를 순서대로 실행
+   * @param {number} time 목표 시각 (ms)
+   */
+  async advanceTo(time) {
+    await this.flush();
+    for (;;) {
+      const next = this._nextTimer();
+      if (!next || next.at > time) break;
+
+      this.timers = this.timers.filter(timer => timer !== next);
+      this.current = Math.max(this.current, next.at);
+      next.fn(...next.args);
+      await this.flush();
+    }
+    this.current = Math.max(this.current, time);
+  }
+
+  /**
+   * 현재 시각에서 지정한 시간만큼 진행
+   * @param {number} ms 진행할 시간
+   */
+  async advance(ms) {
+    await this.advanceTo(this.current + ms);
+  }
+
+  /**
+   * 대기 중인 Promise 처리를 마칠 때까지 양보
+   */
+  async flush() {
+    for (let i = 0; i < 20; i++) {
+      await new Promise(resolve => realTimers.setImmediate(resolve));
+    }
+  }
+
+  get pendingTimers() {
+    return this.timers.length;
+  }
+
+  _schedule(fn, delay, args) {
+    const timer = {
+      id: this.nextId++,
+      at: this.current + Math.max(0, Number(delay) || 0),
+      fn,
+      args,
+      unref() { return this; },
+      ref() { return this; },
+      hasRef() { return false; }
+    };
+    this.timers.push(timer);
+    return timer;
+  }
+
+  _cancel(handle) {
+    this.timers = this.timers.filter(timer => timer !== handle);
+  }
+
+  _nextTimer() {
+    return this.timers.reduce((earliest, timer) => {
+      if (!earliest || timer.at < earliest.at || (timer.at === earliest.at && timer.id < earliest.id)) {
+        return timer;
+      }
+      return earliest;
+    }, null);
+  }
+}
+
+module.exports = ReplayClock;
@@ -0,0 +1,218 @@
+// replay/replayer.js
+// 녹화한 김캐디 요청/응답을 서비스에 순서대로 다시 전달하고, 발생한 24골프 호출을 수집합니다.
+// 재생 중에는 네트워크 연결을 막고, 연결 시도가 있었으면 재생을 실패로 처리합니다.
+const net = require('net');
+const { loadConfig } = require('../config');
+const { createStateStore } = require('../utils/stateStore');
+const { setTransport } = require('../utils/apiHelpers');
+const StoreRouter = require('../handlers/storeRouter');
+const ReplayClock = require('./replayClock');
+const { getRoute } = require('./routes');
+const logger = require('../utils/logger');
+
+const REPLAY_TOKEN = 'replay-token';
+const REPLAY_BASE_URL = 'http://replay.invalid';
+
+/**
+ * 녹화 항목으로 가짜 요청 객체 생성 (puppeteer Request와 같은 메서드 제공)
+ * @param {Object} entry 녹화 항목
+ * @returns {Object}
+ */
+const createFakeRequest = (entry) => ({
+  url: () => entry.url,
+  method: () => entry.method,
+  postData: () => entry.postData,
+  frame: () => null
+});
+
+/**
+ * 녹화 항목으로 가짜 응답 객체 생성 (puppeteer Response와 같은 메서드 제공)
+ * @param {Object} entry 녹화 항목
+ * @param {Object} request 가짜 요청 객체
+ * @returns {Object}
+ */
+const createFakeResponse = (entry, request) => ({
+  url: () => entry.url,
+  status: () => entry.status,
+  request: () => request,
+  json: async () => {
+    if (entry.body === null || entry.body === undefined) {
+      throw new Error(`Recorded response for ${entry.url} has no JSON body`);
+    }
+    return JSON.parse(JSON.stringify(entry.body));
+  },
+  text: async () => JSON.stringify(entry.body)
+});
+
+/**
+ * 재생 중 네트워크 연결 차단
+ * 가로채지 못한 외부 호출(http/https/fetch)이 실제로 나가지 않도록 소켓 연결을 실패시킵니다.
+ * @param {Function} onAttempt 연결 시도 시 호출 (대상 주소)
+ * @returns {Function} 차단을 해제하는 함수
+ */
+const blockNetwork = (onAttempt) => {
+  const { connect } = net.Socket.prototype;
+  net.Socket.prototype.connect = function (...args) {
+    const options = Array.isArray(args[0]) ? args[0][0] : (typeof args[0] === 'object' ? args[0] : { port: args[0], host: args[1] });
+    const target = options?.path || `${options?.host || 'localhost'}:${options?.port}`;
+    onAttempt(target);
+    process.nextTick(() => this.destroy(new Error(`Network access is blocked during replay (${target})`)));
+    return this;
+  };
+  return () => {
+    net.Socket.prototype.connect = connect;
+  };
+};
+
+/**
+ * 비교에 사용할 형태로 24골프 호출 정리 (시각 제외)
+ * @param {Object} call 수집한 호출
+ * @returns {Object}
+ */
+const normalizeCall = ({ action, externalId, params, data }) => ({ action, externalId, params, data });
+
+/**
+ * 수집한 24골프 호출과 기대 호출 비교
+ * @param {Array} actual 수집한 호출
+ * @param {Array} expected 기대 호출
+ * @returns {Array} 차이 목록 {index, expected, actual}
+ */
+const compareCalls = (actual, expected) => {
+  const mismatches = [];
+  const length = Math.max(actual.length, expected.length);
+  for (let index = 0; index < length; index++) {
+    const actualCall = actual[index] ? normalizeCall(actual[index]) : null;
+    const expectedCall = expected[index] ? normalizeCall(expected[index]) : null;
+    if (JSON.stringify(actualCall) !== JSON.stringify(expectedCall)) {
+      mismatches.push({ index, expected: expectedCall, actual: actualCall });
+    }
+  }
+  return mismatches;
+};
+
+class Replayer {
+  /**
+   * @param {Object} options 옵션
+   * @param {string} options.storeId 재생에 사용할 매장 ID
+   * @param {Object} options.overrides 재생용 설정 (loadConfig overrides와 같은 구조)
+   * @param {number} options.startTime 재생 시작 시각 (기본: 현재 시각)
+   * @param {number} options.settleMs 마지막 항목 이후 타이머를 진행시킬 시간
+   */
+  constructor({ storeId = 'replay', overrides = {}, startTime = Date.now(), settleMs = 5 * 60 * 1000 } = {}) {
+    this.storeId = String(storeId);
+    this.overrides = overrides;
+    this.startTime = startTime;
+    this.settleMs = settleMs;
+  }
+
+  /**
+   * 녹화 항목 재생
+   * 24골프 호출(response-helpers의 생성 응답/보류 업데이트 처리 포함)은 실제로 보내지 않고 수집하며,
+   * /reservation/crawl 조회에는 마지막 예약 목록 응답을 돌려줍니다.
+   * 그 밖의 네트워크 연결 시도가 있으면 오류를 던집니다.
+   * @param {Array<Object>} entries 녹화 항목 (readFixture 결과)
+   * @returns {Promise<Object>} {calls, crawls, skipped, pendingJobs, deadLetters}
+   */
+  async run(entries) {
+    const clock = new ReplayClock(this.startTime);
+    const calls = [];
+    const crawls = [];
+    const skipped = [];
+    const blocked = [];
+    let latestBookingList = null;
+
+    const recordCall = (action, externalId, params = null, data = null) => {
+      calls.push({
+        at: clock.now() - this.startTime,
+        action,
+        externalId: externalId || null,
+        params: params && Object.keys(params).length > 0 ? params : null,
+        data: data || null
+      });
+    };
+
+    const restoreTransport = setTransport({
+      sendTo24GolfApi: async (action, url, params, data) => {
+        recordCall(action, data?.externalId || params?.externalId, params, data);
+        return { success: true };
+      },
+      httpGet: async (url) => {
+        crawls.push({ at: clock.now() - this.startTime, url });
+        return { data: latestBookingList || { results: [] } };
+      },
+      handleBookingCreateResponse: async (url, response) => {
+        const created = await response.json().catch(() => null);
+        recordCall('handleBookingCreateResponse', created?.book_id);
+      },
+      processPendingBookingUpdates: async () => {
+        recordCall('processPendingBookingUpdates', null);
+      }
+    });
+    const restoreNetwork = blockNetwork(target => blocked.push(target));
+
+    clock.install();
+    let router = null;
+    try {
+      const config = loadConfig({
+        env: { API_BASE_URL: REPLAY_BASE_URL },
+        file: null,
+        overrides: {
+          stores: [{ id: this.storeId, accessToken: REPLAY_TOKEN }],
+          stateStore: { backend: 'memory' },
+          ...this.overrides
+        }
+      });
+      router = new StoreRouter(config, { stateStore: createStateStore(config.stateStore) });
+      for (const context of router.contexts.values()) {
+        context.maps.tokenManager.fetchToken = async () => REPLAY_TOKEN;
+      }
+
+      for (const entry of entries) {
+        await clock.advanceTo(this.startTime + entry.at);
+
+        const route = getRoute(entry.kind);
+        if (!route) {
+          skipped.push(entry);
+          continue;
+        }
+        if (entry.kind === 'bookingList' && entry.body) {
+          latestBookingList = entry.body;
+        }
+
+        const request = createFakeRequest(entry);
+        logger.debug(`Replaying ${entry.kind} ${entry.method} ${entry.url}`);
+        await route.dispatch(router, request, createFakeResponse(entry, request));
+      }
+
+      await clock.advance(this.settleMs);
+
+      if (blocked.length > 0) {
+        throw new Error(`Replay tried to reach the network: ${[...new Set(blocked)].join(', ')}`);
+      }
+
+      const context = router.getContext(this.storeId);
+      return {
+        calls,
+        crawls,
+        skipped,
+        pendingJobs: context.maps.outboundQueue?.size || 0,
+        deadLetters: context.maps.outboundQueue?.listDeadLetters() || []
+      };
+    } finally {
+      for (const context of router?.contexts.values() || []) {
+        context.maps.outboundQueue?.stop();
+        context.customerService.pendingCustomers.stop();
+      }
+      clock.uninstall();
+      restoreNetwork();
+      restoreTransport();
+    }
+  }
+}
+
+module.exports = {
+  Replayer,
+  compareCalls,
+  createFakeRequest,
+  createFakeResponse
+};
@@ -0,0 +1,71 @@
+// replay/routes.js
+// 가로챈 김캐디 요청을 종류별로 구분하고, 각 종류를 처리하는 서비스 메서드를 정의합니다.
+// 녹화(recorder)와 재생(replayer)이 같은 규칙을 사용합니다.
+
+/**
+ * 요청 종류 규칙
+ * method: 허용하는 HTTP 메서드 목록, pattern: URL 경로 정규식
+ * dispatch: StoreRouter(또는 같은 메서드를 가진 객체)로 요청/응답을 전달하는 함수
+ */
+const ROUTES = [
+  {
+    kind: 'bookingConfirmation',
+    methods: ['PATCH', 'PUT'],
+    pattern: /\/owner\/booking\/[^/?]+\/?(\?|$)/,
+    dispatch: (router, request) => router.handleBookingConfirmation(request)
+  },
+  {
+    kind: 'bookingCreate',
+    methods: ['POST'],
+    pattern: /\/owner\/booking\/?(\?|$)/,
+    dispatch: (router, request, response) => router.handleBookingCreation(response, request)
+  },
+  {
+    kind: 'bookingList',
+    methods: ['GET'],
+    pattern: /\/owner\/booking\/?(\?|$)/,
+    dispatch: (router, request, response) => router.handleBookingList(response)
+  },
+  {
+    kind: 'customer',
+    methods: ['GET'],
+    pattern: /\/owner\/customer\/[^/?]+\/?(\?|$)/,
+    dispatch: (router, request, response) => router.handleCustomerResponse(response)
+  },
+  {
+    kind: 'revenueCreate',
+    methods: ['POST'],
+    pattern: /\/owner\/revenue\/?(\?|$)/,
+    dispatch: (router, request, response) => router.handleRevenueCreation(response, request)
+  },
+  {
+    kind: 'revenueUpdate',
+    methods: ['PATCH', 'PUT'],
+    pattern: /\/owner\/revenue\/\d+\/?(\?|$)/,
+    dispatch: (router, request, response) => router.handleRevenueUpdate(response, request)
+  }
+];
+
+/**
+ * 요청 종류 판별
+ * @param {string} method HTTP 메서드
+ * @param {string} url 요청 URL
+ * @returns {Object|null} 일치하는 규칙
+ */
+const matchRoute = (method, url) => {
+  const upperMethod = String(method || 'GET').toUpperCase();
+  return ROUTES.find(route => route.methods.includes(upperMethod) && route.pattern.test(url)) || null;
+};
+
+/**
+ * 종류 이름으로 규칙 찾기
+ * @param {string} kind 요청 종류
+ * @returns {Object|null}
+ */
+const getRoute = (kind) => ROUTES.find(route => route.kind === kind) || null;
+
+module.exports = {
+  ROUTES,
+  matchRoute,
+  getRoute
+};
@@ -0,0 +1,89 @@
+// services/bookingCreator.js
+// 예약 서비스와 고객 서비스가 함께 쓰는 Booking_Create 전송 경로입니다.
+// 룸 확인 → 고객 이름/번호 확인(customer.holdMissingProfile) → 충돌 확인 → 멱등성 선점 → 재시도 큐 전송 순으로 처리하며,
+// 보류/검토 중이던 예약은 전송에 성공했거나 재시도 큐가 이어받았을 때만 해제합니다.
+const logger = require('../utils/logger');
+const { getConfig } = require('../config');
+const { getIdempotencyRegistry } = require('./idempotencyRegistry');
+const { getHeldBookings } = require('./heldBookings');
+const { getConflictReview } = require('./conflictReview');
+
+class BookingCreator {
+  /**
+   * @param {Object} maps 공유 맵 객체
+   * @param {Object} options 옵션
+   * @param {OutboundQueue} options.outboundQueue 공유 재시도 큐
+   * @param {Object} options.bookingDataCache 예약 목록 캐시 (충돌 확인용)
+   * @param {Object} options.config 매장 설정 객체 (store.roomMap, rooms.conflictCheck, customer.holdMissingProfile 사용)
+   */
+  constructor(maps, { outboundQueue, bookingDataCache, config = getConfig() } = {}) {
+    this.outboundQueue = outboundQueue;
+    this.bookingDataCache = bookingDataCache;
+    this.config = config;
+    this.idempotency = getIdempotencyRegistry(maps, { config });
+    this.heldBookings = getHeldBookings(maps);
+    this.conflictReview = getConflictReview(maps);
+  }
+
+  /**
+   * 멱등성 레지스트리에서 선점한 뒤 재시도 큐를 통해 Booking_Create 전송
+   * force(관리 명령)이면 기존 선점이 있어도 전송하고, checkConflicts를 따로 주지 않으면 충돌 확인도 생략합니다.
+   * @param {Object} data 전송할 예약 데이터 (prepareBookingData 결과)
+   * @param {string} source 요청 경로 ('confirmation' | 'bookingList' | 'customer' | 'admin' | 'reconcile')
+   * @param {Object} options {force, booking, checkConflicts}
+   * @returns {Promise<Object>} 다른 경로가 이미 선점했으면 {skipped: true},
+   *   룸이나 고객 정보를 확인할 수 없거나 다른 예약과 충돌하여 보류했으면 {held: true, reason}, 그 밖에는 idempotency.run 결과
+   */
+  async create(data, source, { force = false, booking = null, checkConflicts = !force } = {}) {
+    return logger.withContext({ bookId: data.externalId }, async () => {
+      if (this.heldBookings.holdIfUnroutable('Booking_Create', data, booking, this.config.store.roomMap, source)) {
+        return { held: true, reason: 'room' };
+      }
+      if (this.config.customer.holdMissingProfile) {
+        if (this.heldBookings.holdIfMissingCustomer('Booking_Create', data, source)) {
+          return { held: true, reason: 'phone' };
+        }
+      } else if (data.name === null || data.phone === null) {
+        logger.warn(`Booking ${data.externalId} has no valid customer ${data.name === null ? 'name' : 'phone number'}, sending it without one`);
+      }
+
+      if (checkConflicts && this.config.rooms.conflictCheck && (force || !this.idempotency.has(data.externalId, 'create'))) {
+        const review = this.conflictReview.holdIfConflicting(data, {
+          bookingDataCache: this.bookingDataCache,
+          roomMap: this.config.store.roomMap
+        }, source);
+        if (review) {
+          return { held: true, reason: 'conflict', conflicts: review.conflicts };
+        }
+      }
+
+      const outcome = await this.idempotency.run(data.externalId, 'create', () => {
+        logger.debug(`Sending API data for booking:`, data);
+        return this.outboundQueue.submit('Booking_Create', data);
+      }, { source, force });
+      if (outcome.success || outcome.queued) {
+        this.heldBookings.release(data.externalId, 'sent');
+        this.conflictReview.resolve(data.externalId, 'sent');
+      }
+      return outcome;
+    });
+  }
+}
+
+/**
+ * maps 단위로 공유되는 Booking_Create 전송 경로 반환
+ * @param {Object} maps 공유 맵 객체
+ * @param {Object} options BookingCreator 옵션
+ * @returns {BookingCreator}
+ */
+const getBookingCreator = (maps, options = {}) => {
+  if (!maps.bookingCreator) {
+    maps.bookingCreator = new BookingCreator(maps, options);
+  }
+  return maps.bookingCreator;
+};
+
+module.exports = {
+  BookingCreator,
+  getBookingCreator
+};
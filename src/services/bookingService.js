@@ -1,24 +1,72 @@
 // services/bookingService.js
 const { parseMultipartFormData } = require('../utils/parser');
-const { handleBookingListingResponse, handleBookingCreateResponse, processPendingBookingUpdates } = require('../handlers/response-helpers');
-const { getAccessToken, convertKSTtoUTC } = require('../utils/api');
-const { createBooking, cancelBooking } = require('../utils/apiHelpers');
-const { extractPaymentInfo, prepareBookingData, updatePaymentMaps } = require('../utils/bookingHelpers');
+const { handleBookingListingResponse } = require('../handlers/response-helpers');
+const { getTokenManager } = require('../utils/tokenManager');
+const { fetchCrawlBookings, handleCreateResponse, sendPendingBookingUpdates } = require('../utils/apiHelpers');
+const { extractPaymentInfo, prepareBookingData, resolveBookingRoom, diffBookingData, updatePaymentMaps, SCHEDULE_FIELDS, PAYMENT_FIELDS } = require('../utils/bookingHelpers');
+const { BookingSnapshotTracker, CHANGE_TYPES, filterChanges } = require('../utils/bookingDiff');
 const { findBookingById, isCacheValid } = require('../utils/cacheHelpers');
 const logger = require('../utils/logger');
+const { getConfig } = require('../config');
+const { getOutboundQueue } = require('./outboundQueue');
+const { getRevenueMatcher } = require('./revenueMatcher');
+const { getPaymentLedger } = require('./paymentLedger');
+const { getIdempotencyRegistry } = require('./idempotencyRegistry');
+const { getHeldBookings } = require('./heldBookings');
+const { getConflictReview } = require('./conflictReview');
+const { getCalendarFeed } = require('./calendarFeed');
+const { getBookingCreator } = require('./bookingCreator');
 
 class BookingService {
-  constructor(maps, accessToken, bookingDataCache) {
+  constructor(maps, accessToken, bookingDataCache, config = getConfig()) {
     this.maps = maps;
-    this.accessToken = accessToken;
     this.bookingDataCache = bookingDataCache;
-    this.processedAppBookings = new Set();
+    this.config = config;
+    // 예약 생성/취소 처리 이력 (고객 서비스와 공유, 전송 전에 선점)
+    this.idempotency = getIdempotencyRegistry(maps, { config });
+    // 24골프 룸으로 바꿀 수 없어 보류한 예약
+    this.heldBookings = getHeldBookings(maps);
+    // 같은 룸 예약과 겹치거나 시간이 잘못되어 검토를 기다리는 예약
+    this.conflictReview = getConflictReview(maps);
+    // 마지막으로 24골프에 전송한 예약 데이터 (변경 감지용)
+    this.maps.sentBookings = this.maps.sentBookings || new Map();
+    // 24골프 API 호출은 공유 재시도 큐를 통해 전송
+    // 서비스 간 공유 토큰 관리자 (만료 전 갱신, 401 시 1회 재시도)
+    this.tokenManager = getTokenManager(maps, { accessToken, config });
+    this.outboundQueue = getOutboundQueue(maps, { tokenManager: this.tokenManager, config });
+    // 고객 서비스와 함께 쓰는 Booking_Create 전송 경로
+    this.bookingCreator = getBookingCreator(maps, { outboundQueue: this.outboundQueue, bookingDataCache, config });
+    // 예약 목록 응답 스냅샷 비교기
+    this.snapshots = new BookingSnapshotTracker();
+    // 룸별 일정 피드 (예약 목록이 바뀔 때마다 갱신)
+    this.calendarFeed = getCalendarFeed(maps, { config });
+    this.snapshots.on('changes', (source, changes) => {
+      try {
+        this.calendarFeed.applyChanges(changes);
+      } catch (error) {
+        logger.error(`Failed to update calendar feed from ${source} changes: ${error.message}`, error);
+      }
+    });
+    // 예약 목록의 book_idx/결제 ID로 보관 중인 결제를 연결
+    this.revenueMatcher = getRevenueMatcher(maps, { config });
+    // 결제 내역이 있으면 예약 목록의 단일 결제 정보 대신 합산 값을 사용
+    this.paymentLedger = getPaymentLedger(maps);
+    // 마지막 /owner/booking/ 응답 시각 (상태 점검용)
+    this.lastBookingListAt = null;
   }
 
   async handleBookingConfirmation(request) {
     const payload = parseMultipartFormData(request.postData());
     if (!payload || payload.state !== 'success') return;
 
+    // 이 예약과 관련된 모든 로그에 bookId/storeId 컨텍스트 부여
+    await logger.withContext(
+      { bookId: payload.book_id, storeId: this._getStoreId() },
+      () => this._processBookingConfirmation(payload)
+    );
+  }
+
+  async _processBookingConfirmation(payload) {
     logger.info(`Detected booking confirmation: bookId=${payload.book_id}, room=${payload.room}, state=${payload.state}`);
 
     try {
@@ -60,34 +108,34 @@ class BookingService {
       const finalAmount = this.maps.paymentAmounts.get(bookId) || amount;
       logger.info(`Using final payment amount for book_id ${bookId}: ${finalAmount}`);
 
-      // 날짜 변환
-      let startDate = bookingInfo.start_datetime ? convertKSTtoUTC(bookingInfo.start_datetime) : null;
-      let endDate = bookingInfo.end_datetime ? convertKSTtoUTC(bookingInfo.end_datetime) : null;
-      logger.debug(`Converted time - Start: ${startDate}, End: ${endDate}`);
-
       // 예약 데이터 준비 - 리팩토링된 로직 사용
+      // 날짜 변환은 prepareBookingData에서 처리 (예약 목록 기반 데이터와 동일한 값이 되도록)
+      const sourceBooking = {
+        externalId: bookId,
+        name: bookingInfo.name || payload.name,
+        phone: bookingInfo.phone || payload.phone,
+        person: bookingInfo.person || payload.person || 1,
+        start_datetime: bookingInfo.start_datetime,
+        end_datetime: bookingInfo.end_datetime,
+        room: roomId,
+        hole: bookingInfo.hole || '9'
+      };
       const apiData = prepareBookingData(
-        {
-          externalId: bookId,
-          name: bookingInfo.name || payload.name || 'Unknown',
-          phone: bookingInfo.phone || payload.phone || '010-0000-0000',
-          person: bookingInfo.person || payload.person || 1,
-          start_datetime: startDate,
-          end_datetime: endDate,
-          room: roomId || 'unknown',
-          hole: bookingInfo.hole || '9'
-        },
+        sourceBooking,
         finalAmount,
         finished,
-        false
+        false,
+        this.config.store.roomMap
       );
 
+      logger.debug(`Converted time - Start: ${apiData.startDate}, End: ${apiData.endDate}`);
       logger.debug(`Final API payment amount for ${bookId}: ${apiData.paymentAmount}`);
       
-      // API 호출 - 리팩토링된 로직 사용
-      await this._createBooking(apiData);
-      this.processedAppBookings.add(bookId);
-      logger.info(`Processed Confirmed Booking_Create for book_id: ${bookId}`);
+      // API 호출 - 리팩토링된 로직 사용 (다른 경로가 먼저 선점했으면 건너뜀)
+      const outcome = await this._createBooking(apiData, 'confirmation', { booking: sourceBooking });
+      if (!outcome.skipped && !outcome.held) {
+        logger.info(`Processed Confirmed Booking_Create for book_id: ${bookId}`);
+      }
     } catch (error) {
       logger.error(`Failed to process confirmed booking: ${error.message}`, error);
     }
@@ -96,34 +144,31 @@ class BookingService {
   async _fetchLatestBookingsInfo() {
     try {
       // 캐시 확인 - 리팩토링된 로직 사용
-      if (isCacheValid(this.bookingDataCache, 60000)) {
+      if (isCacheValid(this.bookingDataCache, this.config.cache.bookingTtlMs)) {
         logger.info(`Using recent booking data from cache (${Math.round((Date.now() - this.bookingDataCache.timestamp)/1000)}s old)`);
         return this.bookingDataCache.data;
       }
 
       logger.info(`Fetching latest booking data`);
-      const token = this.accessToken || await getAccessToken();
-      const storeId = process.env.STORE_ID || this.maps.storeId;
+      const storeId = this._getStoreId();
 
       if (!storeId) {
         logger.error(`Store ID not found for fetching booking data`);
         return null;
       }
 
-      const url = `${process.env.API_BASE_URL}/stores/${storeId}/reservation/crawl`;
-      const axios = require('axios');
-      const response = await axios.get(url, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const data = await fetchCrawlBookings(storeId, this.tokenManager, this.config.api.baseUrl);
 
-      if (response.data && response.data.results) {
-        this.bookingDataCache.data = response.data;
+      if (data && data.results) {
+        this.bookingDataCache.data = data;
         this.bookingDataCache.timestamp = Date.now();
-        logger.info(`Successfully fetched ${response.data.results.length} bookings`);
-        return response.data;
+        logger.info(`Successfully fetched ${data.results.length} bookings`);
+        this.revenueMatcher.learnFromBookings(data);
+
+        // 취소 및 변경 사항만 반영 (예약 생성은 호출한 쪽에서 처리)
+        const changes = this.snapshots.update('crawl', data);
+        await this._applyBookingChanges(changes, null, { createAppBookings: false });
+        return data;
       }
     } catch (error) {
       logger.error(`Failed to fetch latest booking data: ${error.message}`, error);
@@ -132,43 +177,84 @@ class BookingService {
   }
 
   async handleBookingList(response, customerService) {
+    // 한 번의 예약 목록 처리에서 발생한 로그를 같은 correlationId로 묶음
+    await logger.withContext(
+      { storeId: this._getStoreId() },
+      () => this._handleBookingList(response, customerService)
+    );
+  }
+
+  async _handleBookingList(response, customerService) {
     logger.info(`Detected GET /owner/booking/ - will process pending updates after response`);
     const responseJson = await response.json();
+    this.lastBookingListAt = Date.now();
     logger.debug(`Received booking data, caching it for future use`);
 
     this.bookingDataCache.data = responseJson;
     this.bookingDataCache.timestamp = Date.now();
 
-    await this._handleCancelingBookings(responseJson);
+    // 직전 응답과 비교하여 변경된 예약만 처리
+    const changes = this.snapshots.update('ownerBooking', responseJson);
+    logger.info(`Detected ${changes.length} booking changes since previous booking list`);
+
     await handleBookingListingResponse(response, this.maps);
-    await this._processAppBookings(responseJson, customerService);
-    await processPendingBookingUpdates(this.accessToken, this.maps);
+    this.revenueMatcher.learnFromBookings(responseJson);
+    await this._applyBookingChanges(changes, customerService);
+    await sendPendingBookingUpdates(this.tokenManager, this.maps);
 
     if (customerService) {
-      logger.info(`Processing ${customerService.recentCustomerIds.size} pending customer IDs with fresh booking data`);
-      for (const customerId of customerService.recentCustomerIds) {
-        customerService.processCustomerBookings(customerId, responseJson);
-      }
+      await customerService.handleBookingData(responseJson);
     }
   }
 
   async handleBookingCreation(response, request) {
-    await handleBookingCreateResponse(response.url(), response, this.maps.requestMap, this.accessToken, this.maps);
+    // 생성 응답의 book_id/book_idx로 먼저 도착한 결제를 연결한 뒤 생성 응답 처리
+    try {
+      this.revenueMatcher.learnFromCreation(await response.json());
+    } catch (error) {
+      logger.warn(`Could not read booking creation response for payment matching: ${error.message}`);
+    }
+
+    await handleCreateResponse(response, this.maps.requestMap, this.tokenManager, this.maps);
+    // 예약 생성으로 book_id와 book_idx가 연결되었으면 보관 중인 결제 연결
+    this.revenueMatcher.matchPending();
+  }
+
+  // 예약 목록 변경 사항 반영
+  async _applyBookingChanges(changes, customerService, { createAppBookings = true } = {}) {
+    if (changes.length === 0) return;
+
+    await this._handleCancelingBookings(changes);
+    if (createAppBookings) {
+      const checked = await this._processAppBookings(changes, customerService);
+      await this._processBookingUpdates(changes);
+      await this._recheckHeldCreates(changes, checked);
+    } else {
+      await this._processBookingUpdates(changes);
+    }
+
+    for (const change of filterChanges(changes, CHANGE_TYPES.REMOVED)) {
+      if (this.maps.sentBookings.has(change.bookId)) {
+        logger.warn(`Synced booking ${change.bookId} disappeared from booking list (last state: ${change.previous.state})`);
+      }
+    }
   }
 
-  async _handleCancelingBookings(data) {
-    logger.info(`Checking for canceling or canceled bookings in fresh booking data...`);
-    const cancelingOrCanceledBookings = data.results?.filter(b => 
-      (b.state === 'canceling' || b.state === 'canceled') && 
-      !this.maps.processedBookings.has(b.book_id) && 
-      !this.processedAppBookings.has(b.book_id)
-    ) || [];
+  async _handleCancelingBookings(changes) {
+    logger.info(`Checking for canceling or canceled bookings in booking changes...`);
+    const cancelingOrCanceledBookings = filterChanges(changes, CHANGE_TYPES.NEW, CHANGE_TYPES.STATE)
+      .map(change => change.booking)
+      .filter(b => 
+        (b.state === 'canceling' || b.state === 'canceled') && 
+        !this.maps.processedBookings.has(b.book_id) && 
+        !this.idempotency.has(b.book_id)
+      );
 
     if (cancelingOrCanceledBookings.length > 0) {
       logger.info(`Found ${cancelingOrCanceledBookings.length} canceling or canceled bookings to process`);
       for (const booking of cancelingOrCanceledBookings) {
         const bookId = booking.book_id;
-        if (this.processedAppBookings.has(bookId) || this.maps.processedBookings.has(bookId)) {
+        if (this.idempotency.has(bookId) || this.maps.processedBookings.has(bookId)) {
           logger.info(`Skipping already processed canceled booking: ${bookId}`);
           continue;
         }
@@ -185,19 +271,21 @@ class BookingService {
     }
   }
 
-  async _processAppBookings(data, customerService) {
-    if (!data.results || !Array.isArray(data.results)) return;
+  async _processAppBookings(changes, customerService) {
+    logger.info(`Checking for app bookings in booking changes...`);
 
-    logger.info(`Checking for app bookings in booking list...`);
+    // 새로 나타났거나 상태가 바뀐 예약만 확인
+    const candidates = filterChanges(changes, CHANGE_TYPES.NEW, CHANGE_TYPES.STATE).map(change => change.booking);
+    const checked = new Set();
 
-    for (const booking of data.results) {
+    for (const booking of candidates) {
       if (!booking.book_id || !booking.customer) continue;
 
       const bookId = booking.book_id;
       const customerId = booking.customer;
       const customerUpdate = customerService?.customerUpdates?.get(customerId);
 
-      if (this.maps.processedBookings.has(bookId) || this.processedAppBookings.has(bookId)) continue;
+      if (this.maps.processedBookings.has(bookId) || this.idempotency.has(bookId)) continue;
 
       const isCanceled = booking.state === 'canceled' || booking.state === 'canceling';
       const isSuccessful = booking.state === 'success';
@@ -211,17 +299,17 @@ class BookingService {
           const bookingUpdTime = new Date(booking.customer_detail.customerinfo_set[0].upd_date).getTime();
           const customerUpdTime = customerUpdate.updateTime;
           timeDiff = Math.abs(bookingUpdTime - customerUpdTime);
-          if (timeDiff < 60000) {
+          if (timeDiff < this.config.customer.matchWindowMs) {
             logger.info(`Found matching update times for booking ${bookId}`);
             matchingUpdate = true;
           }
         }
 
-        const isRecentUpdate = matchingUpdate || (customerUpdate && (Date.now() - customerUpdate.timestamp < 60 * 1000));
+        const isRecentUpdate = matchingUpdate || (customerUpdate && (Date.now() - customerUpdate.timestamp < this.config.customer.matchWindowMs));
         const isImmediateBooking = booking.immediate_booked === true || booking.confirmed_by === 'IM';
 
-        // 결제 정보 추출 - 리팩토링된 로직 사용
-        const { amount, finished } = extractPaymentInfo(booking);
+        // 결제 정보 추출 - 결제 내역이 있으면 합산 값 사용
+        const { amount, finished } = this.paymentLedger.getPaymentInfo(bookId, extractPaymentInfo(booking));
 
         // 캐시 검증 및 갱신
         const cachedData = this.bookingDataCache.data?.results?.find(b => b.book_id === bookId);
@@ -235,69 +323,222 @@ class BookingService {
         if (isCanceled && matchingUpdate) {
           await this._cancelBooking(bookId);
           logger.info(`Processed canceled app booking: ${bookId}`);
-        } else if ((isSuccessful || isImmediateBooking) && !this.processedAppBookings.has(bookId)) {
+        } else if (isSuccessful || isImmediateBooking) {
           // 예약 데이터 준비 - 리팩토링된 로직 사용
-          const bookingData = prepareBookingData(booking, amount, finished, isImmediateBooking);
+          const bookingData = prepareBookingData(booking, amount, finished, isImmediateBooking, this.config.store.roomMap);
 
           logger.debug(`Final check before Booking_Create for book_id ${bookId}: amount=${amount}, paymented=${finished}`);
           logger.debug(`Sending API data for booking:`, bookingData);
 
-          await this._createBooking(bookingData);
-          this.processedAppBookings.add(bookId);
-          logger.info(`Processed App Booking_Create for book_id: ${bookId}`);
+          checked.add(bookId);
+          const outcome = await this._createBooking(bookingData, 'bookingList', { booking });
+          if (!outcome.skipped && !outcome.held) {
+            logger.info(`Processed App Booking_Create for book_id: ${bookId}`);
+          }
         }
       }
     }
+    return checked;
   }
 
-  // 리팩토링된 메서드 - apiHelpers 사용
-  async _createBooking(data) {
-    const token = this.accessToken || await getAccessToken();
-    logger.debug(`Sending API data for booking:`, data);
-    
-    await createBooking(
-      data, 
-      token, 
-      this.maps.processedBookings, 
-      this.maps.paymentAmounts, 
-      this.maps.paymentStatus
+  // 보류/검토 중인 Booking_Create를 예약 목록 변경에 따라 다시 확인
+  // 충돌 검토는 같은 룸의 예약이나 충돌한 예약이 바뀌었을 때(취소, 시간/룸 변경, 재시작 후 첫 목록) 다시 확인하고,
+  // 룸 보류는 보류한 예약이 다시 보일 때(룸 매핑을 고친 뒤 재시작, 룸 변경) 룸을 확인할 수 있으면 보냅니다.
+  // 앱 예약 처리에서 이번 목록으로 이미 확인한 예약(checked)은 건너뜁니다.
+  async _recheckHeldCreates(changes, checked = new Set()) {
+    const { roomMap } = this.config.store;
+    const changed = filterChanges(changes, CHANGE_TYPES.NEW, CHANGE_TYPES.STATE, CHANGE_TYPES.SCHEDULE, CHANGE_TYPES.REMOVED);
+    const changedBookIds = new Set(changed.map(change => change.bookId));
+    const changedRooms = new Set();
+    for (const change of changed) {
+      for (const booking of [change.booking, change.previous]) {
+        const { roomId } = booking ? resolveBookingRoom(booking, roomMap) : {};
+        if (roomId !== null && roomId !== undefined) changedRooms.add(String(roomId));
+      }
+    }
+
+    const reviews = this.conflictReview.list().filter(review =>
+      changedRooms.has(String(review.payload.roomId)) ||
+      review.conflicts.some(conflict => changedBookIds.has(conflict.bookId))
+    );
+    const roomHolds = this.heldBookings.list().filter(entry =>
+      entry.action === 'Booking_Create' && entry.reason !== 'phone' && changedBookIds.has(entry.bookId)
     );
+
+    for (const entry of [...reviews, ...roomHolds]) {
+      if (checked.has(entry.bookId)) continue;
+      const booking = findBookingById(entry.bookId, this.bookingDataCache);
+      if (!booking || booking.state !== 'success') continue;
+      if (!this.conflictReview.get(entry.bookId) && !this.heldBookings.get(entry.bookId)) continue;
+
+      const { amount, finished } = this.paymentLedger.getPaymentInfo(entry.bookId, extractPaymentInfo(booking));
+      const bookingData = prepareBookingData(booking, amount, finished, entry.payload.immediate, roomMap);
+      if (bookingData.roomId === null) continue;
+
+      logger.info(`Rechecking held Booking_Create for book_id ${entry.bookId} after booking list changes`);
+      await this._createBooking(bookingData, entry.source || 'bookingList', { booking });
+    }
   }
 
-  // 리팩토링된 메서드 - apiHelpers 사용
-  async _cancelBooking(bookId) {
-    const token = this.accessToken || await getAccessToken();
-    logger.info(`Processing Booking_Cancel for book_id: ${bookId}`);
-    
-    try {
-      await cancelBooking(
-        bookId, 
-        'App User', 
-        token, 
-        this.maps.processedBookings, 
-        this.maps.paymentAmounts, 
-        this.maps.paymentStatus
-      );
-      
-      this.processedAppBookings.add(bookId);
-      this.maps.processedBookings.add(bookId);
-      logger.info(`Successfully canceled booking: ${bookId}`);
-    } catch (error) {
-      if (error.response?.status === 400 && error.response?.data?.error === 'ALREADY_CANCELLED') {
-        logger.info(`Booking ${bookId} was already canceled, marking as processed`);
-        this.processedAppBookings.add(bookId);
-        this.maps.processedBookings.add(bookId);
-      } else {
+  // 이미 전송한 예약의 일정(시간, 룸, 인원, 홀) 또는 결제 변경 감지 후 Booking_Update 전송
+  // 재시작 직후 첫 목록은 모두 NEW로 들어오므로 중단 중에 생긴 변경도 함께 확인됩니다.
+  async _processBookingUpdates(changes) {
+    logger.info(`Checking for schedule and payment changes on synced bookings...`);
+    let updatedCount = 0;
+
+    const candidates = filterChanges(changes, CHANGE_TYPES.NEW, CHANGE_TYPES.SCHEDULE, CHANGE_TYPES.PAYMENT);
+    const bookings = new Map(candidates.map(change => [change.bookId, change.booking]));
+
+    for (const [bookId, booking] of bookings.entries()) {
+      if (booking.state !== 'success') continue;
+
+      const lastSent = this.maps.sentBookings.get(bookId);
+      if (!lastSent) continue;
+
+      const { amount, finished } = this.paymentLedger.getPaymentInfo(bookId, extractPaymentInfo(booking));
+      const current = prepareBookingData(booking, amount, finished, lastSent.immediate, this.config.store.roomMap);
+      // 룸을 24골프 룸으로 바꿀 수 없으면 변경을 보내지 않고 보류
+      if (this.heldBookings.holdIfUnroutable('Booking_Update', current, booking, this.config.store.roomMap, 'bookingList')) continue;
+      if (this.heldBookings.get(bookId)?.action === 'Booking_Update') {
+        this.heldBookings.release(bookId, 'room resolved');
+      }
+
+      const fieldChanges = diffBookingData(lastSent, current, [...SCHEDULE_FIELDS, ...PAYMENT_FIELDS]);
+      if (!fieldChanges) continue;
+
+      logger.info(`Detected booking change for book_id ${bookId}: ${Object.keys(fieldChanges).join(', ')}`);
+      try {
+        await this._updateBooking({ externalId: bookId, ...fieldChanges });
+        updatedCount++;
+      } catch (error) {
+        logger.error(`Failed to process Booking_Update for ${bookId}: ${error.message}`, error);
+      }
+    }
+
+    if (updatedCount > 0) {
+      logger.info(`Processed ${updatedCount} Booking_Update requests`);
+    }
+  }
+
+  // 공유 전송 경로(BookingCreator)로 Booking_Create 전송
+  // 다른 경로가 이미 선점했으면 {skipped: true}, 룸을 확인할 수 없거나 다른 예약과 충돌하여 보류했으면 {held: true, reason}을 반환
+  // force(관리 명령)이면 충돌 확인을 생략합니다.
+  async _createBooking(data, source, options = {}) {
+    return this.bookingCreator.create(data, source, options);
+  }
+
+  // 재시도 큐를 통해 Booking_Update 전송
+  async _updateBooking(data) {
+    return logger.withContext({ bookId: data.externalId }, () => {
+      logger.info(`Processing Booking_Update for book_id: ${data.externalId}`);
+      return this.outboundQueue.submit('Booking_Update', data);
+    });
+  }
+
+  // 재시도 큐를 통해 Booking_Cancel 전송 (ALREADY_CANCELLED는 cancelBooking에서 성공으로 처리)
+  // 재시도 대기 중이어도 큐가 전송을 책임지므로 선점을 완료로 기록하여 다시 처리하지 않음
+  // 보류/검토만 해제했으면 {released: true}, 전송에 실패했으면 {failed: true, error}, 그 밖에는 idempotency.run 결과를 반환
+  async _cancelBooking(bookId, { force = false, canceledBy = 'App User' } = {}) {
+    return logger.withContext({ bookId }, async () => {
+      logger.info(`Processing Booking_Cancel for book_id: ${bookId}`);
+
+      // 보류 중이라 24골프에 만든 적 없는 예약은 취소를 보내지 않고 보류만 해제
+      if (this.heldBookings.get(bookId)?.action === 'Booking_Create') {
+        this.heldBookings.release(bookId, 'canceled before it was sent');
+        return { released: true };
+      }
+      if (this.conflictReview.resolve(bookId, 'canceled before it was sent')) {
+        return { released: true };
+      }
+
+      try {
+        const outcome = await this.idempotency.run(bookId, 'cancel', () => {
+          return this.outboundQueue.submit('Booking_Cancel', { externalId: bookId, canceledBy });
+        }, { source: 'booking', force });
+
+        if (outcome.success && !outcome.result?.dryRun) {
+          this.maps.processedBookings.add(bookId);
+          logger.info(`Successfully canceled booking: ${bookId}`);
+        }
+        return outcome;
+      } catch (error) {
         logger.error(`Failed to cancel booking ${bookId}: ${error.message}`, error);
+        return { failed: true, error: error.message };
       }
+    });
+  }
+
+  /**
+   * 예약 처리 기록 삭제 (관리 명령)
+   * 다음 예약 목록에서 새 예약으로 보고되도록 스냅샷에서도 제거하여 다시 동기화되게 합니다.
+   * @param {string} bookId 예약 ID
+   * @returns {Object} 삭제 여부 {processedBookings, idempotency, snapshot}
+   */
+  forgetBooking(bookId) {
+    const removed = {
+      processedBookings: this.maps.processedBookings.delete(bookId),
+      idempotency: this.idempotency.forget(bookId),
+      snapshot: this.snapshots.forget(bookId)
+    };
+    logger.info(`Forgot processed state for book_id ${bookId}`, removed);
+    return removed;
+  }
+
+  /**
+   * 캐시를 무시하고 예약 목록 다시 조회 (관리 명령)
+   * @returns {Promise<Object|null>} 조회한 예약 목록
+   */
+  async refreshBookings() {
+    this.bookingDataCache.timestamp = 0;
+    return this._fetchLatestBookingsInfo();
+  }
+
+  /**
+   * 예약 목록의 예약으로 Booking_Create 전송 (관리 명령, 정합성 복구)
+   * 처리 기록과 관계없이 전송하며, 캐시에 없으면 예약 목록을 다시 조회합니다.
+   * @param {string} bookId 예약 ID
+   * @param {Object} options {source, checkConflicts} (정합성 복구는 충돌 확인을 거침)
+   * @returns {Promise<Object|null>} {bookingData, outcome} (예약 목록에 없으면 null)
+   */
+  async createFromBookingList(bookId, { source = 'admin', checkConflicts = false } = {}) {
+    let booking = findBookingById(bookId, this.bookingDataCache);
+    if (!booking) {
+      await this.refreshBookings();
+      booking = findBookingById(bookId, this.bookingDataCache);
+    }
+    if (!booking) {
+      logger.warn(`Booking ${bookId} not found in booking list, nothing to create`);
+      return null;
     }
+
+    const isImmediateBooking = booking.immediate_booked === true || booking.confirmed_by === 'IM';
+    const { amount, finished } = this.paymentLedger.getPaymentInfo(bookId, extractPaymentInfo(booking));
+    const bookingData = prepareBookingData(booking, amount, finished, isImmediateBooking, this.config.store.roomMap);
+
+    const outcome = await this._createBooking(bookingData, source, { force: true, booking, checkConflicts });
+    return { bookingData, outcome };
+  }
+
+  /**
+   * Booking_Cancel 전송 (관리 명령, 정합성 복구)
+   * 처리 기록과 관계없이 전송합니다.
+   * @param {string} bookId 예약 ID
+   * @param {Object} options {canceledBy}
+   * @returns {Promise<Object>} _cancelBooking 결과
+   */
+  async cancel(bookId, { canceledBy = 'App User' } = {}) {
+    return this._cancelBooking(bookId, { force: true, canceledBy });
+  }
+
+  _getStoreId() {
+    return this.config.store.id || this.maps.storeId;
   }
 
   // 리팩토링된 메서드 - bookingHelpers 사용
   async _checkLatestBookingData(bookId) {
     const booking = findBookingById(bookId, this.bookingDataCache);
     if (booking) {
-      const { amount, finished } = extractPaymentInfo(booking);
+      const { amount, finished } = this.paymentLedger.getPaymentInfo(bookId, extractPaymentInfo(booking));
       logger.info(`Found latest booking data for book_id ${bookId} in cache: amount=${amount}, finished=${finished}`);
       
       updatePaymentMaps(bookId, { amount, finished }, this.maps.paymentAmounts, this.maps.paymentStatus);
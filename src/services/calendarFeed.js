@@ -0,0 +1,161 @@
+// services/calendarFeed.js
+// 예약 목록 변경(BookingSnapshotTracker의 'changes')마다 24골프 룸별 일정 이벤트를 갱신하고 iCalendar로 만듭니다.
+// 시작/종료 시각과 룸은 prepareBookingData가 24골프로 보내는 값과 같으며, 취소된 예약은 STATUS:CANCELLED로 남깁니다.
+// 인증 없이 구독할 수 있는 피드이므로 고객 이름과 전화번호는 넣지 않습니다.
+const logger = require('../utils/logger');
+const { prepareBookingData, resolveBookingRoom } = require('../utils/bookingHelpers');
+const { getRoomMapping } = require('../utils/roomMapping');
+const { buildCalendar, EVENT_STATUS } = require('../calendar/ics');
+const { getConfig } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CANCELED_STATES = ['canceling', 'canceled'];
+
+// 내용이 바뀌었는지 비교하는 이벤트 필드 (바뀌면 SEQUENCE 증가)
+const EVENT_FIELDS = ['roomId', 'roomName', 'startDate', 'endDate', 'status', 'partySize', 'hole', 'app'];
+
+class CalendarFeed {
+  /**
+   * @param {Object} maps 공유 맵 객체 (stateStore가 있으면 영구 저장)
+   * @param {Object} options 옵션
+   * @param {Object} options.config 매장 설정 (store.roomMap, calendar.pastDays 사용)
+   */
+  constructor(maps, { config = getConfig() } = {}) {
+    this.maps = maps;
+    this.config = config;
+    // bookId -> {bookId, roomId, roomName, startDate, endDate, status, partySize, hole, app, sequence, updatedAt}
+    this.events = maps.stateStore
+      ? maps.stateStore.getMap('calendar.events', { maxAgeMs: 30 * DAY_MS })
+      : new Map();
+  }
+
+  get size() {
+    return this.events.size;
+  }
+
+  /**
+   * 예약 목록 변경 반영 (사라진 예약은 조회 범위를 벗어난 것일 수 있어 그대로 둠)
+   * @param {Array<Object>} changes BookingSnapshotTracker 변경 사항
+   * @returns {number} 바뀐 이벤트 수
+   */
+  applyChanges(changes) {
+    let updated = 0;
+    for (const change of changes) {
+      if (change.booking && this.upsert(change.booking)) updated++;
+    }
+    if (updated > 0) {
+      logger.debug(`Updated ${updated} calendar events for store ${this.maps.storeId}`);
+    }
+    return updated;
+  }
+
+  /**
+   * 예약 하나를 이벤트로 반영
+   * 확정/취소 예약만 반영하며, 24골프 룸으로 바꿀 수 없는 예약은 동기화하지 않으므로 피드에서 뺍니다.
+   * @param {Object} booking 원본 예약 데이터
+   * @returns {boolean} 이벤트가 바뀌었는지 여부
+   */
+  upsert(booking) {
+    const bookId = booking?.book_id;
+    const canceled = CANCELED_STATES.includes(booking?.state);
+    if (!bookId || (!canceled && booking.state !== 'success')) return false;
+
+    const roomMap = this.config.store.roomMap;
+    const data = prepareBookingData(booking, 0, false, false, roomMap);
+    if (data.roomId === null) {
+      return this.events.delete(bookId);
+    }
+
+    const existing = this.events.get(bookId);
+    const next = {
+      bookId,
+      roomId: String(data.roomId),
+      roomName: resolveBookingRoom(booking, roomMap).name,
+      startDate: data.startDate,
+      endDate: data.endDate,
+      status: canceled ? EVENT_STATUS.CANCELLED : EVENT_STATUS.CONFIRMED,
+      partySize: data.partySize,
+      hole: data.hole ?? null,
+      app: booking.book_type === 'U' || booking.confirmed_by === 'IM' || booking.immediate_booked === true
+    };
+    if (existing && EVENT_FIELDS.every(field => existing[field] === next[field])) return false;
+
+    this.events.set(bookId, {
+      ...next,
+      sequence: existing ? existing.sequence + 1 : 0,
+      updatedAt: Date.now()
+    });
+    return true;
+  }
+
+  /**
+   * 피드의 룸 목록 (룸 매핑의 활성 룸과 이벤트가 있는 룸)
+   * @returns {Array<Object>} [{roomId, name}] (24골프 룸 ID 순)
+   */
+  listRooms() {
+    const rooms = new Map();
+    for (const room of getRoomMapping(this.config.store.roomMap).rooms.values()) {
+      if (room.active) rooms.set(room.golfRoomId, { roomId: room.golfRoomId, name: room.name });
+    }
+    for (const event of this.events.values()) {
+      if (!rooms.has(event.roomId)) rooms.set(event.roomId, { roomId: event.roomId, name: event.roomName });
+    }
+    return [...rooms.values()].sort((a, b) => a.roomId.localeCompare(b.roomId, undefined, { numeric: true }));
+  }
+
+  /**
+   * iCalendar 문서 생성
+   * 종료된 지 calendar.pastDays일이 넘은 예약은 넣지 않습니다.
+   * @param {Object} options 옵션
+   * @param {string} options.roomId 24골프 룸 ID (없으면 모든 룸)
+   * @param {string} options.name 캘린더 이름
+   * @returns {string} .ics 본문
+   */
+  render({ roomId = null, name = null } = {}) {
+    const since = Date.now() - this.config.calendar.pastDays * DAY_MS;
+    const events = [...this.events.values()]
+      .filter(event => roomId === null || event.roomId === String(roomId))
+      .filter(event => new Date(event.endDate || event.startDate).getTime() >= since)
+      .sort((a, b) => String(a.startDate).localeCompare(String(b.startDate)))
+      .map(event => this._toIcsEvent(event));
+
+    return buildCalendar({ name: name || `${this.maps.storeId} ${roomId === null ? 'all rooms' : roomId}`, events });
+  }
+
+  _toIcsEvent(event) {
+    const room = event.roomName || event.roomId;
+    const details = [`예약 ID: ${event.bookId}`, `인원: ${event.partySize}명`];
+    if (event.hole) details.push(`홀: ${event.hole}`);
+    details.push(`예약 경로: ${event.app ? '앱' : '매장'}`);
+
+    return {
+      uid: `${event.bookId}@${this.maps.storeId}.kimcaddie`,
+      start: event.startDate,
+      end: event.endDate,
+      summary: `${event.status === EVENT_STATUS.CANCELLED ? '[취소] ' : ''}${room} 예약 (${event.partySize}명)`,
+      description: details.join('\n'),
+      location: room,
+      status: event.status,
+      sequence: event.sequence,
+      updatedAt: event.updatedAt
+    };
+  }
+}
+
+/**
+ * maps 단위로 공유되는 일정 피드 반환
+ * @param {Object} maps 공유 맵 객체
+ * @param {Object} options CalendarFeed 옵션
+ * @returns {CalendarFeed}
+ */
+const getCalendarFeed = (maps, options = {}) => {
+  if (!maps.calendarFeed) {
+    maps.calendarFeed = new CalendarFeed(maps, options);
+  }
+  return maps.calendarFeed;
+};
+
+module.exports = {
+  CalendarFeed,
+  getCalendarFeed
+};
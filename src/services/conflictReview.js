@@ -0,0 +1,127 @@
+// services/conflictReview.js
+// 같은 룸의 다른 예약과 겹치거나 시간이 잘못된 예약의 Booking_Create를 보내지 않고 검토 목록에 보관합니다.
+// 같은 룸의 예약이나 충돌한 예약이 예약 목록에서 바뀌면 다시 확인하여 충돌이 없어졌을 때 보내고,
+// 확인 후 관리 명령 create로 보내면(충돌 확인 생략) 검토 목록에서 빠집니다.
+const logger = require('../utils/logger');
+const { buildRoomSchedule } = require('../utils/roomSchedule');
+const { NOTIFICATION_EVENTS, notify } = require('../notifications/notifier');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ConflictReview {
+  /**
+   * @param {Object} maps 공유 맵 객체 (stateStore가 있으면 영구 저장)
+   */
+  constructor(maps) {
+    this.maps = maps;
+    // bookId -> {bookId, conflicts, source, payload, detectedAt, updatedAt}
+    this.reviews = maps.stateStore
+      ? maps.stateStore.getMap('rooms.conflictReview', { maxAgeMs: 30 * DAY_MS })
+      : new Map();
+  }
+
+  get size() {
+    return this.reviews.size;
+  }
+
+  /**
+   * 만들 예약이 다른 예약과 겹치거나 시간이 잘못되었으면 검토 목록에 추가
+   * @param {Object} payload 전송할 데이터 (prepareBookingData 결과)
+   * @param {Object} sources 룸별 예약 색인 원본
+   * @param {Object} sources.bookingDataCache 예약 목록 캐시
+   * @param {RoomMapping|Object} sources.roomMap 매장 룸 매핑
+   * @param {string} source 확인한 경로
+   * @returns {Object|null} 검토 기록 (충돌이 없으면 null)
+   */
+  holdIfConflicting(payload, { bookingDataCache = null, roomMap = null } = {}, source = null) {
+    const schedule = buildRoomSchedule({
+      bookings: bookingDataCache?.data?.results || [],
+      sentBookings: this.maps.sentBookings,
+      roomMap
+    });
+    const conflicts = schedule.findConflicts(payload);
+    if (conflicts.length === 0) return null;
+
+    return this.add(payload, conflicts, source);
+  }
+
+  /**
+   * 검토 목록에 추가
+   * @param {Object} payload 보낼 예정이던 데이터
+   * @param {Array<Object>} conflicts 충돌 목록 (RoomScheduleIndex.findConflicts 결과)
+   * @param {string} source 확인한 경로
+   * @returns {Object} 검토 기록
+   */
+  add(payload, conflicts, source = null) {
+    const bookId = payload.externalId;
+    const existing = this.reviews.get(bookId);
+    const now = Date.now();
+    const entry = {
+      bookId,
+      conflicts,
+      source,
+      payload,
+      detectedAt: existing?.detectedAt || now,
+      updatedAt: now
+    };
+    this.reviews.set(bookId, entry);
+
+    if (!existing) {
+      const summary = conflicts.map(conflict => (conflict.bookId ? `${conflict.type} with ${conflict.bookId}` : conflict.type)).join(', ');
+      logger.warn(`Holding Booking_Create for book_id ${bookId} for review: ${summary}`);
+      notify(NOTIFICATION_EVENTS.ROOM_CONFLICT, {
+        storeId: this.maps.storeId,
+        bookId,
+        data: { summary, conflicts, roomId: payload.roomId, startDate: payload.startDate, endDate: payload.endDate, source }
+      });
+    }
+    return entry;
+  }
+
+  /**
+   * 검토 목록에서 제거
+   * @param {string} bookId 예약 ID
+   * @param {string} reason 제거 사유
+   * @returns {boolean} 검토 목록에 있었는지 여부
+   */
+  resolve(bookId, reason) {
+    if (!this.reviews.has(bookId)) return false;
+
+    this.reviews.delete(bookId);
+    logger.info(`Removed booking ${bookId} from conflict review (${reason})`);
+    return true;
+  }
+
+  /**
+   * @param {string} bookId 예약 ID
+   * @returns {Object|null} 검토 기록
+   */
+  get(bookId) {
+    return this.reviews.get(bookId) || null;
+  }
+
+  /**
+   * 검토 목록 (오래된 순)
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.reviews.values()].sort((a, b) => a.detectedAt - b.detectedAt);
+  }
+}
+
+/**
+ * maps 단위로 공유되는 충돌 검토 목록 반환
+ * @param {Object} maps 공유 맵 객체
+ * @returns {ConflictReview}
+ */
+const getConflictReview = (maps) => {
+  if (!maps.conflictReview) {
+    maps.conflictReview = new ConflictReview(maps);
+  }
+  return maps.conflictReview;
+};
+
+module.exports = {
+  ConflictReview,
+  getConflictReview
+};
@@ -1,19 +1,43 @@
 // services/customerService.js
-const { getAccessToken } = require('../utils/api');
-const { createBooking } = require('../utils/apiHelpers');
-const { extractPaymentInfo, prepareBookingData } = require('../utils/bookingHelpers');
-const { isCacheValid, findBookingsByCustomerId } = require('../utils/cacheHelpers');
+const { getTokenManager } = require('../utils/tokenManager');
+const { extractPaymentInfo, prepareBookingData, diffBookingData, CUSTOMER_FIELDS } = require('../utils/bookingHelpers');
+const { normalizeCustomer } = require('../utils/customerProfile');
+const { fetchCrawlBookings } = require('../utils/apiHelpers');
+const { updateCache, findBookingsByCustomerId } = require('../utils/cacheHelpers');
 const logger = require('../utils/logger');
+const { getConfig } = require('../config');
+const { getOutboundQueue } = require('./outboundQueue');
+const PendingCustomerQueue = require('./pendingCustomerQueue');
+const { getPaymentLedger } = require('./paymentLedger');
+const { getIdempotencyRegistry } = require('./idempotencyRegistry');
+const { getBookingCreator } = require('./bookingCreator');
 
 class CustomerService {
-  constructor(maps, accessToken, processedCustomerRequests, bookingDataCache) {
+  constructor(maps, accessToken, processedCustomerRequests, bookingDataCache, config = getConfig()) {
     this.maps = maps;
-    this.accessToken = accessToken;
     this.processedCustomerRequests = processedCustomerRequests;
     this.bookingDataCache = bookingDataCache;
+    this.config = config;
     this.customerUpdates = new Map();
-    this.recentCustomerIds = new Set();
-    this.processedAppBookings = new Set();
+    // 새 예약 목록을 기다리는 고객 대기열
+    this.pendingCustomers = new PendingCustomerQueue({
+      processCustomer: (customerId, bookingData) => this.processCustomerBookings(customerId, bookingData),
+      fetchBookings: () => this._fetchBookingsForPending(),
+      timeoutMs: config.customer.pendingTimeoutMs,
+      maxAttempts: config.customer.pendingMaxAttempts
+    });
+    // 예약 생성/취소 처리 이력 (예약 서비스와 공유, 전송 전에 선점)
+    this.idempotency = getIdempotencyRegistry(maps, { config });
+    // 마지막으로 24골프에 전송한 예약 데이터 (변경 감지용)
+    this.maps.sentBookings = this.maps.sentBookings || new Map();
+    // 24골프 API 호출은 공유 재시도 큐를 통해 전송
+    // 서비스 간 공유 토큰 관리자 (만료 전 갱신, 401 시 1회 재시도)
+    this.tokenManager = getTokenManager(maps, { accessToken, config });
+    this.outboundQueue = getOutboundQueue(maps, { tokenManager: this.tokenManager, config });
+    // 예약 서비스와 함께 쓰는 Booking_Create 전송 경로 (보류, 충돌 확인, 선점)
+    this.bookingCreator = getBookingCreator(maps, { outboundQueue: this.outboundQueue, bookingDataCache, config });
+    // 결제 내역이 있으면 예약 목록의 단일 결제 정보 대신 합산 값을 사용
+    this.paymentLedger = getPaymentLedger(maps);
   }
 
   async handleCustomerResponse(response) {
@@ -24,20 +48,30 @@ class CustomerService {
 
     logger.debug(`Detected customerId: ${customerId}`);
     this._storeCustomerUpdate(customerData);
+    if (this.config.customer.profileSync) {
+      await this._syncCustomerProfile(customerData);
+    }
     
     // 이미 처리 중인 고객 ID는 건너뜀
-    if (this.recentCustomerIds.has(customerId) || this.processedCustomerRequests.has(customerId)) {
+    if (this.pendingCustomers.has(customerId) || this.processedCustomerRequests.has(customerId)) {
       logger.info(`Already processing customer ${customerId}, skipping duplicate check`);
       return;
     }
 
     // 요청 중복 방지
-    this.recentCustomerIds.add(customerId);
     this.processedCustomerRequests.add(customerId);
-    logger.info(`Added customer ${customerId} to recent checks, will process after booking data is received`);
+    logger.info(`Added customer ${customerId} to pending queue, will process after booking data is received`);
+
+    // 다음 예약 목록 수신 시 처리 (제한 시간이 지나면 예약 목록을 직접 조회)
+    this.pendingCustomers.enqueue(customerId).then(() => this._releaseCustomerRequest(customerId));
+  }
 
-    // 최신 예약 데이터를 얻은 후 처리 (10초 후)
-    setTimeout(() => this._processPendingCustomer(customerId), 10000);
+  /**
+   * 새 예약 목록 수신 시 대기 중인 고객 처리
+   * @param {Object} bookingData 예약 목록 응답 데이터
+   */
+  async handleBookingData(bookingData) {
+    await this.pendingCustomers.handleBookingData(bookingData);
   }
 
   _storeCustomerUpdate(data) {
@@ -50,13 +84,13 @@ class CustomerService {
       }
     }
     
-    logger.info(`Detected customer info access - customerId: ${data.id}, name: ${data.name || ''}, updateTime: ${latestUpdateTime}`);
+    logger.info(`Detected customer info access - customerId: ${data.id}, updateTime: ${latestUpdateTime}`);
     
-    // 현재 시간 기준으로 최근 업데이트된 고객 정보만 저장 (30초 이내)
+    // 현재 시간 기준으로 최근 업데이트된 고객 정보만 저장 (기본 30초 이내)
     const now = Date.now();
-    const thirtySecondsAgo = now - 30 * 1000;
+    const updateWindowStart = now - this.config.customer.updateWindowMs;
     
-    if (latestUpdateTime && latestUpdateTime > thirtySecondsAgo) {
+    if (latestUpdateTime && latestUpdateTime > updateWindowStart) {
       logger.info(`Storing recent customer update for customerId: ${data.id}`);
       this.customerUpdates.set(data.id, {
         id: data.id,
@@ -68,129 +102,165 @@ class CustomerService {
     }
   }
 
-  async _processPendingCustomer(customerId) {
-    try {
-      // 캐시된 예약 데이터 확인 - 리팩토링된 로직 사용
-      if (isCacheValid(this.bookingDataCache, 60000)) {
-        logger.info(`Using cached booking data from ${new Date(this.bookingDataCache.timestamp).toISOString()}`);
-        await this.processCustomerBookings(customerId, this.bookingDataCache.data);
-      } else {
-        logger.info(`Waiting for next booking data to process customer ${customerId}`);
-        // 다음 예약 데이터가 수신될 때까지 기다림 - 주기적으로 요청되는 데이터
+  /**
+   * 고객 정보 응답의 이름/전화번호를 이미 24골프에 보낸 예약에 반영
+   * 예약 목록 캐시에서 고객의 확정 예약을 찾아 마지막 전송 데이터와 다르면 Booking_Update를 보냅니다.
+   * 휴대전화 번호가 아닌 값은 보내지 않습니다. (기존 번호 유지)
+   * @param {Object} data 고객 정보 응답 데이터 {id, name, phone}
+   * @returns {Promise<number>} 보낸 Booking_Update 수
+   */
+  async _syncCustomerProfile(data) {
+    const profile = normalizeCustomer(data);
+    if (profile.phoneRejected) {
+      logger.warn(`Ignoring invalid phone number for customer ${data.id}`);
+    }
+
+    let updatedCount = 0;
+    for (const booking of findBookingsByCustomerId(data.id, this.bookingDataCache, 'success')) {
+      const bookId = booking.book_id;
+      const lastSent = this.maps.sentBookings.get(bookId);
+      if (!lastSent || lastSent.canceled) continue;
+
+      const changes = diffBookingData(lastSent, profile, CUSTOMER_FIELDS);
+      if (!changes) continue;
+
+      logger.info(`Detected customer profile change for book_id ${bookId}: ${Object.keys(changes).join(', ')}`);
+      try {
+        await logger.withContext({ bookId }, () => this.outboundQueue.submit('Booking_Update', { externalId: bookId, ...changes }));
+        updatedCount++;
+      } catch (error) {
+        logger.error(`Failed to send customer profile update for ${bookId}: ${error.message}`, error);
       }
-    } catch (e) {
-      logger.error(`Failed to process customer ${customerId} bookings: ${e.message}`, e);
-    } finally {
-      // 처리 완료 후 Set에서 제거
-      this.recentCustomerIds.delete(customerId);
-      // 1분 후에 processedCustomerRequests에서 제거 (중복 요청 방지 해제)
-      setTimeout(() => {
-        this.processedCustomerRequests.delete(customerId);
-        logger.info(`Removed customer ${customerId} from processed requests after 1 minute`);
-      }, 60000);
-      logger.info(`Removed customer ${customerId} from recent checks after processing`);
     }
+    return updatedCount;
+  }
+
+  async _fetchBookingsForPending() {
+    const storeId = this.config.store.id || this.maps.storeId;
+    if (!storeId) {
+      throw new Error('Store ID not found for fetching booking data');
+    }
+
+    const data = await fetchCrawlBookings(storeId, this.tokenManager, this.config.api.baseUrl);
+    if (data?.results) {
+      updateCache(this.bookingDataCache, data);
+    }
+    return data;
+  }
+
+  _releaseCustomerRequest(customerId) {
+    // 기본 1분 후에 processedCustomerRequests에서 제거 (중복 요청 방지 해제)
+    const cooldownMs = this.config.customer.requestCooldownMs;
+    const timer = setTimeout(() => {
+      this.processedCustomerRequests.delete(customerId);
+      logger.info(`Removed customer ${customerId} from processed requests after ${Math.round(cooldownMs / 1000)}s`);
+    }, cooldownMs);
+    if (timer.unref) timer.unref();
   }
 
+  /**
+   * 예약 목록에서 고객의 새 확정 예약을 찾아 Booking_Create 전송
+   * 오류는 대기열(pendingCustomerQueue)이 다시 시도하도록 그대로 던집니다.
+   * @param {string|number} customerId 고객 ID
+   * @param {Object} bookingData 예약 목록 응답 데이터
+   * @returns {Promise<boolean>} 예약 목록에 고객의 확정 예약이 있었는지 여부 (모두 이미 처리했어도 true, 하나도 없으면 대기열에서 다시 확인)
+   */
   async processCustomerBookings(customerId, bookingData) {
     logger.info(`Processing bookings for customer ${customerId}`);
     const { paymentAmounts, paymentStatus, processedBookings } = this.maps;
-    
-    try {
-      if (!bookingData.results || !Array.isArray(bookingData.results)) {
-        logger.warn(`No booking results found in data`);
-        return;
-      }
-      
-      // 리팩토링된 로직 사용 - 고객 ID에 해당하는 성공 상태 예약만 필터링
-      const customerBookings = findBookingsByCustomerId(customerId, { data: bookingData }, 'success')
-        .filter(booking => 
-          !processedBookings.has(booking.book_id) &&
-          !this.processedAppBookings.has(booking.book_id)
-        );
-      
-      logger.info(`Found ${customerBookings.length} success bookings for customer ${customerId}`);
-      
-      if (customerBookings.length > 0) {
-        // 최신 업데이트 순으로 정렬
-        customerBookings.sort((a, b) => {
-          const aDate = new Date(a.customer_detail?.customerinfo_set?.[0]?.upd_date || 0);
-          const bDate = new Date(b.customer_detail?.customerinfo_set?.[0]?.upd_date || 0);
-          return bDate - aDate;
-        });
-        
-        // 최신 예약 처리
-        for (const booking of customerBookings) {
-          const bookId = booking.book_id;
-          logger.debug(`Processing booking: ${bookId}`);
-          
-          // 결제 정보 가져오기 - 리팩토링된 로직 사용
-          const { amount, finished } = extractPaymentInfo(booking);
-          
-          logger.debug(`Booking info - book_id: ${bookId}, customer: ${booking.customer}, state: ${booking.state}`);
-          logger.debug(`Extracted payment info for book_id ${bookId}: amount=${amount}, finished=${finished}`);
-          
-          // 맵에 저장
-          paymentAmounts.set(bookId, amount);
-          paymentStatus.set(bookId, finished);
-          
-          // 예약 처리 데이터 준비 - 리팩토링된 로직 사용
-          const bookingData = prepareBookingData(
-            booking,
-            amount,
-            finished,
-            booking.immediate_booked || false
-          );
-          
-          logger.debug(`Final API payment amount for customer booking ${bookId}: ${bookingData.paymentAmount}`);
-          
-          try {
-            // 유효한 토큰 확인
-            let currentToken = this.accessToken;
-            if (!currentToken) {
-              logger.debug(`No access token available, fetching new one`);
-              currentToken = await getAccessToken();
-            }
-            
-            logger.info(`Processing Auto Booking_Create for book_id: ${bookId}`);
-            logger.debug(`Sending API data for auto booking:`, bookingData);
-            
-            // 예약 등록 API 호출 - 리팩토링된 로직 사용
-            await createBooking(
-              bookingData,
-              currentToken,
-              processedBookings,
-              paymentAmounts,
-              paymentStatus
-            );
-            
-            logger.info(`Requested Auto Booking_Create for book_id: ${bookId}`);
-            this.processedAppBookings.add(bookId);
-          } catch (error) {
-            logger.error(`Failed to process Auto Booking_Create: ${error.message}`, error);
-          }
+
+    if (!bookingData.results || !Array.isArray(bookingData.results)) {
+      throw new Error('No booking results found in data');
+    }
+
+    // 리팩토링된 로직 사용 - 고객 ID에 해당하는 성공 상태 예약만 필터링
+    const successBookings = findBookingsByCustomerId(customerId, { data: bookingData }, 'success');
+    if (successBookings.length === 0) {
+      logger.info(`No success bookings found for customer ${customerId}`);
+      return false;
+    }
+
+    // 이미 처리했거나 다른 경로가 선점한 예약은 다시 보내지 않음 (모두 처리했으면 이 고객은 끝난 것)
+    const customerBookings = successBookings.filter(booking =>
+      !processedBookings.has(booking.book_id) &&
+      !this.idempotency.has(booking.book_id)
+    );
+
+    logger.info(`Found ${customerBookings.length} new of ${successBookings.length} success bookings for customer ${customerId}`);
+    if (customerBookings.length === 0) {
+      return true;
+    }
+
+    // 최신 업데이트 순으로 정렬
+    customerBookings.sort((a, b) => {
+      const aDate = new Date(a.customer_detail?.customerinfo_set?.[0]?.upd_date || 0);
+      const bDate = new Date(b.customer_detail?.customerinfo_set?.[0]?.upd_date || 0);
+      return bDate - aDate;
+    });
+
+    // 최신 예약 처리
+    const failed = [];
+    for (const booking of customerBookings) {
+      const bookId = booking.book_id;
+      logger.debug(`Processing booking: ${bookId}`);
+
+      // 결제 정보 가져오기 - 결제 내역이 있으면 합산 값 사용
+      const { amount, finished } = this.paymentLedger.getPaymentInfo(bookId, extractPaymentInfo(booking));
+
+      logger.debug(`Booking info - book_id: ${bookId}, customer: ${booking.customer}, state: ${booking.state}`);
+      logger.debug(`Extracted payment info for book_id ${bookId}: amount=${amount}, finished=${finished}`);
+
+      // 맵에 저장
+      paymentAmounts.set(bookId, amount);
+      paymentStatus.set(bookId, finished);
+
+      // 예약 처리 데이터 준비 - 리팩토링된 로직 사용
+      const bookingData = prepareBookingData(
+        booking,
+        amount,
+        finished,
+        booking.immediate_booked || false,
+        this.config.store.roomMap
+      );
+
+      logger.debug(`Final API payment amount for customer booking ${bookId}: ${bookingData.paymentAmount}`);
+
+      try {
+        logger.info(`Processing Auto Booking_Create for book_id: ${bookId}`);
+
+        // 예약 서비스와 같은 경로로 등록 - 룸/충돌 확인에 걸리면 보류하고, 다른 경로가 먼저 선점했으면 건너뛰며,
+        // 실패 시 재시도 큐가 전송을 이어받음
+        const outcome = await this.bookingCreator.create(bookingData, 'customer', { booking });
+        if (outcome.success || outcome.queued) {
+          logger.info(`Requested Auto Booking_Create for book_id: ${bookId}`);
         }
-      } else {
-        logger.info(`No new success bookings found for customer ${customerId}`);
+      } catch (error) {
+        logger.error(`Failed to process Auto Booking_Create: ${error.message}`, error);
+        failed.push(bookId);
       }
-    } catch (e) {
-      logger.error(`Failed to process customer bookings: ${e.message}`, e);
     }
+
+    if (failed.length > 0) {
+      throw new Error(`Booking_Create failed for ${failed.join(', ')}`);
+    }
+    return true;
   }
 
   // 오래된 고객 업데이트 정보 정리
   cleanUpOldUpdates() {
-    const fiveMinutesAgo = Date.now() - 5 * 60 * 1000;
+    const retentionStart = Date.now() - this.config.customer.updateRetentionMs;
     for (const [customerId, data] of this.customerUpdates.entries()) {
-      if (data.timestamp < fiveMinutesAgo) {
+      if (data.timestamp < retentionStart) {
         this.customerUpdates.delete(customerId);
       }
     }
     
-    // 오래된 처리 정보 정리 (하루에 한 번)
-    if (this.processedAppBookings.size > 1000) {
-      logger.info(`Clearing old processed app bookings (size=${this.processedAppBookings.size})`);
-      this.processedAppBookings.clear();
+    // 만료된 선점과 오래된 처리 정보 정리 (상태 저장소가 없으면 기준 개수를 넘을 때 비움)
+    this.idempotency.cleanUp();
+
+    // 상태 저장소를 사용하는 경우 보관 기간이 지난 항목만 압축으로 정리
+    if (this.maps.stateStore) {
+      this.maps.stateStore.compact();
     }
   }
 }
@@ -0,0 +1,131 @@
+// services/heldBookings.js
+// 24골프 룸으로 바꿀 수 없는 룸(매핑 없음, 비활성, 룸 정보 없음)이나 고객 이름/휴대전화 번호가 없는 예약(customer.holdMissingProfile)을 전송하지 않고 보관합니다.
+// 룸 매핑이나 고객 정보를 고친 뒤 다시 처리(재시작 후 예약 목록, 예약 목록의 룸 변경, 고객 정보 응답 또는 관리 명령 create)하여 전송하면 보류가 해제됩니다.
+const logger = require('../utils/logger');
+const { resolveBookingRoom } = require('../utils/bookingHelpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HeldBookings {
+  /**
+   * @param {Object} maps 공유 맵 객체 (stateStore가 있으면 영구 저장)
+   */
+  constructor(maps) {
+    // bookId -> {bookId, action, reason, status, kimcaddyRoomId, source, payload, heldAt, updatedAt}
+    this.held = maps.stateStore
+      ? maps.stateStore.getMap('rooms.heldBookings', { maxAgeMs: 30 * DAY_MS })
+      : new Map();
+  }
+
+  get size() {
+    return this.held.size;
+  }
+
+  /**
+   * 예약 보류
+   * @param {string} action 'Booking_Create' | 'Booking_Update'
+   * @param {Object} payload 보낼 예정이던 데이터
+   * @param {Object} room resolveBookingRoom 결과 {status, kimcaddyRoomId} (고객 정보 보류는 {status: 'missing_name' | 'missing_phone'})
+   * @param {string} source 보류한 경로
+   * @param {string} reason 보류 사유 ('room' | 'phone')
+   * @returns {Object} 보류 기록
+   */
+  hold(action, payload, room, source = null, reason = 'room') {
+    const bookId = payload.externalId;
+    const existing = this.held.get(bookId);
+    const now = Date.now();
+    const entry = {
+      bookId,
+      action,
+      reason,
+      status: room.status,
+      kimcaddyRoomId: room.kimcaddyRoomId ?? null,
+      source,
+      payload,
+      heldAt: existing?.heldAt || now,
+      updatedAt: now
+    };
+    this.held.set(bookId, entry);
+
+    if (!existing || existing.status !== entry.status) {
+      logger.warn(reason === 'phone'
+        ? `Holding ${action} for book_id ${bookId}: customer ${room.status === 'missing_name' ? 'name' : 'phone number'} is missing or invalid`
+        : `Holding ${action} for book_id ${bookId}: KimCaddie room ${room.kimcaddyRoomId ?? '(none)'} is ${room.status}`);
+    }
+    return entry;
+  }
+
+  /**
+   * 전송 데이터의 룸이 확인되지 않았으면(roomId가 null) 보류
+   * @param {string} action 'Booking_Create' | 'Booking_Update'
+   * @param {Object} payload prepareBookingData 결과
+   * @param {Object} booking 원본 예약 데이터 (김캐디 룸 확인용)
+   * @param {RoomMapping|Object} roomMap 매장 룸 매핑
+   * @param {string} source 보류한 경로
+   * @returns {Object|null} 보류 기록 (보낼 수 있으면 null)
+   */
+  holdIfUnroutable(action, payload, booking, roomMap, source = null) {
+    if (payload.roomId !== null && payload.roomId !== undefined) return null;
+    return this.hold(action, payload, resolveBookingRoom(booking || {}, roomMap), source);
+  }
+
+  /**
+   * 고객 이름이나 휴대전화 번호가 없으면(prepareBookingData에서 null) 보류
+   * customer.holdMissingProfile을 켠 매장에서만 사용하며, 끄면 빈 값으로 전송합니다.
+   * @param {string} action 'Booking_Create'
+   * @param {Object} payload prepareBookingData 결과
+   * @param {string} source 보류한 경로
+   * @returns {Object|null} 보류 기록 (보낼 수 있으면 null)
+   */
+  holdIfMissingCustomer(action, payload, source = null) {
+    if (payload.name !== null && payload.phone !== null) return null;
+    return this.hold(action, payload, { status: payload.name === null ? 'missing_name' : 'missing_phone' }, source, 'phone');
+  }
+
+  /**
+   * 보류 해제
+   * @param {string} bookId 예약 ID
+   * @param {string} reason 해제 사유
+   * @returns {boolean} 보류 중이었는지 여부
+   */
+  release(bookId, reason) {
+    if (!this.held.has(bookId)) return false;
+
+    this.held.delete(bookId);
+    logger.info(`Released held booking ${bookId} (${reason})`);
+    return true;
+  }
+
+  /**
+   * @param {string} bookId 예약 ID
+   * @returns {Object|null} 보류 기록
+   */
+  get(bookId) {
+    return this.held.get(bookId) || null;
+  }
+
+  /**
+   * 보류 중인 예약 목록 (오래된 순)
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.held.values()].sort((a, b) => a.heldAt - b.heldAt);
+  }
+}
+
+/**
+ * maps 단위로 공유되는 보류 예약 목록 반환
+ * @param {Object} maps 공유 맵 객체
+ * @returns {HeldBookings}
+ */
+const getHeldBookings = (maps) => {
+  if (!maps.heldBookings) {
+    maps.heldBookings = new HeldBookings(maps);
+  }
+  return maps.heldBookings;
+};
+
+module.exports = {
+  HeldBookings,
+  getHeldBookings
+};
@@ -0,0 +1,256 @@
+// services/idempotencyRegistry.js
+// 예약 ID와 작업(create/cancel) 단위로 전송 전에 처리 권한을 선점하여, 여러 경로에서 같은 예약을 중복 전송하지 않게 합니다.
+// 확인 요청, 예약 목록, 고객 정보 경로가 같은 레지스트리를 공유하며 예약마다 잠금을 걸어 순서대로 처리합니다.
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getConfig } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 기존 processedAppBookings에서 옮겨 온 기록 (어떤 작업이었는지 알 수 없음)
+const LEGACY_ACTION = 'legacy';
+const ACTIONS = ['create', 'cancel', LEGACY_ACTION];
+const LEGACY_NAMESPACES = ['bookingService.processedAppBookings', 'customerService.processedAppBookings'];
+
+const claimKey = (bookId, action) => `${action}:${bookId}`;
+
+class IdempotencyRegistry {
+  /**
+   * @param {Object} maps 공유 맵 객체 (stateStore가 있으면 완료 기록을 영구 저장)
+   * @param {Object} options 옵션
+   * @param {Object} options.config 설정 객체 (idempotency.*, customer.processedClearThreshold 사용)
+   */
+  constructor(maps, { config = getConfig() } = {}) {
+    this.maps = maps;
+    this.claimTtlMs = config.idempotency.claimTtlMs;
+    this.clearThreshold = config.customer.processedClearThreshold;
+    // 완료된 작업 {action}:{bookId} -> {bookId, action, source, completedAt}
+    this.completed = maps.stateStore
+      ? maps.stateStore.getMap('idempotency.completed', { maxAgeMs: 90 * DAY_MS })
+      : new Map();
+    // 전송 중인 작업 (프로세스 안에서만 의미가 있으므로 저장하지 않음)
+    this.inFlight = new Map();
+    // 예약별 잠금 (마지막 대기 Promise)
+    this.locks = new Map();
+
+    if (maps.stateStore) {
+      this._migrateLegacySets(maps.stateStore);
+    }
+  }
+
+  /**
+   * 예약이 처리되었거나 처리 중인지 확인
+   * @param {string} bookId 예약 ID
+   * @param {string} action 작업 (생략하면 모든 작업)
+   * @returns {boolean}
+   */
+  has(bookId, action = null) {
+    return (action ? [action] : ACTIONS).some(item => Boolean(this._find(bookId, item)));
+  }
+
+  /**
+   * 예약의 처리 기록 목록
+   * @param {string} bookId 예약 ID
+   * @returns {Array<Object>} [{bookId, action, status, source, ...}]
+   */
+  getClaims(bookId) {
+    return ACTIONS.map(action => this._find(bookId, action)).filter(Boolean);
+  }
+
+  /**
+   * 처리 기록이 있는 예약 ID 목록
+   * @returns {Array<string>}
+   */
+  listBookIds() {
+    const bookIds = new Set();
+    for (const entry of [...this.completed.values(), ...this.inFlight.values()]) {
+      bookIds.add(entry.bookId);
+    }
+    return [...bookIds].filter(bookId => this.has(bookId));
+  }
+
+  /**
+   * 작업 선점
+   * 이미 완료했거나 다른 경로가 전송 중이면(만료 전) null을 반환합니다.
+   * @param {string} bookId 예약 ID
+   * @param {string} action 작업 ('create' | 'cancel')
+   * @param {Object} options 옵션
+   * @param {string} options.source 선점한 경로 (로그/조회용)
+   * @param {boolean} options.force 기존 기록이 있어도 선점 (관리 명령용)
+   * @returns {Object|null} 선점 정보 {id, bookId, action, source, claimedAt, expiresAt}
+   */
+  claim(bookId, action, { source = null, force = false } = {}) {
+    const existing = this._find(bookId, action);
+    if (existing && !force) return null;
+
+    const now = Date.now();
+    const claim = {
+      id: crypto.randomBytes(4).toString('hex'),
+      bookId,
+      action,
+      source,
+      status: 'in-flight',
+      claimedAt: now,
+      expiresAt: now + this.claimTtlMs
+    };
+    this.inFlight.set(claimKey(bookId, action), claim);
+    return claim;
+  }
+
+  /**
+   * 선점한 작업을 완료로 기록
+   * @param {Object} claim claim()이 반환한 선점 정보
+   */
+  complete(claim) {
+    const key = claimKey(claim.bookId, claim.action);
+    if (this.inFlight.get(key)?.id === claim.id) {
+      this.inFlight.delete(key);
+    }
+    this.completed.set(key, { bookId: claim.bookId, action: claim.action, source: claim.source, status: 'completed', completedAt: Date.now() });
+  }
+
+  /**
+   * 선점 해제 (전송 실패 시 다른 경로가 다시 시도할 수 있도록)
+   * @param {Object} claim claim()이 반환한 선점 정보
+   * @param {string} reason 해제 사유
+   */
+  release(claim, reason = null) {
+    const key = claimKey(claim.bookId, claim.action);
+    if (this.inFlight.get(key)?.id !== claim.id) return;
+
+    this.inFlight.delete(key);
+    logger.info(`Released ${claim.action} claim for book_id ${claim.bookId}${reason ? ` (${reason})` : ''}`);
+  }
+
+  /**
+   * 예약별 잠금을 잡고 함수 실행 (같은 예약의 작업은 순서대로 실행)
+   * @param {string} bookId 예약 ID
+   * @param {Function} fn 실행할 함수
+   * @returns {Promise<any>} fn의 반환값
+   */
+  async withLock(bookId, fn) {
+    const previous = this.locks.get(bookId) || Promise.resolve();
+    let unlock;
+    const current = new Promise(resolve => { unlock = resolve; });
+    const tail = previous.then(() => current);
+    this.locks.set(bookId, tail);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      unlock();
+      if (this.locks.get(bookId) === tail) {
+        this.locks.delete(bookId);
+      }
+    }
+  }
+
+  /**
+   * 잠금 -> 선점 -> 전송 -> 완료/해제를 한 번에 처리
+   * 전송 함수가 성공하거나 재시도 큐가 이어받으면 완료로 기록합니다.
+   * 예외가 발생하면 선점을 해제하고 예외를 다시 던지며, 데드레터 목록에 있어 보내지 않은 경우({deadLettered})도 해제합니다.
+   * @param {string} bookId 예약 ID
+   * @param {string} action 작업 ('create' | 'cancel')
+   * @param {Function} send 전송 함수
+   * @param {Object} options claim() 옵션 {source, force}
+   * @returns {Promise<Object>} 전송 결과 또는 {skipped: true, claims}
+   */
+  async run(bookId, action, send, options = {}) {
+    return this.withLock(bookId, async () => {
+      const claim = this.claim(bookId, action, options);
+      if (!claim) {
+        logger.info(`Skipping ${action} for book_id ${bookId}: already claimed`, { claims: this.getClaims(bookId) });
+        return { skipped: true, claims: this.getClaims(bookId) };
+      }
+
+      try {
+        const result = await send();
+        if (result?.deadLettered) {
+          this.release(claim, 'dead-lettered');
+        } else {
+          this.complete(claim);
+        }
+        return result;
+      } catch (error) {
+        this.release(claim, error.message);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * 예약의 모든 처리 기록 삭제 (관리 명령)
+   * @param {string} bookId 예약 ID
+   * @returns {boolean} 삭제한 기록이 있는지 여부
+   */
+  forget(bookId) {
+    let removed = false;
+    for (const action of ACTIONS) {
+      const key = claimKey(bookId, action);
+      removed = this.completed.delete(key) || removed;
+      removed = this.inFlight.delete(key) || removed;
+    }
+    return removed;
+  }
+
+  /**
+   * 만료된 선점 정리
+   * 상태 저장소가 없으면 완료 기록이 기준 개수를 넘을 때 비웁니다. (저장소가 있으면 보관 기간으로 정리)
+   */
+  cleanUp() {
+    const now = Date.now();
+    for (const [key, claim] of this.inFlight.entries()) {
+      if (claim.expiresAt <= now) {
+        this.inFlight.delete(key);
+        logger.warn(`Expired ${claim.action} claim for book_id ${claim.bookId} from ${claim.source || 'unknown source'}`);
+      }
+    }
+
+    if (!this.maps.stateStore && this.completed.size > this.clearThreshold) {
+      logger.info(`Clearing old idempotency records (size=${this.completed.size})`);
+      this.completed.clear();
+    }
+  }
+
+  _find(bookId, action) {
+    const key = claimKey(bookId, action);
+    const claim = this.inFlight.get(key);
+    if (claim && claim.expiresAt > Date.now()) return claim;
+    return this.completed.get(key) || null;
+  }
+
+  // 서비스별 processedAppBookings 기록을 레지스트리로 옮김
+  _migrateLegacySets(stateStore) {
+    for (const namespace of LEGACY_NAMESPACES) {
+      const legacy = stateStore.getSet(namespace);
+      if (legacy.size === 0) continue;
+
+      for (const bookId of legacy) {
+        if (!this.has(bookId)) {
+          this.completed.set(claimKey(bookId, LEGACY_ACTION), { bookId, action: LEGACY_ACTION, source: namespace, status: 'completed', completedAt: Date.now() });
+        }
+      }
+      logger.info(`Migrated ${legacy.size} records from ${namespace} to the idempotency registry`);
+      legacy.clear();
+    }
+  }
+}
+
+/**
+ * maps 단위로 공유되는 멱등성 레지스트리 반환
+ * @param {Object} maps 공유 맵 객체
+ * @param {Object} options {config}
+ * @returns {IdempotencyRegistry}
+ */
+const getIdempotencyRegistry = (maps, options = {}) => {
+  if (!maps.idempotency) {
+    maps.idempotency = new IdempotencyRegistry(maps, options);
+  }
+  return maps.idempotency;
+};
+
+module.exports = {
+  IdempotencyRegistry,
+  getIdempotencyRegistry
+};
@@ -0,0 +1,392 @@
+// services/outboundQueue.js
+// 24골프 API 호출(Booking_Create/Cancel/Update)을 작업으로 저장하고 실패 시 백오프로 재시도하는 큐입니다.
+const { createBooking, cancelBooking, updateBooking } = require('../utils/apiHelpers');
+const { PAYMENT_FIELDS } = require('../utils/bookingHelpers');
+const { NOTIFICATION_EVENTS, notify } = require('../notifications/notifier');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const logger = require('../utils/logger');
+const { getConfig } = require('../config');
+
+/**
+ * 재시도해도 되는 오류인지 판단하는 함수
+ * 네트워크 오류, 401, 408, 429, 5xx는 재시도하고 그 외 4xx는 즉시 실패로 처리합니다.
+ * @param {Error} error 오류 객체
+ * @returns {boolean}
+ */
+const isRetryableError = (error) => {
+  const status = error.response?.status;
+  if (!status) return true;
+  return status === 401 || status === 408 || status === 429 || status >= 500;
+};
+
+/**
+ * 오류 객체에서 저장 가능한 정보만 추출하는 함수
+ * @param {Error} error 오류 객체
+ * @returns {Object}
+ */
+const serializeError = (error) => ({
+  message: error.message,
+  status: error.response?.status || null,
+  data: error.response?.data || null
+});
+
+// 작업 등록 순서 비교 (등록 시각, 같은 시각이면 등록 순서 번호)
+const compareOrder = (a, b) => a.createdAt - b.createdAt || (a.seq || 0) - (b.seq || 0);
+
+class OutboundQueue {
+  /**
+   * @param {Object} maps 공유 맵 객체 (stateStore가 있으면 작업을 영구 저장)
+   * @param {Object} options 옵션
+   * @param {TokenManager} options.tokenManager 토큰 관리자 (없으면 공용 토큰 관리자, 401이면 갱신 후 1회 재시도)
+   * @param {Object} options.config 설정 객체 (outbound.* 재시도/서킷 브레이커 설정 사용)
+   * @param {CircuitBreaker} options.breaker 서킷 브레이커 (선택적)
+   */
+  constructor(maps, { tokenManager = null, config = getConfig(), breaker = null } = {}) {
+    this.maps = maps;
+    this.tokenManager = tokenManager;
+    this.maxAttempts = config.outbound.maxAttempts;
+    this.baseDelayMs = config.outbound.baseDelayMs;
+    this.maxDelayMs = config.outbound.maxDelayMs;
+    this.breaker = breaker || new CircuitBreaker({
+      failureThreshold: config.outbound.breakerFailureThreshold,
+      resetTimeoutMs: config.outbound.breakerResetMs
+    });
+    this.jobs = maps.stateStore ? maps.stateStore.getMap('outboundJobs') : new Map();
+    this.deadLetters = maps.stateStore ? maps.stateStore.getMap('deadLetters') : new Map();
+    // 지금 전송 중인 작업 ID (같은 작업을 동시에 두 번 보내지 않도록)
+    this.inFlight = new Set();
+    this.timer = null;
+    this.processing = false;
+
+    if (this.jobs.size > 0) {
+      logger.info(`Restored ${this.jobs.size} pending outbound jobs`);
+      this._scheduleNext();
+    }
+  }
+
+  get size() {
+    return this.jobs.size;
+  }
+
+  /**
+   * 작업을 등록하고 즉시 한 번 시도
+   * 같은 예약에 대한 같은 작업은 하나로 합쳐지며, 전송 중에 합쳐진 데이터는 그 전송이 끝난 뒤 다시 보냅니다.
+   * 같은 예약의 작업은 등록 순서대로 하나씩 보냅니다. 앞 작업이 전송 중이거나 재시도를 기다리면 뒤 작업도 기다립니다.
+   * 아직 보내지 못한 Booking_Create가 있으면 Booking_Update는 그 데이터에 합치고,
+   * Booking_Cancel은 대기 중인 작업을 버립니다 (24골프에 만들어지지 않은 예약이면 취소도 보내지 않음).
+   * @param {string} action 'Booking_Create' | 'Booking_Cancel' | 'Booking_Update'
+   * @param {Object} payload 작업 데이터 (externalId 필수)
+   * @returns {Promise<Object>} {success, result} 또는 {queued, jobId} 또는 {deadLettered, jobId}
+   */
+  async submit(action, payload) {
+    const jobId = `${action}:${payload.externalId}`;
+    const createId = `Booking_Create:${payload.externalId}`;
+
+    if (action === 'Booking_Cancel') {
+      const dropped = this._dropPendingFor(payload.externalId);
+      if (dropped) {
+        return { success: true, result: { droppedCreate: dropped.id } };
+      }
+    }
+
+    if (this.deadLetters.has(jobId)) {
+      logger.warn(`Job ${jobId} is in the dead-letter list, skipping until it is replayed`);
+      return { deadLettered: true, jobId };
+    }
+
+    if (action === 'Booking_Update' && this.jobs.has(createId) && !this.inFlight.has(createId)) {
+      // Booking_Create가 전체 데이터를 보내므로 변경분은 그 작업에 합침
+      const create = this.jobs.get(createId);
+      const { externalId, ...changes } = payload;
+      this.jobs.set(createId, { ...create, payload: { ...create.payload, ...changes } });
+      logger.info(`Merged Booking_Update into pending ${createId}`);
+      return { queued: true, jobId: createId };
+    }
+
+    const existing = this.jobs.get(jobId);
+    const now = Date.now();
+    const job = existing
+      ? { ...existing, payload: { ...existing.payload, ...payload } }
+      : { id: jobId, action, payload, attempts: 0, nextAttemptAt: now, createdAt: now, seq: this._nextSeq(), lastError: null };
+    this.jobs.set(jobId, job);
+
+    if (existing || this._isBlocked(job) || !this.breaker.canRequest()) {
+      logger.info(`Queued ${jobId} for later delivery`);
+      this._scheduleNext();
+      return { queued: true, jobId };
+    }
+
+    return this._attempt(job, true);
+  }
+
+  // Booking_Cancel 등록 시 같은 예약의 대기 중인 작업 정리
+  // 전송 중이 아닌 Booking_Update와 Booking_Create(데드레터 포함)를 버리고, 버린 Booking_Create가
+  // 아직 시도하지 않았거나 24골프가 응답으로 거절한 것이면 (예약이 만들어지지 않았으므로) 그 작업을 반환합니다.
+  // 네트워크 오류로 결과를 모르는 Booking_Create였으면 취소를 보내야 하므로 null을 반환합니다.
+  _dropPendingFor(externalId) {
+    let droppedCreate = null;
+    for (const job of [...this.jobs.values(), ...this.deadLetters.values()]) {
+      if (job.payload.externalId !== externalId || this.inFlight.has(job.id)) continue;
+      if (job.action !== 'Booking_Create' && job.action !== 'Booking_Update') continue;
+
+      this.jobs.delete(job.id);
+      this.deadLetters.delete(job.id);
+      logger.info(`Dropped ${job.id} because the booking was canceled`);
+      if (job.action === 'Booking_Create') droppedCreate = job;
+    }
+
+    const neverCreated = droppedCreate && (droppedCreate.attempts === 0 || droppedCreate.lastError?.status);
+    return neverCreated ? droppedCreate : null;
+  }
+
+  /**
+   * 데드레터 목록 조회
+   * @returns {Array<Object>}
+   */
+  listDeadLetters() {
+    return [...this.deadLetters.values()];
+  }
+
+  /**
+   * 데드레터 작업을 다시 큐에 등록
+   * @param {string} jobId 작업 ID
+   * @returns {boolean} 재등록 여부
+   */
+  replayDeadLetter(jobId) {
+    const job = this.deadLetters.get(jobId);
+    if (!job) return false;
+
+    this.deadLetters.delete(jobId);
+    this.jobs.set(jobId, { ...job, attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+    logger.info(`Replaying dead-letter job ${jobId}`);
+    this._scheduleNext();
+    return true;
+  }
+
+  /**
+   * 모든 데드레터 작업을 다시 큐에 등록
+   * @returns {number} 재등록된 작업 수
+   */
+  replayAllDeadLetters() {
+    let count = 0;
+    for (const jobId of [...this.deadLetters.keys()]) {
+      if (this.replayDeadLetter(jobId)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * 예약된 재시도 타이머 정지
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // 실행 시각이 된 작업 처리
+  async _processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const now = Date.now();
+      const dueJobIds = [...this.jobs.values()]
+        .filter(job => job.nextAttemptAt <= now && !this.inFlight.has(job.id))
+        .sort(compareOrder)
+        .map(job => job.id);
+
+      for (const jobId of dueJobIds) {
+        // 앞 작업을 보내는 동안 합쳐지거나 제거되었을 수 있으므로 현재 작업을 다시 읽음
+        const job = this.jobs.get(jobId);
+        if (!job || this.inFlight.has(jobId) || this._isBlocked(job)) continue;
+        if (!this.breaker.canRequest()) break;
+        try {
+          await this._attempt(job, false);
+        } catch (e) {
+          // 영구 실패는 이미 데드레터로 이동했으므로 다음 작업 계속
+        }
+      }
+    } finally {
+      this.processing = false;
+      this._scheduleNext();
+    }
+  }
+
+  async _attempt(job, throwOnPermanentFailure) {
+    return logger.withContext({ bookId: job.payload.externalId, jobId: job.id }, () => this._runAttempt(job, throwOnPermanentFailure));
+  }
+
+  async _runAttempt(job, throwOnPermanentFailure) {
+    const attempt = { ...job, attempts: job.attempts + 1 };
+    this.inFlight.add(job.id);
+
+    try {
+      const result = await this._execute(attempt, this.tokenManager);
+      this.breaker.recordSuccess();
+      if (this._isSuperseded(job)) {
+        // 전송 중에 합쳐진 데이터는 아직 보내지 않았으므로 바로 다시 보냄
+        this.jobs.set(job.id, { ...this.jobs.get(job.id), attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+        logger.info(`Job ${job.id} changed while it was being sent, sending the merged payload`);
+      } else {
+        this.jobs.delete(job.id);
+      }
+      if (attempt.attempts > 1) {
+        logger.info(`Delivered ${job.id} after ${attempt.attempts} attempts`);
+      }
+      if (!result?.dryRun) {
+        this._notifyDelivered(attempt);
+      }
+      return { success: true, result };
+    } catch (error) {
+      attempt.lastError = serializeError(error);
+      const retryable = isRetryableError(error);
+      const superseded = this._isSuperseded(job);
+      // 전송 중에 합쳐진 작업은 보낸 적 없는 데이터가 있으므로 합쳐진 데이터로 이어서 시도
+      const next = superseded
+        ? { ...this.jobs.get(job.id), attempts: attempt.attempts, lastError: attempt.lastError }
+        : attempt;
+
+      if (retryable) {
+        this.breaker.recordFailure();
+      } else {
+        // 응답은 받았으므로 API는 살아 있음 (반열림 상태의 시험 호출 종료)
+        this.breaker.recordSuccess();
+      }
+
+      if ((!retryable && !superseded) || attempt.attempts >= this.maxAttempts) {
+        this._deadLetter(next);
+        if (throwOnPermanentFailure) throw error;
+        return { deadLettered: true, jobId: job.id };
+      }
+
+      next.nextAttemptAt = Date.now() + this._backoffDelay(attempt.attempts);
+      this.jobs.set(job.id, next);
+      logger.warn(`Attempt ${attempt.attempts} for ${job.id} failed (${error.message}), retrying in ${Math.round((next.nextAttemptAt - Date.now()) / 1000)}s`);
+      return { queued: true, jobId: job.id };
+    } finally {
+      this.inFlight.delete(job.id);
+      this._scheduleNext();
+    }
+  }
+
+  // 같은 예약의 앞 작업이 전송 중이거나 아직 남아 있는지 여부 (같은 예약의 작업은 등록 순서대로 하나씩 보냄)
+  _isBlocked(job) {
+    return [...this.jobs.values()].some(other => other.id !== job.id
+      && other.payload.externalId === job.payload.externalId
+      && (this.inFlight.has(other.id) || compareOrder(other, job) < 0));
+  }
+
+  // 등록 순서 번호 (같은 밀리초에 등록된 작업의 순서를 구분)
+  _nextSeq() {
+    const last = Math.max(0, ...[...this.jobs.values()].map(job => job.seq || 0));
+    return last + 1;
+  }
+
+  // 시도하는 동안 submit으로 같은 작업이 다시 등록되었는지 여부
+  _isSuperseded(job) {
+    const current = this.jobs.get(job.id);
+    return current !== undefined && current !== job;
+  }
+
+  _execute(job, token) {
+    const { processedBookings, paymentAmounts, paymentStatus, sentBookings } = this.maps;
+
+    switch (job.action) {
+      case 'Booking_Create':
+        return createBooking(job.payload, token, processedBookings, paymentAmounts, paymentStatus, sentBookings);
+      case 'Booking_Cancel':
+        return cancelBooking(job.payload.externalId, job.payload.canceledBy, token, processedBookings, paymentAmounts, paymentStatus, sentBookings);
+      case 'Booking_Update':
+        return updateBooking(job.payload, token, processedBookings, paymentAmounts, paymentStatus, sentBookings);
+      default:
+        return Promise.reject(new Error(`Unknown outbound action: ${job.action}`));
+    }
+  }
+
+  _deadLetter(job) {
+    this.jobs.delete(job.id);
+    this.deadLetters.set(job.id, { ...job, failedAt: Date.now() });
+    logger.error(`Moved ${job.id} to dead-letter list after ${job.attempts} attempts: ${job.lastError?.message}`);
+    notify(NOTIFICATION_EVENTS.SYNC_FAILED, {
+      storeId: this.maps.storeId,
+      bookId: job.payload.externalId,
+      data: { action: job.action, jobId: job.id, attempts: job.attempts, error: job.lastError?.message, status: job.lastError?.status }
+    });
+  }
+
+  // 전송에 성공한 작업의 알림 (일정만 바뀐 Booking_Update는 알리지 않음)
+  _notifyDelivered(job) {
+    const { payload } = job;
+    const details = { storeId: this.maps.storeId, bookId: payload.externalId };
+
+    switch (job.action) {
+      case 'Booking_Create':
+        notify(NOTIFICATION_EVENTS.BOOKING_CREATED, {
+          ...details,
+          data: {
+            name: payload.name,
+            roomId: payload.roomId,
+            startDate: payload.startDate,
+            endDate: payload.endDate,
+            partySize: payload.partySize,
+            paymentAmount: payload.paymentAmount,
+            paymented: payload.paymented
+          }
+        });
+        break;
+      case 'Booking_Cancel':
+        notify(NOTIFICATION_EVENTS.BOOKING_CANCELED, { ...details, data: { canceledBy: payload.canceledBy } });
+        break;
+      case 'Booking_Update':
+        if (PAYMENT_FIELDS.some(field => field in payload)) {
+          notify(NOTIFICATION_EVENTS.PAYMENT_CHANGED, {
+            ...details,
+            data: { paymentAmount: payload.paymentAmount, paymented: payload.paymented }
+          });
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  // 지수 백오프 + 지터 (지연의 50~100% 사이 임의 값)
+  _backoffDelay(attempts) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  // 전송 중인 작업과 같은 예약의 앞 작업을 기다리는 작업은 앞 작업이 끝날 때 다시 예약하므로 제외
+  _scheduleNext() {
+    this.stop();
+    const waiting = [...this.jobs.values()].filter(job => !this.inFlight.has(job.id) && !this._isBlocked(job));
+    if (waiting.length === 0) return;
+
+    const nextJobAt = Math.min(...waiting.map(job => job.nextAttemptAt));
+    const nextAt = Math.max(nextJobAt, this.breaker.nextAttemptAt());
+    this.timer = setTimeout(() => this._processDue(), Math.max(0, nextAt - Date.now()));
+    if (this.timer.unref) this.timer.unref();
+  }
+}
+
+/**
+ * maps에 공유된 큐를 반환하고, 없으면 생성하여 저장
+ * BookingService와 CustomerService가 같은 큐를 사용하도록 합니다.
+ * @param {Object} maps 공유 맵 객체
+ * @param {Object} options OutboundQueue 옵션
+ * @returns {OutboundQueue}
+ */
+const getOutboundQueue = (maps, options = {}) => {
+  if (!maps.outboundQueue) {
+    maps.outboundQueue = new OutboundQueue(maps, options);
+  }
+  return maps.outboundQueue;
+};
+
+module.exports = {
+  OutboundQueue,
+  getOutboundQueue,
+  isRetryableError
+};
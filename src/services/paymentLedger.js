@@ -0,0 +1,218 @@
+// services/paymentLedger.js
+// 예약별로 결제(revenue) 내역을 모아 총액, 결제 완료액, 미결제액, 환불액을 계산합니다.
+const EventEmitter = require('events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFUND_STATES = ['refund', 'refunded', 'cancel', 'canceled', 'cancelled'];
+const toAmount = (value) => parseInt(value, 10) || 0;
+
+/**
+ * 결제 요청 데이터에서 금액, 결제 완료 여부, 환불액 추출
+ * 환불은 refund_amount/refunded_amount, 환불/취소 상태, 음수 금액 중 하나로 전달됩니다.
+ * @param {Object} payload 결제 생성/수정 요청 데이터
+ * @returns {Object} {amount, finished, refundedAmount}
+ */
+const parseRevenuePayload = (payload) => {
+  const rawAmount = toAmount(payload.amount);
+  const state = String(payload.state || payload.status || '').toLowerCase();
+  let amount = rawAmount;
+  let refundedAmount = toAmount(payload.refund_amount ?? payload.refunded_amount);
+
+  if (rawAmount < 0) {
+    // 음수 금액은 그 자체가 환불 결제
+    amount = 0;
+    refundedAmount = Math.max(refundedAmount, -rawAmount);
+  } else if (REFUND_STATES.includes(state)) {
+    refundedAmount = refundedAmount || rawAmount;
+  }
+
+  return {
+    amount,
+    finished: payload.finished === 'true' || payload.finished === true,
+    refundedAmount
+  };
+};
+
+/**
+ * 결제 내역으로 합계 계산
+ * 예약 총액을 알면 결제 완료액이 총액에 이르러야 완납이며, 예약금만 결제한 예약은 완납이 아닙니다.
+ * @param {Object} payments 결제 ID별 결제 내역
+ * @param {number|null} bookingAmount 예약 목록의 예약 총액 (모르면 null, 기록된 결제만으로 판단)
+ * @returns {Object} {totalAmount, paidAmount, outstandingAmount, refundedAmount, netAmount, bookingAmount, finished, paymentCount}
+ */
+const computeTotals = (payments, bookingAmount = null) => {
+  let totalAmount = 0;
+  let paidAmount = 0;
+  let outstandingAmount = 0;
+  let refundedAmount = 0;
+
+  for (const payment of Object.values(payments)) {
+    totalAmount += payment.amount;
+    refundedAmount += payment.refundedAmount || 0;
+    if (payment.finished) {
+      paidAmount += payment.amount;
+    } else {
+      outstandingAmount += payment.amount;
+    }
+  }
+
+  const paymentCount = Object.keys(payments).length;
+  const coversBooking = !bookingAmount || paidAmount >= bookingAmount;
+  return {
+    totalAmount,
+    paidAmount: Math.max(0, paidAmount - refundedAmount),
+    outstandingAmount,
+    refundedAmount,
+    netAmount: Math.max(0, totalAmount - refundedAmount),
+    bookingAmount: bookingAmount || null,
+    finished: paymentCount > 0 && outstandingAmount === 0 && coversBooking,
+    paymentCount
+  };
+};
+
+class PaymentLedger extends EventEmitter {
+  /**
+   * @param {Object} maps 공유 맵 객체 (stateStore가 있으면 결제 내역을 영구 저장)
+   */
+  constructor(maps) {
+    super();
+    this.ledgers = maps.stateStore
+      ? maps.stateStore.getMap('revenue.paymentLedger', { maxAgeMs: 90 * DAY_MS })
+      : new Map();
+    // 예약 목록에서 본 예약 총액 (결제가 예약보다 늦게 연결되어도 완납 여부를 판단하도록 따로 보관)
+    this.bookingAmounts = maps.stateStore
+      ? maps.stateStore.getMap('revenue.bookingAmounts', { maxAgeMs: 90 * DAY_MS })
+      : new Map();
+  }
+
+  has(bookId) {
+    return this.ledgers.has(bookId);
+  }
+
+  /**
+   * 예약의 결제 내역 기록
+   * 같은 결제 ID는 최신 값으로 대체되며, 합계가 바뀌면 'change' 이벤트를 발생시킵니다.
+   * 결제 ID 없이 들어온 결제(결제 생성 응답에서 ID를 얻지 못한 경우)는 book_idx, 금액, 받은 시각으로 따로 기록하여
+   * 같은 결제를 다시 받아도(보관 후 연결, 재시작 후 다시 연결) 한 번만 합산하고,
+   * 같은 book_idx의 처음 보는 결제 ID가 들어오면 ID 없는 결제 하나를 그 결제로 대체합니다. (금액이 고쳐졌을 수 있으므로 금액이 같은 항목을 우선)
+   * @param {string} bookId 예약 ID
+   * @param {Object} payment {revenueId, bookIdx, amount, finished, refundedAmount, receivedAt}
+   * @returns {Object} 합계 (computeTotals 참고)
+   */
+  record(bookId, payment) {
+    const previous = this.ledgers.get(bookId);
+    const payments = { ...(previous?.payments || {}) };
+    const bookIdx = payment.bookIdx ? String(payment.bookIdx) : null;
+    const receivedAt = payment.receivedAt || Date.now();
+    let key;
+
+    if (payment.revenueId) {
+      key = String(payment.revenueId);
+      if (!payments[key]) {
+        const anonymousKey = this._findAnonymous(payments, bookIdx, payment.amount);
+        if (anonymousKey) delete payments[anonymousKey];
+      }
+    } else {
+      key = `anonymous:${bookIdx || '-'}:${payment.amount}:${receivedAt}`;
+    }
+
+    payments[key] = {
+      revenueId: payment.revenueId || null,
+      bookIdx,
+      amount: payment.amount,
+      finished: payment.finished,
+      refundedAmount: payment.refundedAmount || 0,
+      receivedAt,
+      updatedAt: Date.now()
+    };
+
+    return this._update(bookId, payments);
+  }
+
+  /**
+   * 예약 목록의 예약 총액 기록
+   * 결제 내역이 있는 예약은 합계(완납 여부)를 다시 계산하며, 바뀌면 'change' 이벤트를 발생시킵니다.
+   * @param {string} bookId 예약 ID
+   * @param {number} amount 예약 총액 (0이면 기록하지 않음)
+   */
+  setBookingAmount(bookId, amount) {
+    if (!amount || this.bookingAmounts.get(bookId) === amount) return;
+
+    this.bookingAmounts.set(bookId, amount);
+    const entry = this.ledgers.get(bookId);
+    if (entry) {
+      this._update(bookId, entry.payments);
+    }
+  }
+
+  /**
+   * 예약의 결제 합계
+   * @param {string} bookId 예약 ID
+   * @returns {Object|null} 합계 또는 결제 내역이 없으면 null
+   */
+  getTotals(bookId) {
+    return this.ledgers.get(bookId)?.totals || null;
+  }
+
+  /**
+   * 예약의 결제 ID별 내역
+   * @param {string} bookId 예약 ID
+   * @returns {Array}
+   */
+  getPayments(bookId) {
+    return Object.values(this.ledgers.get(bookId)?.payments || {});
+  }
+
+  /**
+   * 24골프로 보낼 결제 정보
+   * 결제 내역이 있으면 환불을 뺀 총액과 완납 여부를, 없으면 fallback을 반환합니다.
+   * @param {string} bookId 예약 ID
+   * @param {Object} fallback {amount, finished} (예약 목록의 revenue_detail 기준 값)
+   * @returns {Object} {amount, finished}
+   */
+  getPaymentInfo(bookId, fallback) {
+    const totals = this.getTotals(bookId);
+    return totals ? { amount: totals.netAmount, finished: totals.finished } : fallback;
+  }
+
+  // 합계를 다시 계산하여 저장하고, 바뀌었으면 'change' 이벤트 발생
+  _update(bookId, payments) {
+    const previous = this.ledgers.get(bookId);
+    const totals = computeTotals(payments, this.bookingAmounts.get(bookId) || null);
+    this.ledgers.set(bookId, { payments, totals });
+
+    if (JSON.stringify(previous?.totals) !== JSON.stringify(totals)) {
+      this.emit('change', { bookId, totals, previous: previous?.totals || null });
+    }
+    return totals;
+  }
+
+  // 결제 ID가 생긴 결제에 해당하는 ID 없는 결제 키 (같은 book_idx, 금액이 같은 항목, 없으면 가장 먼저 받은 항목)
+  // 이전 형식(순번 키)으로 저장된 항목은 순번으로 정렬
+  _findAnonymous(payments, bookIdx, amount) {
+    const candidates = Object.entries(payments)
+      .filter(([, item]) => !item.revenueId && (item.bookIdx ? String(item.bookIdx) : null) === bookIdx)
+      .sort(([, a], [, b]) => (a.receivedAt || a.sequence || 0) - (b.receivedAt || b.sequence || 0));
+    const sameAmount = candidates.find(([, item]) => item.amount === amount);
+    return (sameAmount || candidates[0] || [null])[0];
+  }
+}
+
+/**
+ * maps 단위로 공유되는 결제 내역 반환
+ * @param {Object} maps 공유 맵 객체
+ * @returns {PaymentLedger}
+ */
+const getPaymentLedger = (maps) => {
+  if (!maps.paymentLedger) {
+    maps.paymentLedger = new PaymentLedger(maps);
+  }
+  return maps.paymentLedger;
+};
+
+module.exports = {
+  PaymentLedger,
+  getPaymentLedger,
+  parseRevenuePayload,
+  computeTotals
+};
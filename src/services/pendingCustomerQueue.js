@@ -0,0 +1,142 @@
+// services/pendingCustomerQueue.js
+// 고객 정보 조회 후 새 예약 목록에서 고객의 예약을 찾을 때까지 고객별 처리 작업을 보관하는 대기열입니다.
+const logger = require('../utils/logger');
+
+class PendingCustomerQueue {
+  /**
+   * @param {Object} options 옵션
+   * @param {Function} options.processCustomer (customerId, bookingData) => Promise<boolean>, 고객 예약 처리 함수 (예약 목록에 고객의 예약이 있었는지 반환)
+   * @param {Function} options.fetchBookings () => Promise<Object|null>, 예약 목록을 직접 조회하는 함수
+   * @param {number} options.timeoutMs 새 예약 목록을 기다리는 최대 시간 (초과 시 직접 조회)
+   * @param {number} options.maxAttempts 직접 조회 최대 시도 횟수
+   */
+  constructor({ processCustomer, fetchBookings, timeoutMs, maxAttempts }) {
+    this.processCustomer = processCustomer;
+    this.fetchBookings = fetchBookings;
+    this.timeoutMs = timeoutMs;
+    this.maxAttempts = maxAttempts;
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(customerId) {
+    return this.entries.has(customerId);
+  }
+
+  /**
+   * 고객을 대기열에 추가
+   * 새 예약 목록이 도착할 때마다 확인하고, 제한 시간마다 예약 목록을 직접 조회합니다.
+   * 고객의 예약을 찾아 처리하거나 직접 조회를 maxAttempts회 해도 찾지 못하면 끝납니다.
+   * 이미 대기 중인 고객이면 기존 작업의 Promise를 반환합니다.
+   * @param {string|number} customerId 고객 ID
+   * @returns {Promise<boolean>} 처리 성공 여부
+   */
+  enqueue(customerId) {
+    const existing = this.entries.get(customerId);
+    if (existing) return existing.promise;
+
+    const entry = { customerId, attempts: 0, timer: null, running: false };
+    entry.promise = new Promise(resolve => {
+      entry.resolve = resolve;
+    });
+    this.entries.set(customerId, entry);
+    this._scheduleTimeout(entry);
+    return entry.promise;
+  }
+
+  /**
+   * 새 예약 목록 수신 시 대기 중인 모든 고객 처리
+   * 목록에 고객의 예약이 없거나 처리에 실패하면 대기열에 남기며, 직접 조회 타이머는 그대로 둡니다.
+   * @param {Object} bookingData 예약 목록 응답 데이터
+   */
+  async handleBookingData(bookingData) {
+    const waiting = [...this.entries.values()].filter(entry => !entry.running);
+    if (waiting.length === 0) return;
+
+    logger.info(`Processing ${waiting.length} pending customers with fresh booking data`);
+    await Promise.all(waiting.map(entry => this._run(entry, () => bookingData, false)));
+  }
+
+  /**
+   * 모든 대기 작업 취소
+   */
+  stop() {
+    for (const entry of this.entries.values()) {
+      clearTimeout(entry.timer);
+      entry.resolve(false);
+    }
+    this.entries.clear();
+  }
+
+  _scheduleTimeout(entry) {
+    entry.timer = setTimeout(
+      () => logger.withContext({ customerId: entry.customerId }, () => this._handleTimeout(entry)),
+      this.timeoutMs
+    );
+    if (entry.timer.unref) entry.timer.unref();
+  }
+
+  async _handleTimeout(entry) {
+    // 예약 목록으로 처리 중이면 그 결과를 기다린 뒤 다시 확인
+    if (entry.running) {
+      this._scheduleTimeout(entry);
+      return;
+    }
+
+    entry.attempts++;
+    logger.info(`Booking for customer ${entry.customerId} not processed within ${Math.round(this.timeoutMs / 1000)}s, fetching bookings directly (attempt ${entry.attempts}/${this.maxAttempts})`);
+    await this._run(entry, () => this.fetchBookings(), true);
+  }
+
+  /**
+   * 예약 목록으로 고객 처리
+   * @param {Object} entry 대기 항목
+   * @param {Function} getBookingData 예약 목록을 반환하는 함수
+   * @param {boolean} direct 직접 조회인지 여부 (시도 횟수에 포함되며, 실패하면 다음 조회를 예약)
+   */
+  async _run(entry, getBookingData, direct) {
+    entry.running = true;
+
+    await logger.withContext({ customerId: entry.customerId }, async () => {
+      let reason;
+      try {
+        const bookingData = await getBookingData();
+        if (!bookingData?.results) {
+          throw new Error('No booking data available');
+        }
+        if (await this.processCustomer(entry.customerId, bookingData)) {
+          this._finish(entry, true);
+          return;
+        }
+        reason = 'booking not in booking list yet';
+      } catch (error) {
+        reason = error.message;
+      }
+
+      entry.running = false;
+      if (!this.entries.has(entry.customerId)) return;
+      if (!direct) {
+        logger.info(`Pending customer ${entry.customerId} not processed with fresh booking data (${reason}), waiting`);
+        return;
+      }
+      if (entry.attempts >= this.maxAttempts) {
+        logger.warn(`Giving up on pending customer ${entry.customerId} after ${entry.attempts} attempts: ${reason}`);
+        this._finish(entry, false);
+        return;
+      }
+      logger.warn(`Pending customer ${entry.customerId} not processed (${reason}), will retry`);
+      this._scheduleTimeout(entry);
+    });
+  }
+
+  _finish(entry, success) {
+    clearTimeout(entry.timer);
+    this.entries.delete(entry.customerId);
+    entry.resolve(success);
+  }
+}
+
+module.exports = PendingCustomerQueue;
@@ -0,0 +1,198 @@
+// services/reconcileService.js
+// 김캐디 전체 예약 목록과 24골프에 전송한 예약(sentBookings)을 externalId 기준으로 비교합니다.
+// 복구는 동기화와 같은 경로(BookingService, 재시도 큐)로 보내므로 선점/잠금/보류 확인을 함께 거칩니다.
+const { getTokenManager } = require('../utils/tokenManager');
+const { fetchCrawlBookings } = require('../utils/apiHelpers');
+const { extractPaymentInfo, prepareBookingData, resolveBookingRoom, diffBookingData, SCHEDULE_FIELDS, PAYMENT_FIELDS } = require('../utils/bookingHelpers');
+const { indexBookings } = require('../utils/bookingDiff');
+const logger = require('../utils/logger');
+const { getConfig } = require('../config');
+const { getRevenueMatcher } = require('./revenueMatcher');
+const { getPaymentLedger } = require('./paymentLedger');
+const { getHeldBookings } = require('./heldBookings');
+const { getOutboundQueue } = require('./outboundQueue');
+
+const CANCELED_STATES = ['canceling', 'canceled'];
+
+/**
+ * 복구 전송 결과에서 실패 사유 추출
+ * @param {Object} outcome BookingService/재시도 큐의 전송 결과
+ * @returns {string|null} 실패 사유 (전송했거나 재시도 큐가 이어받았으면 null)
+ */
+const describeFailure = (outcome) => {
+  if (outcome?.success || outcome?.queued || outcome?.released) return null;
+  if (outcome?.held) return `Held for review (${outcome.reason})`;
+  if (outcome?.deadLettered) return `Job ${outcome.jobId} is in the dead-letter list`;
+  if (outcome?.skipped) return 'Already claimed by another sync path';
+  return outcome?.error || 'Not sent';
+};
+
+class ReconcileService {
+  /**
+   * @param {Object} maps 공유 맵 객체
+   * @param {string|null} accessToken 매장 토큰 (bookingService가 있으면 그 토큰 관리자를 사용)
+   * @param {Object} config 매장 설정 객체
+   * @param {Object} options 옵션
+   * @param {BookingService} options.bookingService 복구에 사용할 실행 중인 예약 서비스 (복구할 때 필수)
+   */
+  constructor(maps, accessToken, config = getConfig(), { bookingService = null } = {}) {
+    this.maps = maps;
+    this.bookingService = bookingService;
+    this.tokenManager = bookingService ? bookingService.tokenManager : getTokenManager(maps, { accessToken, config });
+    this.config = config;
+    this.maps.sentBookings = this.maps.sentBookings || new Map();
+    this.paymentLedger = getPaymentLedger(maps);
+  }
+
+  /**
+   * 김캐디와 24골프 예약을 비교하고 필요하면 복구
+   * @param {Object} options 옵션
+   * @param {boolean} options.repair 차이가 있는 예약을 BookingService와 재시도 큐로 복구할지 여부
+   * @returns {Promise<Object>} 비교 결과 보고서
+   */
+  async reconcile({ repair = false } = {}) {
+    const storeId = this.config.store.id || this.maps.storeId;
+    if (!storeId) {
+      throw new Error('Store ID not found for reconciliation');
+    }
+    if (repair && !this.bookingService) {
+      throw new Error('Repair needs the running BookingService (request it through the admin API)');
+    }
+
+    logger.info(`Starting reconciliation for store ${storeId}${repair ? ' (repair mode)' : ''}`);
+    const data = await fetchCrawlBookings(storeId, this.tokenManager, this.config.api.baseUrl);
+    const report = this.compare(indexBookings(data));
+
+    // 예약에 연결하지 못한 결제 (만료된 항목은 끝내 연결되지 않은 결제)
+    const revenueMatcher = getRevenueMatcher(this.maps, { config: this.config });
+    revenueMatcher.expire();
+    report.unmatchedPayments = revenueMatcher.getReport();
+
+    // 룸 매핑이 없어 동기화 중에 보류한 예약
+    report.heldBookings = getHeldBookings(this.maps).list()
+      .map(({ bookId, action, reason, status, kimcaddyRoomId, source, heldAt }) => ({ bookId, action, reason: reason || 'room', status, kimcaddyRoomId, source, heldAt }));
+
+    if (repair) {
+      await this._repair(report);
+    }
+
+    logger.info(`Reconciliation finished: missing=${report.missing.length}, extra=${report.extra.length}, misPaid=${report.misPaid.length}, misTimed=${report.misTimed.length}, unmappedRooms=${report.unmappedRooms.length}, unmatchedPayments=${report.unmatchedPayments.expired.length}`);
+    return report;
+  }
+
+  /**
+   * 김캐디 예약 목록과 전송 기록 비교
+   * @param {Map<string, Object>} kimcaddieBookings book_id 기준 김캐디 예약
+   * @returns {Object} {missing, extra, misPaid, misTimed, untracked, unmappedRooms} 형태의 보고서
+   */
+  compare(kimcaddieBookings) {
+    const { sentBookings, processedBookings } = this.maps;
+    const now = Date.now();
+    const report = {
+      checkedAt: new Date(now).toISOString(),
+      kimcaddieCount: kimcaddieBookings.size,
+      sentCount: sentBookings.size,
+      missing: [],
+      extra: [],
+      misPaid: [],
+      misTimed: [],
+      untracked: [],
+      unmappedRooms: [],
+      repaired: [],
+      failed: []
+    };
+
+    for (const [bookId, booking] of kimcaddieBookings.entries()) {
+      if (booking.state !== 'success') continue;
+
+      const { amount, finished } = this.paymentLedger.getPaymentInfo(bookId, extractPaymentInfo(booking));
+      const lastSent = sentBookings.get(bookId);
+
+      // 24골프 룸을 알 수 없는 예약은 복구 대상에서 빼고 따로 보고
+      const room = resolveBookingRoom(booking, this.config.store.roomMap);
+      if (room.roomId === null) {
+        report.unmappedRooms.push({ bookId, kimcaddyRoomId: room.kimcaddyRoomId, status: room.status, sent: Boolean(lastSent && !lastSent.canceled) });
+        continue;
+      }
+
+      if (!lastSent || lastSent.canceled) {
+        if (processedBookings.has(bookId) && !lastSent) {
+          // 전송 기록 보관 이전에 처리된 예약은 비교할 수 없음
+          report.untracked.push({ bookId });
+        } else {
+          report.missing.push({ bookId, expected: prepareBookingData(booking, amount, finished, false, this.config.store.roomMap) });
+        }
+        continue;
+      }
+
+      const expected = prepareBookingData(booking, amount, finished, lastSent.immediate, this.config.store.roomMap);
+      const scheduleChanges = diffBookingData(lastSent, expected, SCHEDULE_FIELDS);
+      const paymentChanges = diffBookingData(lastSent, expected, PAYMENT_FIELDS);
+      if (scheduleChanges) {
+        report.misTimed.push({ bookId, changes: scheduleChanges });
+      }
+      if (paymentChanges) {
+        report.misPaid.push({ bookId, changes: paymentChanges });
+      }
+    }
+
+    for (const [bookId, lastSent] of sentBookings.entries()) {
+      if (lastSent.canceled) continue;
+
+      const booking = kimcaddieBookings.get(bookId);
+      if (booking && CANCELED_STATES.includes(booking.state)) {
+        report.extra.push({ bookId, reason: booking.state });
+      } else if (!booking && lastSent.startDate && new Date(lastSent.startDate).getTime() > now) {
+        // 조회 범위 밖의 지난 예약은 제외하고, 아직 시작 전인데 목록에 없는 예약만 보고
+        report.extra.push({ bookId, reason: 'missing_in_kimcaddie' });
+      }
+    }
+
+    return report;
+  }
+
+  // 전송 결과({success}/{queued}가 아니면 실패)를 보고서에 기록
+  async _repair(report) {
+    const outboundQueue = getOutboundQueue(this.maps, { tokenManager: this.tokenManager, config: this.config });
+
+    const run = async (action, bookId, call) => {
+      let error;
+      try {
+        const outcome = await call();
+        error = describeFailure(outcome);
+        if (!error) {
+          report.repaired.push({ action, bookId, queued: Boolean(outcome.queued) });
+          logger.info(`Repaired ${bookId} with ${action}${outcome.queued ? ' (queued)' : ''}`);
+          return;
+        }
+      } catch (e) {
+        error = e.message;
+      }
+      report.failed.push({ action, bookId, error });
+      logger.error(`Failed to repair ${bookId} with ${action}: ${error}`);
+    };
+
+    for (const { bookId } of report.missing) {
+      await run('Booking_Create', bookId, async () => {
+        const created = await this.bookingService.createFromBookingList(bookId, { source: 'reconcile', checkConflicts: true });
+        return created ? created.outcome : { failed: true, error: 'Booking not found in the booking list' };
+      });
+    }
+
+    for (const { bookId } of report.extra) {
+      await run('Booking_Cancel', bookId, () => this.bookingService.cancel(bookId, { canceledBy: 'Reconcile' }));
+    }
+
+    // 같은 예약의 일정/결제 차이는 한 번의 Booking_Update로 전송
+    const updates = new Map();
+    for (const { bookId, changes } of [...report.misTimed, ...report.misPaid]) {
+      updates.set(bookId, { ...(updates.get(bookId) || {}), ...changes });
+    }
+    for (const [bookId, changes] of updates.entries()) {
+      await run('Booking_Update', bookId, () =>
+        logger.withContext({ bookId }, () => outboundQueue.submit('Booking_Update', { externalId: bookId, ...changes })));
+    }
+  }
+}
+
+module.exports = ReconcileService;
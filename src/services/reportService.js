@@ -0,0 +1,132 @@
+// services/reportService.js
+// 김캐디 예약 목록, 24골프 전송 기록(sentBookings), 결제 내역으로 룸별 매출/가동률 보고서를 만듭니다.
+// 목록에 있는 예약은 목록 값을, 목록에 없는 예약(조회 범위 밖의 지난 예약)은 전송 기록을 사용합니다.
+const { getTokenManager } = require('../utils/tokenManager');
+const { fetchCrawlBookings } = require('../utils/apiHelpers');
+const { extractPaymentInfo, resolveBookingRoom } = require('../utils/bookingHelpers');
+const { getRoomMapping } = require('../utils/roomMapping');
+const { buildReport, listReportRooms, toKstTime } = require('../utils/bookingReport');
+const logger = require('../utils/logger');
+const { getConfig } = require('../config');
+const { getPaymentLedger } = require('./paymentLedger');
+
+const CANCELED_STATES = ['canceling', 'canceled'];
+
+// 24골프 룸 ID로 김캐디 룸 찾기 (전송 기록에는 24골프 룸 ID만 있음)
+const findKimcaddyRoom = (mapping, golfRoomId) => {
+  if (golfRoomId === null || golfRoomId === undefined) return { kimcaddyRoomId: null, name: null };
+  if (!mapping.enabled) return { kimcaddyRoomId: String(golfRoomId), name: null };
+
+  const room = [...mapping.rooms.values()].find(item => item.golfRoomId === String(golfRoomId));
+  return room ? { kimcaddyRoomId: room.kimcaddyRoomId, name: room.name } : { kimcaddyRoomId: null, name: null };
+};
+
+class ReportService {
+  constructor(maps, accessToken, config = getConfig()) {
+    this.maps = maps;
+    this.tokenManager = getTokenManager(maps, { accessToken, config });
+    this.config = config;
+    this.maps.sentBookings = this.maps.sentBookings || new Map();
+    this.paymentLedger = getPaymentLedger(maps);
+  }
+
+  /**
+   * 김캐디 예약 목록을 조회해 보고서 생성
+   * @param {Object} options buildReport 옵션 {from, to, period}
+   * @returns {Promise<Object>} 보고서 (buildReport 결과)
+   */
+  async generate({ from, to, period }) {
+    const storeId = this.config.store.id || this.maps.storeId;
+    if (!storeId) {
+      throw new Error('Store ID not found for report');
+    }
+
+    const data = await fetchCrawlBookings(storeId, this.tokenManager, this.config.api.baseUrl);
+    const report = this.build(Array.isArray(data?.results) ? data.results : [], { from, to, period });
+    logger.info(`Built ${report.period} report for store ${storeId} from ${report.from} to ${report.to}: ${report.rows.length} rows`);
+    return report;
+  }
+
+  /**
+   * 예약 목록으로 보고서 생성
+   * @param {Array<Object>} bookings 김캐디 예약 목록
+   * @param {Object} options buildReport 옵션 {from, to, period}
+   * @returns {Object} 보고서
+   */
+  build(bookings, { from, to, period }) {
+    return buildReport(this.collect(bookings), {
+      from,
+      to,
+      period,
+      businessHours: this.config.report.businessHours,
+      rooms: listReportRooms(this.config.store.roomMap)
+    });
+  }
+
+  /**
+   * 보고서용 예약 목록 생성 (확정/취소 예약만)
+   * 결제 금액은 결제 내역이 있으면 그 합계를, 없으면 예약 목록 또는 paymentAmounts/paymentStatus 값을 사용합니다.
+   * @param {Array<Object>} bookings 김캐디 예약 목록
+   * @returns {Array<Object>} [{bookId, roomId, golfRoomId, roomName, start, end, canceled, app, amount, paidAmount, unpaidAmount}]
+   */
+  collect(bookings) {
+    const { sentBookings, paymentAmounts, paymentStatus } = this.maps;
+    const mapping = getRoomMapping(this.config.store.roomMap);
+    const records = [];
+    const listed = new Set();
+
+    for (const booking of bookings) {
+      if (!booking?.book_id) continue;
+      listed.add(booking.book_id);
+
+      const canceled = CANCELED_STATES.includes(booking.state);
+      if (!canceled && booking.state !== 'success') continue;
+
+      const room = resolveBookingRoom(booking, mapping);
+      records.push({
+        bookId: booking.book_id,
+        roomId: room.kimcaddyRoomId,
+        golfRoomId: room.roomId,
+        roomName: room.name,
+        start: toKstTime(booking.start_datetime),
+        end: toKstTime(booking.end_datetime),
+        canceled,
+        app: booking.book_type === 'U' || booking.confirmed_by === 'IM' || booking.immediate_booked === true,
+        ...this._payment(booking.book_id, extractPaymentInfo(booking))
+      });
+    }
+
+    for (const [bookId, lastSent] of sentBookings.entries()) {
+      if (listed.has(bookId)) continue;
+
+      const room = findKimcaddyRoom(mapping, lastSent.roomId);
+      records.push({
+        bookId,
+        roomId: room.kimcaddyRoomId,
+        golfRoomId: lastSent.roomId ?? null,
+        roomName: room.name,
+        start: toKstTime(lastSent.startDate),
+        end: toKstTime(lastSent.endDate),
+        canceled: lastSent.canceled === true,
+        // 전송 기록에는 예약 유형이 없어 즉시(앱) 예약 여부로 구분
+        app: lastSent.immediate === true,
+        ...this._payment(bookId, {
+          amount: parseInt(paymentAmounts?.get(bookId) ?? lastSent.paymentAmount ?? 0, 10) || 0,
+          finished: paymentStatus?.get(bookId) ?? lastSent.paymented === true
+        })
+      });
+    }
+
+    return records;
+  }
+
+  _payment(bookId, { amount, finished }) {
+    const totals = this.paymentLedger.getTotals(bookId);
+    if (totals) {
+      return { amount: totals.netAmount, paidAmount: totals.paidAmount, unpaidAmount: totals.outstandingAmount };
+    }
+    return { amount, paidAmount: finished ? amount : 0, unpaidAmount: finished ? 0 : amount };
+  }
+}
+
+module.exports = ReportService;
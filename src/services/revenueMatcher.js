@@ -0,0 +1,332 @@
+// services/revenueMatcher.js
+// 결제(revenue)를 근거가 있는 경우에만 예약에 연결하고, 연결하지 못한 결제는 만료 시간과 함께 보관합니다.
+const logger = require('../utils/logger');
+const { getConfig } = require('../config');
+const { extractPaymentInfo } = require('../utils/bookingHelpers');
+const { getPaymentLedger } = require('./paymentLedger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 예약 목록 항목에서 book_idx 추출
+ * @param {Object} booking 김캐디 예약 데이터
+ * @returns {string|null}
+ */
+const extractBookIdx = (booking) => {
+  const bookIdx = booking.book_idx ?? booking.idx ?? null;
+  return bookIdx === null ? null : String(bookIdx);
+};
+
+/**
+ * 예약 목록 항목에서 결제 ID 추출
+ * @param {Object} booking 김캐디 예약 데이터
+ * @returns {string|null}
+ */
+const extractRevenueId = (booking) => {
+  const revenueId = booking.revenue_detail?.id ?? booking.revenue ?? null;
+  return revenueId === null || typeof revenueId === 'object' ? null : String(revenueId);
+};
+
+class RevenueMatcher {
+  /**
+   * @param {Object} maps 공유 맵 객체 (bookIdToIdxMap, paymentAmounts, paymentStatus, requestMap 사용)
+   * @param {Object} options 옵션
+   * @param {Object} options.config 설정 객체 (revenue.* 사용)
+   */
+  constructor(maps, { config = getConfig() } = {}) {
+    this.maps = maps;
+    this.config = config;
+    const { stateStore } = maps;
+    // revenueId -> {bookIdx, bookId} 연결 근거
+    this.revenueLinks = stateStore
+      ? stateStore.getMap('revenue.links', { maxAgeMs: 90 * DAY_MS })
+      : new Map();
+    // 아직 예약에 연결하지 못한 결제
+    this.unmatched = stateStore
+      ? stateStore.getMap('revenue.unmatchedPayments', { maxAgeMs: 90 * DAY_MS })
+      : new Map();
+    // 만료될 때까지 연결하지 못한 결제 (보고용)
+    this.expired = stateStore
+      ? stateStore.getMap('revenue.expiredPayments', { maxAgeMs: config.revenue.expiredRetentionMs })
+      : new Map();
+    // 예약별 결제 내역 (부분 결제, 분할 결제, 환불 합산)
+    this.paymentLedger = getPaymentLedger(maps);
+  }
+
+  /**
+   * 결제 ID 또는 book_idx로 예약 ID 찾기
+   * 순서: 기록된 revenueId 연결 -> book_idx와 bookIdToIdxMap -> revenueId에 연결된 book_idx
+   * @param {Object} payment {revenueId, bookIdx}
+   * @returns {Object|null} {bookId, bookIdx, evidence}
+   */
+  resolve({ revenueId = null, bookIdx = null }) {
+    const link = revenueId ? this.revenueLinks.get(String(revenueId)) : null;
+    if (link?.bookId) {
+      return { bookId: link.bookId, bookIdx: link.bookIdx || bookIdx, evidence: 'revenueId' };
+    }
+
+    const candidateIdx = bookIdx ? String(bookIdx) : link?.bookIdx;
+    const bookId = candidateIdx ? this._findBookIdByIdx(candidateIdx) : null;
+    if (bookId) {
+      return { bookId, bookIdx: candidateIdx, evidence: bookIdx ? 'bookIdx' : 'revenueId->bookIdx' };
+    }
+    return null;
+  }
+
+  /**
+   * 결제 정보 기록
+   * 예약을 찾으면 결제 정보를 바로 반영하고, 찾지 못하면 미연결 결제로 보관합니다.
+   * @param {Object} payment {revenueId, bookIdx, amount, finished, refundedAmount}
+   * @returns {Object} {matched, bookId, evidence} 또는 {matched: false, key}
+   */
+  record(payment) {
+    const revenueId = payment.revenueId ? String(payment.revenueId) : null;
+    const bookIdx = payment.bookIdx ? String(payment.bookIdx) : null;
+
+    if (revenueId && bookIdx) {
+      this._link(revenueId, { bookIdx });
+    }
+
+    const match = this.resolve({ revenueId, bookIdx });
+    if (match) {
+      this._apply(match, { ...payment, revenueId, bookIdx });
+      this._removeUnmatched(revenueId, bookIdx);
+      return { matched: true, bookId: match.bookId, evidence: match.evidence };
+    }
+
+    // 생성 중인 예약 중 같은 book_idx를 가진 예약에만 결제 정보 연결
+    if (bookIdx) {
+      this._updatePendingCreations(bookIdx, payment);
+    }
+
+    const key = this._hold({ ...payment, revenueId, bookIdx });
+    this.expire();
+    return { matched: false, key };
+  }
+
+  /**
+   * 예약 ID와 book_idx(및 결제 ID)의 연결 근거 기록
+   * 보관 중인 결제는 matchPending() 호출 시 다시 연결됩니다.
+   * @param {string} bookId 예약 ID
+   * @param {string} bookIdx 예약 번호
+   * @param {string} revenueId 결제 ID (선택적)
+   */
+  linkBooking(bookId, bookIdx, revenueId = null) {
+    if (!bookId || !bookIdx) return;
+
+    if (this.maps.bookIdToIdxMap.get(bookId) !== String(bookIdx)) {
+      this.maps.bookIdToIdxMap.set(bookId, String(bookIdx));
+    }
+    if (revenueId) {
+      this._link(String(revenueId), { bookIdx: String(bookIdx), bookId });
+    }
+  }
+
+  /**
+   * 예약 목록에 포함된 book_idx/결제 ID로 연결 근거와 예약 총액을 기록하고 보관 중인 결제를 다시 연결
+   * @param {Object} bookingData 예약 목록 응답 데이터
+   * @returns {Array} 새로 연결된 결제 목록
+   */
+  learnFromBookings(bookingData) {
+    for (const booking of bookingData?.results || []) {
+      const bookIdx = extractBookIdx(booking);
+      if (booking.book_id && bookIdx) {
+        this.linkBooking(booking.book_id, bookIdx, extractRevenueId(booking));
+      }
+      if (booking.book_id) {
+        // 결제 합계의 완납 여부를 예약 총액 기준으로 판단하도록 기록
+        this.paymentLedger.setBookingAmount(booking.book_id, extractPaymentInfo(booking).amount);
+      }
+    }
+    return this.matchPending();
+  }
+
+  /**
+   * 예약 생성 응답의 book_id/book_idx로 연결 근거를 기록하고 보관 중인 결제를 다시 연결
+   * 결제가 예약 생성 응답보다 먼저 도착한 경우 생성 응답 처리 전에 결제 정보를 반영하기 위해 사용합니다.
+   * @param {Object} created 예약 생성 응답 데이터
+   * @returns {Array} 새로 연결된 결제 목록
+   */
+  learnFromCreation(created) {
+    const bookIdx = created ? extractBookIdx(created) : null;
+    if (created?.book_id && bookIdx) {
+      this.linkBooking(created.book_id, bookIdx, extractRevenueId(created));
+    }
+    return this.matchPending();
+  }
+
+  /**
+   * 보관 중인 결제를 다시 연결하고 만료된 결제 정리
+   * @returns {Array} 새로 연결된 결제 목록
+   */
+  matchPending() {
+    const matched = [];
+    for (const [key, payment] of [...this.unmatched.entries()]) {
+      const match = this.resolve(payment);
+      if (!match) continue;
+
+      logger.info(`Matched held payment ${key} to book_id ${match.bookId} by ${match.evidence}`);
+      this._apply(match, payment);
+      this._removeUnmatched(payment.revenueId, payment.bookIdx);
+      matched.push({ ...payment, bookId: match.bookId, evidence: match.evidence });
+    }
+    this.expire();
+    return matched;
+  }
+
+  /**
+   * 만료 시간이 지난 미연결 결제를 보고 목록으로 이동
+   * @param {number} now 기준 시각
+   * @returns {Array} 이번에 만료된 결제 목록
+   */
+  expire(now = Date.now()) {
+    const expired = [];
+    for (const [key, payment] of [...this.unmatched.entries()]) {
+      if (payment.expiresAt > now) continue;
+
+      logger.warn(`Payment ${key} was never matched to a booking (bookIdx=${payment.bookIdx}, amount=${payment.amount})`);
+      this.unmatched.delete(key);
+      this._clearRequestMapEntries(payment.revenueId, payment.bookIdx);
+      const entry = { ...payment, expiredAt: now };
+      this.expired.set(key, entry);
+      expired.push(entry);
+    }
+    return expired;
+  }
+
+  /**
+   * 미연결 결제 보고서
+   * @returns {Object} {pending, expired}
+   */
+  getReport() {
+    return {
+      pending: [...this.unmatched.entries()].map(([key, payment]) => ({ key, ...payment })),
+      expired: [...this.expired.entries()].map(([key, payment]) => ({ key, ...payment }))
+    };
+  }
+
+  _link(revenueId, fields) {
+    const existing = this.revenueLinks.get(revenueId) || {};
+    const next = { ...existing, ...fields };
+    if (next.bookIdx !== existing.bookIdx || next.bookId !== existing.bookId) {
+      this.revenueLinks.set(revenueId, next);
+    }
+  }
+
+  _apply(match, payment) {
+    const { bookId } = match;
+    if (payment.revenueId) {
+      this._link(String(payment.revenueId), { bookIdx: match.bookIdx, bookId });
+    }
+    const totals = this.paymentLedger.record(bookId, { ...payment, bookIdx: match.bookIdx });
+    this.maps.paymentAmounts.set(bookId, totals.netAmount);
+    this.maps.paymentStatus.set(bookId, totals.finished);
+    logger.info(`Updated payment for book_id ${bookId}: total=${totals.netAmount}, paid=${totals.paidAmount}, outstanding=${totals.outstandingAmount}, refunded=${totals.refundedAmount} (matched by ${match.evidence})`);
+  }
+
+  _hold(payment) {
+    const key = payment.revenueId ? `revenue:${payment.revenueId}` : `bookIdx:${payment.bookIdx}`;
+    const now = Date.now();
+    const existing = this.unmatched.get(key);
+
+    // 같은 예약의 book_idx 기준 항목은 결제 ID가 있는 항목으로 대체
+    if (payment.revenueId && payment.bookIdx) {
+      this.unmatched.delete(`bookIdx:${payment.bookIdx}`);
+    }
+    this.unmatched.set(key, {
+      revenueId: payment.revenueId,
+      bookIdx: payment.bookIdx,
+      amount: payment.amount,
+      finished: payment.finished,
+      refundedAmount: payment.refundedAmount || 0,
+      receivedAt: existing?.receivedAt || payment.receivedAt || now,
+      expiresAt: now + this.config.revenue.unmatchedTtlMs
+    });
+
+    // 예약 생성 응답 처리(handleBookingCreateResponse)에서 결제 정보를 찾을 수 있도록 유지
+    if (payment.bookIdx) {
+      this.maps.requestMap.set(`paymentUpdate_${payment.bookIdx}`, {
+        revenueId: payment.revenueId,
+        bookIdx: payment.bookIdx,
+        amount: payment.amount,
+        finished: payment.finished,
+        processed: false,
+        timestamp: now
+      });
+    }
+
+    logger.info(`Holding unmatched payment ${key} until booking evidence arrives`);
+    return key;
+  }
+
+  _removeUnmatched(revenueId, bookIdx) {
+    if (revenueId) this.unmatched.delete(`revenue:${revenueId}`);
+    if (bookIdx) this.unmatched.delete(`bookIdx:${bookIdx}`);
+    this._clearRequestMapEntries(revenueId, bookIdx);
+  }
+
+  _clearRequestMapEntries(revenueId, bookIdx) {
+    if (revenueId) this.maps.requestMap.delete(`revenueUpdate_${revenueId}`);
+    if (bookIdx) this.maps.requestMap.delete(`paymentUpdate_${bookIdx}`);
+  }
+
+  // 생성 중인 예약(bookingCreate_*)에 결제 정보와 book_idx 연결
+  // 같은 book_idx가 기록된 항목에 붙이고, 없으면 book_idx가 없는 생성 중 예약이 하나뿐일 때만 그 예약으로 봅니다.
+  _updatePendingCreations(bookIdx, payment) {
+    const now = Date.now();
+    const pending = [...this.maps.requestMap.entries()].filter(([key, bookingData]) =>
+      key.startsWith('bookingCreate_') &&
+      bookingData.tempBookId &&
+      now - bookingData.timestamp < this.config.revenue.pendingWindowMs
+    );
+    const hasBookIdx = (bookingData) => bookingData.bookIdx !== undefined && bookingData.bookIdx !== null;
+
+    let targets = pending.filter(([, bookingData]) => hasBookIdx(bookingData) && String(bookingData.bookIdx) === bookIdx);
+    if (targets.length === 0) {
+      const unlinked = pending.filter(([, bookingData]) => !hasBookIdx(bookingData));
+      if (unlinked.length === 1) {
+        targets = unlinked;
+      } else if (unlinked.length > 1) {
+        logger.info(`${unlinked.length} bookings are being created, not guessing which one payment for book_idx ${bookIdx} belongs to`);
+      }
+    }
+
+    for (const [key, bookingData] of targets) {
+      this.maps.requestMap.set(key, {
+        ...bookingData,
+        bookIdx,
+        paymentAmount: payment.amount,
+        paymentFinished: payment.finished,
+        paymentTimestamp: now
+      });
+      logger.info(`Updated pending booking ${key} with payment amount ${payment.amount} for book_idx ${bookIdx}`);
+    }
+  }
+
+  _findBookIdByIdx(bookIdx) {
+    for (const [bookId, idx] of this.maps.bookIdToIdxMap.entries()) {
+      if (String(idx) === bookIdx) {
+        return bookId;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * maps 단위로 공유되는 결제 매칭기 반환
+ * @param {Object} maps 공유 맵 객체
+ * @param {Object} options RevenueMatcher 옵션
+ * @returns {RevenueMatcher}
+ */
+const getRevenueMatcher = (maps, options = {}) => {
+  if (!maps.revenueMatcher) {
+    maps.revenueMatcher = new RevenueMatcher(maps, options);
+  }
+  return maps.revenueMatcher;
+};
+
+module.exports = {
+  RevenueMatcher,
+  getRevenueMatcher
+};
@@ -1,67 +1,61 @@
 // services/revenueService.js
 const { parseMultipartFormData } = require('../utils/parser');
-const { extractRevenueId, findBookIdByRevenueIdOrBookIdx } = require('../handlers/response-helpers');
+const { extractRevenueId } = require('../handlers/response-helpers');
+const { getTokenManager } = require('../utils/tokenManager');
+const { diffBookingData, PAYMENT_FIELDS } = require('../utils/bookingHelpers');
 const logger = require('../utils/logger');
+const { getConfig } = require('../config');
+const { getRevenueMatcher } = require('./revenueMatcher');
+const { parseRevenuePayload } = require('./paymentLedger');
+const { getOutboundQueue } = require('./outboundQueue');
 
 class RevenueService {
-  constructor(maps, accessToken) {
+  constructor(maps, accessToken, config = getConfig()) {
     this.maps = maps;
-    this.accessToken = accessToken;
+    this.config = config;
+    // 결제 ID/book_idx와 예약을 근거로 연결하는 매칭기 (maps 단위로 공유)
+    this.revenueMatcher = getRevenueMatcher(maps, { config });
+    this.maps.sentBookings = this.maps.sentBookings || new Map();
+    // 서비스 간 공유 토큰 관리자 (만료 전 갱신, 401 시 1회 재시도)
+    this.tokenManager = getTokenManager(maps, { accessToken, config });
+    this.outboundQueue = getOutboundQueue(maps, { tokenManager: this.tokenManager, config });
+
+    // 결제 합계가 바뀌면 이미 전송한 예약에 Booking_Update로 반영 (maps 단위로 한 번만 등록)
+    const { paymentLedger } = this.revenueMatcher;
+    if (paymentLedger.listenerCount('change') === 0) {
+      paymentLedger.on('change', ({ bookId, totals }) => {
+        this._pushPaymentTotals(bookId, totals).catch(error => {
+          logger.error(`Failed to push payment totals for ${bookId}: ${error.message}`, error);
+        });
+      });
+    }
   }
 
   async handleRevenueUpdate(response, request) {
     const revenueId = extractRevenueId(response.url());
     if (!revenueId) return;
 
+    // 이 결제와 관련된 모든 로그에 revenueId 컨텍스트 부여
+    await logger.withContext({ revenueId }, () => this._processRevenueUpdate(revenueId, request));
+  }
+
+  async _processRevenueUpdate(revenueId, request) {
     logger.debug(`Processing revenue update for revenue ID: ${revenueId}`);
     const payload = parseMultipartFormData(request.postData());
     if (!payload?.book_idx || !payload?.amount) return;
 
-    const revenueData = {
+    const payment = {
       revenueId,
       bookIdx: payload.book_idx,
-      amount: parseInt(payload.amount, 10) || 0,
-      finished: payload.finished === 'true',
-      timestamp: Date.now()
+      ...parseRevenuePayload(payload),
+      receivedAt: Date.now()
     };
 
-    // 이미 book_id를 알고 있는 경우 즉시 결제 정보 업데이트
-    const bookId = findBookIdByRevenueIdOrBookIdx(revenueId, payload.book_idx, this.maps);
-    if (bookId) {
-      logger.info(`Found book_id ${bookId} for revenue ID ${revenueId} (or book_idx ${payload.book_idx})`);
-      this._updatePaymentInfo(bookId, revenueData.amount, revenueData.finished);
-      
-      // 결제 정보 업데이트 데이터 저장 (보류 중인 처리를 위해)
-      const revenueKey = `revenueUpdate_${revenueId}`;
-      this.maps.requestMap.set(revenueKey, {
-        bookId,
-        bookIdx: payload.book_idx,
-        revenueId,
-        amount: revenueData.amount,
-        finished: revenueData.finished,
-        timestamp: Date.now()
-      });
+    const result = this.revenueMatcher.record(payment);
+    if (result.matched) {
+      logger.info(`Found book_id ${result.bookId} for revenue ID ${revenueId} (book_idx ${payload.book_idx}) by ${result.evidence}`);
     } else {
-      // 중요: 현재 생성 중인 예약이 있다면 결제 정보 업데이트
-      const pendingBookings = this._findPendingBookings();
-      if (pendingBookings.length > 0) {
-        logger.info(`Found ${pendingBookings.length} pending bookings, updating with payment info`);
-        this._updatePendingBookings(pendingBookings, revenueData);
-      }
-      
-      // Store this data temporarily to use after we get booking data
-      logger.debug(`Storing revenue update data for revenue ID ${revenueId}, bookIdx ${payload.book_idx}: amount=${revenueData.amount}, finished=${revenueData.finished}`);
-      
-      // 나중에 결제 정보를 찾을 수 있도록 두 가지 키로 저장
-      this.maps.requestMap.set(`revenueUpdate_${revenueId}`, revenueData);
-      this.maps.requestMap.set(`paymentUpdate_${payload.book_idx}`, {
-        revenueId,
-        bookIdx: payload.book_idx,
-        amount: revenueData.amount, 
-        finished: revenueData.finished,
-        processed: false,
-        timestamp: Date.now()
-      });
+      logger.debug(`Stored revenue update for revenue ID ${revenueId}, bookIdx ${payload.book_idx}: amount=${payment.amount}, finished=${payment.finished}, refunded=${payment.refundedAmount}`);
     }
   }
 
@@ -69,96 +63,60 @@ class RevenueService {
     try {
       const payload = parseMultipartFormData(request.postData());
       if (!payload?.book_idx || !payload?.amount) return;
-      
-      const bookIdx = payload.book_idx;
-      const amount = parseInt(payload.amount, 10) || 0;
-      const finished = payload.finished === 'true';
-      
-      logger.info(`Revenue creation detected: book_idx=${bookIdx}, amount=${amount}, finished=${finished}`);
-      
-      // 먼저 이미 매핑된 book_id가 있는지 확인
-      let bookId = this._findBookIdByIdx(bookIdx);
-      
-      if (bookId) {
-        // 이미 존재하는 예약에 결제 정보 업데이트
-        this._updatePaymentInfo(bookId, amount, finished);
-      } else {
-        // 아직 예약이 생성되지 않았거나 매핑되지 않은 경우, 임시 저장
-        logger.info(`No matching book_id found for book_idx ${bookIdx}, storing payment info for later`);
-        
-        // 보류 중인 예약 생성이 있는지 확인
-        const pendingBookings = this._findPendingBookings();
-        if (pendingBookings.length > 0) {
-          logger.info(`Found ${pendingBookings.length} pending bookings, updating with payment info`);
-          this._updatePendingBookings(pendingBookings, { amount, finished, bookIdx });
-        }
-        
-        // 결제 정보 저장
-        this.maps.requestMap.set(`paymentUpdate_${bookIdx}`, {
-          bookIdx,
-          amount,
-          finished,
-          processed: false,
-          timestamp: Date.now()
-        });
+
+      const payment = {
+        revenueId: await this._extractCreatedRevenueId(response),
+        bookIdx: payload.book_idx,
+        ...parseRevenuePayload(payload),
+        receivedAt: Date.now()
+      };
+
+      logger.info(`Revenue creation detected: book_idx=${payment.bookIdx}, amount=${payment.amount}, finished=${payment.finished}`);
+
+      const result = await logger.withContext(
+        { revenueId: payment.revenueId || undefined },
+        () => this.revenueMatcher.record(payment)
+      );
+      if (!result.matched) {
+        logger.info(`No matching book_id found for book_idx ${payment.bookIdx}, holding payment info for later`);
       }
     } catch (e) {
       logger.error(`Failed to process revenue creation: ${e.message}`, e);
     }
   }
-  
-  // 보류 중인 예약 찾기 - 리팩토링으로 별도 메서드로 분리
-  _findPendingBookings() {
-    const pendingBookings = [];
-    const now = Date.now();
-    
-    for (const [key, data] of this.maps.requestMap.entries()) {
-      if (key.startsWith('bookingCreate_') && 
-          data.tempBookId && 
-          (now - data.timestamp < 10000)) { // 10초 이내 생성된 예약
-        pendingBookings.push(key);
-      }
-    }
-    
-    return pendingBookings;
-  }
 
-  // 결제 정보 업데이트 - 리팩토링으로 별도 메서드로 분리
-  _updatePaymentInfo(bookId, amount, finished) {
-    this.maps.paymentAmounts.set(bookId, amount);
-    this.maps.paymentStatus.set(bookId, finished);
-    logger.info(`Updated payment for book_id ${bookId}: amount=${amount}, finished=${finished}`);
-  }
+  /**
+   * 결제 합계를 24골프에 전송
+   * 아직 전송하지 않은 예약은 Booking_Create 시 합계가 함께 전송되므로 건너뜁니다.
+   * @param {string} bookId 예약 ID
+   * @param {Object} totals 결제 합계 (PaymentLedger 참고)
+   */
+  async _pushPaymentTotals(bookId, totals) {
+    const lastSent = this.maps.sentBookings.get(bookId);
+    if (!lastSent || lastSent.canceled) return;
 
-  // book_idx로 book_id 찾기 - 리팩토링으로 별도 메서드로 분리
-  _findBookIdByIdx(bookIdx) {
-    for (const [id, idx] of this.maps.bookIdToIdxMap.entries()) {
-      if (idx === bookIdx) {
-        return id;
-      }
-    }
-    return null;
+    const changes = diffBookingData(lastSent, { paymentAmount: totals.netAmount, paymented: totals.finished }, PAYMENT_FIELDS);
+    if (!changes) return;
+
+    await logger.withContext({ bookId }, () => {
+      logger.info(`Pushing payment totals for book_id ${bookId}: paid=${totals.paidAmount}, outstanding=${totals.outstandingAmount}, refunded=${totals.refundedAmount}`);
+      return this.outboundQueue.submit('Booking_Update', { externalId: bookId, ...changes });
+    });
   }
 
-  // 보류 중인 예약 업데이트 - 리팩토링으로 별도 메서드로 분리
-  _updatePendingBookings(pendingBookingKeys, paymentData) {
-    for (const pendingKey of pendingBookingKeys) {
-      const bookingData = this.maps.requestMap.get(pendingKey);
-      if (bookingData) {
-        bookingData.paymentAmount = paymentData.amount;
-        bookingData.paymentFinished = paymentData.finished;
-        
-        if (paymentData.bookIdx) {
-          bookingData.bookIdx = paymentData.bookIdx;  // 중요: book_idx 연결
-        }
-        
-        bookingData.paymentTimestamp = Date.now();
-        
-        logger.info(`Updated pending booking ${pendingKey} with payment amount ${paymentData.amount}`);
-        this.maps.requestMap.set(pendingKey, bookingData);
-      }
+  /**
+   * 결제 생성 응답에서 결제 ID 추출 (응답이 JSON이 아니면 null)
+   * @param {Object} response 가로챈 응답 객체
+   * @returns {Promise<string|null>}
+   */
+  async _extractCreatedRevenueId(response) {
+    try {
+      const data = await response.json();
+      return data?.id ? String(data.id) : null;
+    } catch (e) {
+      return null;
     }
   }
 }
 
-module.exports = RevenueService;
\ No newline at end of file
+module.exports = RevenueService;
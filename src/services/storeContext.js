@@ -0,0 +1,75 @@
+// services/storeContext.js
+// 매장별로 분리된 상태(maps, 캐시)와 서비스 인스턴스를 묶은 컨텍스트를 만듭니다.
+const { forStore } = require('../config');
+const { createSyncMaps } = require('../utils/stateStore');
+const { getStoreTokenManager } = require('../utils/tokenManager');
+const BookingService = require('./bookingService');
+const CustomerService = require('./customerService');
+const RevenueService = require('./revenueService');
+
+/**
+ * 상태 저장소가 없을 때 사용할 인메모리 maps
+ * @param {string} storeId 매장 ID
+ * @returns {Object} maps 객체
+ */
+const createMemoryMaps = (storeId) => ({
+  storeId,
+  processedBookings: new Set(),
+  paymentAmounts: new Map(),
+  paymentStatus: new Map(),
+  bookIdToIdxMap: new Map(),
+  sentBookings: new Map(),
+  requestMap: new Map()
+});
+
+/**
+ * 매장 maps 생성
+ * 여러 매장을 설정한 경우(config.stores) 상태 저장소 네임스페이스를 `store:{id}:` 접두사로 분리하고,
+ * 단일 매장(STORE_ID)이면 기존 네임스페이스를 그대로 사용합니다.
+ * @param {Object} config 전체 설정 객체
+ * @param {string} storeId 매장 ID
+ * @param {StateStore} stateStore 상태 저장소 (없으면 인메모리)
+ * @returns {Object} maps 객체
+ */
+const createStoreMaps = (config, storeId, stateStore = null) => {
+  if (!stateStore) return createMemoryMaps(storeId);
+
+  const scopedStore = config.stores.length > 0 ? stateStore.scope(`store:${storeId}`) : stateStore;
+  return createSyncMaps(scopedStore, { storeId });
+};
+
+/**
+ * 매장 컨텍스트 생성
+ * 재시도 큐도 maps 단위로 만들어지므로 매장마다 따로 동작합니다.
+ * @param {Object} store 매장 정보 {id, name, accessToken, roomMap}
+ * @param {Object} options 옵션
+ * @param {Object} options.config 전체 설정 객체
+ * @param {StateStore} options.stateStore 상태 저장소 (선택적)
+ * @returns {Object} {storeId, config, maps, bookingDataCache, bookingService, customerService, revenueService}
+ */
+const createStoreContext = (store, { config, stateStore = null }) => {
+  const storeId = String(store.id);
+  const storeConfig = forStore(config, store);
+  const maps = createStoreMaps(config, storeId, stateStore);
+  const bookingDataCache = { data: null, timestamp: 0 };
+  // 매장 설정의 고정 토큰은 갱신하지 않으므로 서비스보다 먼저 등록 (서비스들은 이 토큰 관리자를 공유)
+  getStoreTokenManager(maps, store, storeConfig);
+  const accessToken = store.accessToken || null;
+
+  return {
+    storeId,
+    name: store.name || storeId,
+    config: storeConfig,
+    maps,
+    bookingDataCache,
+    bookingService: new BookingService(maps, accessToken, bookingDataCache, storeConfig),
+    customerService: new CustomerService(maps, accessToken, new Set(), bookingDataCache, storeConfig),
+    revenueService: new RevenueService(maps, accessToken, storeConfig)
+  };
+};
+
+module.exports = {
+  createStoreContext,
+  createStoreMaps,
+  createMemoryMaps
+};
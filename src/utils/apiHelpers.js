@@ -1,36 +1,207 @@
 // utils/apiHelpers.js
 // 기존 api.js에서 확장된 API 관련 헬퍼 함수들입니다.
-const { getAccessToken, sendTo24GolfApi } = require('./api');
+const axios = require('axios');
+const { sendTo24GolfApi } = require('./api');
+const { handleBookingCreateResponse, processPendingBookingUpdates } = require('../handlers/response-helpers');
 const logger = require('./logger');
+const { withAccessToken } = require('./tokenManager');
+const { AuditLog } = require('./auditLog');
+const { metrics } = require('./metrics');
+
+// 외부 호출 경로 (오프라인 재생 등에서 setTransport로 교체)
+// response-helpers의 두 함수도 24골프로 직접 전송하므로 같은 경로로 호출합니다.
+const transport = {
+  sendTo24GolfApi,
+  httpGet: (url, options) => axios.get(url, options),
+  handleBookingCreateResponse,
+  processPendingBookingUpdates
+};
+
+// 동기화 모드 ('live' | 'dry-run')와 감사 기록 (configureTransport에서 설정)
+const sync = {
+  mode: 'live',
+  auditLog: null
+};
 
 /**
- * 예약 생성 API 호출 헬퍼 함수
- * @param {Object} bookingData 생성할 예약 데이터
- * @param {string} accessToken 액세스 토큰
+ * 외부 호출 경로 교체
+ * @param {Object} overrides {sendTo24GolfApi, httpGet, handleBookingCreateResponse, processPendingBookingUpdates} 중 교체할 함수
+ * @returns {Function} 이전 호출 경로로 되돌리는 함수
+ */
+const setTransport = (overrides) => {
+  const previous = { ...transport };
+  Object.assign(transport, overrides);
+  return () => Object.assign(transport, previous);
+};
+
+/**
+ * 동기화 모드와 감사 기록 파일 설정
+ * @param {Object} options 옵션
+ * @param {string} options.mode 'live' | 'dry-run'
+ * @param {string} options.auditFile 감사 기록 파일 경로 (없으면 기록 안 함)
+ */
+const setSyncMode = ({ mode = 'live', auditFile = null } = {}) => {
+  sync.mode = mode;
+  sync.auditLog = auditFile ? new AuditLog(auditFile) : null;
+};
+
+/**
+ * 드라이런 모드 여부
+ * @returns {boolean}
+ */
+const isDryRun = () => sync.mode === 'dry-run';
+
+/**
+ * 설정에 따라 동기화 모드 선택
+ * 24골프 요청은 api.js가 API_BASE_URL로 보내므로, 모의 서버를 쓰려면 API_BASE_URL을 모의 서버 주소로 지정합니다.
+ * @param {Object} config 설정 객체
+ */
+const configureTransport = (config) => {
+  setSyncMode(config.sync);
+  if (isDryRun()) {
+    logger.warn(`Dry-run mode: 24Golf requests are recorded${config.sync.auditFile ? ` to ${config.sync.auditFile}` : ''} and not sent`);
+  }
+};
+
+/**
+ * 24골프 예약 작업 전송 (드라이런 모드에서는 보낼 데이터만 기록)
+ * 실제로 전송한 작업도 성공한 경우 감사 기록에 남겨 섀도 인스턴스 기록과 비교할 수 있게 합니다.
+ * @param {string} action 'Booking_Create' | 'Booking_Update' | 'Booking_Cancel'
+ * @param {Object} params 요청 파라미터
+ * @param {Object|null} data 요청 데이터
+ * @param {TokenManager|string} accessToken 토큰 관리자 또는 액세스 토큰
  * @param {Set} processedBookings 처리된 예약 집합
  * @param {Map} paymentAmounts 결제 금액 맵
  * @param {Map} paymentStatus 결제 상태 맵
- * @returns {Promise<Object>} API 응답 데이터
+ * @returns {Promise<Object>} API 응답 데이터 (드라이런이면 {success: true, dryRun: true})
  */
-const createBooking = async (bookingData, accessToken, processedBookings, paymentAmounts, paymentStatus) => {
-  const token = accessToken || await getAccessToken();
-  logger.debug(`Sending API data for booking:`, bookingData);
-  
+const sendBookingAction = async (action, params, data, accessToken, processedBookings, paymentAmounts, paymentStatus) => {
+  const record = { mode: sync.mode, action, externalId: data?.externalId || params?.externalId, params: Object.keys(params).length > 0 ? params : null, data };
+
+  if (isDryRun()) {
+    logger.info(`[dry-run] ${action} for book_id: ${record.externalId} not sent`);
+    sync.auditLog?.write(record);
+    metrics.inc('kimcady_sync_requests_total', { action, result: 'dry_run' });
+    return { success: true, dryRun: true };
+  }
+
+  let result;
   try {
-    const result = await sendTo24GolfApi(
-      'Booking_Create', 
+    result = await withAccessToken(accessToken, token => transport.sendTo24GolfApi(
+      action, 
       '', 
-      {}, 
-      bookingData, 
+      params, 
+      data, 
       token, 
       processedBookings, 
       paymentAmounts, 
       paymentStatus
-    );
+    ));
+  } catch (error) {
+    metrics.inc('kimcady_sync_requests_total', { action, result: 'failure' });
+    throw error;
+  }
+  metrics.inc('kimcady_sync_requests_total', { action, result: 'success' });
+  sync.auditLog?.write(record);
+  return result;
+};
+
+/**
+ * 김캐디 전체 예약 목록 조회 (/stores/{storeId}/reservation/crawl)
+ * @param {string} storeId 매장 ID
+ * @param {TokenManager|string} accessToken 토큰 관리자 또는 액세스 토큰 (없으면 공용 토큰 관리자)
+ * @param {string} apiBaseUrl 김캐디 API 기본 URL (config.api.baseUrl)
+ * @returns {Promise<Object>} {results: [...]} 형태의 응답 데이터
+ */
+const fetchCrawlBookings = async (storeId, accessToken, apiBaseUrl) => {
+  const url = `${apiBaseUrl}/stores/${storeId}/reservation/crawl`;
+  const response = await withAccessToken(accessToken, token => transport.httpGet(url, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  }));
+  return response.data;
+};
+
+/**
+ * response-helpers 처리 실행 (드라이런 모드에서는 실행하지 않고 기록만 남김)
+ * response-helpers는 api.js로 24골프에 직접 전송하므로 sendBookingAction과 같은 방식으로 감사 기록을 남깁니다.
+ * @param {string} action 기록할 작업 이름 (response-helpers 함수 이름)
+ * @param {string|null} externalId 예약 ID (알 수 없으면 null)
+ * @param {Function} run 실제 처리 함수
+ * @returns {Promise<void>}
+ */
+const runResponseHelper = async (action, externalId, run) => {
+  const record = { mode: sync.mode, action, externalId };
+
+  if (isDryRun()) {
+    logger.info(`[dry-run] ${action}${externalId ? ` for book_id: ${externalId}` : ''} skipped`);
+    sync.auditLog?.write(record);
+    metrics.inc('kimcady_sync_requests_total', { action, result: 'dry_run' });
+    return;
+  }
+
+  try {
+    await run();
+  } catch (error) {
+    metrics.inc('kimcady_sync_requests_total', { action, result: 'failure' });
+    throw error;
+  }
+  metrics.inc('kimcady_sync_requests_total', { action, result: 'success' });
+  sync.auditLog?.write(record);
+};
+
+/**
+ * 김캐디 예약 생성 응답 처리 (response-helpers.handleBookingCreateResponse)
+ * 생성 요청 데이터(requestMap)와 응답으로 24골프에 예약을 전송합니다.
+ * @param {Object} response 예약 생성 응답 (puppeteer Response)
+ * @param {Map} requestMap 요청 데이터 맵
+ * @param {TokenManager|string} accessToken 토큰 관리자 또는 액세스 토큰
+ * @param {Object} maps 공유 맵 객체
+ * @returns {Promise<void>}
+ */
+const handleCreateResponse = async (response, requestMap, accessToken, maps) => {
+  const created = await response.json().catch(() => null);
+  await runResponseHelper('handleBookingCreateResponse', created?.book_id || null, () =>
+    withAccessToken(accessToken, token => transport.handleBookingCreateResponse(response.url(), response, requestMap, token, maps)));
+};
+
+/**
+ * 보류 중인 예약 업데이트 전송 (response-helpers.processPendingBookingUpdates)
+ * @param {TokenManager|string} accessToken 토큰 관리자 또는 액세스 토큰
+ * @param {Object} maps 공유 맵 객체
+ * @returns {Promise<void>}
+ */
+const sendPendingBookingUpdates = (accessToken, maps) =>
+  runResponseHelper('processPendingBookingUpdates', null, () =>
+    withAccessToken(accessToken, token => transport.processPendingBookingUpdates(token, maps)));
+
+/**
+ * 예약 생성 API 호출 헬퍼 함수
+ * @param {Object} bookingData 생성할 예약 데이터
+ * @param {TokenManager|string} accessToken 토큰 관리자 또는 액세스 토큰
+ * @param {Set} processedBookings 처리된 예약 집합
+ * @param {Map} paymentAmounts 결제 금액 맵
+ * @param {Map} paymentStatus 결제 상태 맵
+ * @param {Map} sentBookings 마지막으로 전송한 예약 데이터 맵 (선택적)
+ * @returns {Promise<Object>} API 응답 데이터
+ */
+const createBooking = async (bookingData, accessToken, processedBookings, paymentAmounts, paymentStatus, sentBookings = null) => {
+  logger.debug(`Sending API data for booking:`, bookingData);
+  
+  try {
+    const result = await sendBookingAction('Booking_Create', {}, bookingData, accessToken, processedBookings, paymentAmounts, paymentStatus);
     
-    // 성공적으로 처리되었다면 processedBookings에 추가
+    // 성공적으로 처리되었다면 processedBookings에 추가 (드라이런은 운영 인스턴스 상태를 건드리지 않음)
     if (bookingData.externalId) {
-      processedBookings.add(bookingData.externalId);
+      if (!result?.dryRun) {
+        processedBookings.add(bookingData.externalId);
+      }
+      // 이후 변경 감지를 위해 전송한 데이터 보관 (드라이런도 운영과 같은 변경 판단을 하도록 보관)
+      if (sentBookings) {
+        sentBookings.set(bookingData.externalId, { ...bookingData });
+      }
     }
     
     return result;
@@ -40,35 +211,48 @@ const createBooking = async (bookingData, accessToken, processedBookings, paymen
   }
 };
 
+/**
+ * 전송한 예약 데이터에 취소 여부 표시
+ * @param {string} bookId 예약 ID
+ * @param {Map} sentBookings 마지막으로 전송한 예약 데이터 맵
+ */
+const markSentBookingCanceled = (bookId, sentBookings) => {
+  if (sentBookings?.has(bookId)) {
+    sentBookings.set(bookId, { ...sentBookings.get(bookId), canceled: true });
+  }
+};
+
 /**
  * 예약 취소 API 호출 헬퍼 함수
  * @param {string} bookId 취소할 예약 ID
  * @param {string} canceledBy 취소자 정보
- * @param {string} accessToken 액세스 토큰
+ * @param {TokenManager|string} accessToken 토큰 관리자 또는 액세스 토큰
  * @param {Set} processedBookings 처리된 예약 집합
  * @param {Map} paymentAmounts 결제 금액 맵
  * @param {Map} paymentStatus 결제 상태 맵
+ * @param {Map} sentBookings 마지막으로 전송한 예약 데이터 맵 (선택적)
  * @returns {Promise<Object>} API 응답 데이터
  */
-const cancelBooking = async (bookId, canceledBy, accessToken, processedBookings, paymentAmounts, paymentStatus) => {
-  const token = accessToken || await getAccessToken();
+const cancelBooking = async (bookId, canceledBy, accessToken, processedBookings, paymentAmounts, paymentStatus, sentBookings = null) => {
   logger.info(`Processing Booking_Cancel for book_id: ${bookId}`);
   
   try {
-    const result = await sendTo24GolfApi(
+    const result = await sendBookingAction(
       'Booking_Cancel', 
-      '', 
       { 
         canceled_by: canceledBy || 'App User', 
         externalId: bookId 
       }, 
       null, 
-      token, 
+      accessToken, 
       processedBookings, 
       paymentAmounts, 
       paymentStatus
     );
     
+    markSentBookingCanceled(bookId, sentBookings);
+    if (result?.dryRun) return result;
+
     processedBookings.add(bookId);
     logger.info(`Successfully canceled booking: ${bookId}`);
     return result;
@@ -76,6 +260,7 @@ const cancelBooking = async (bookId, canceledBy, accessToken, processedBookings,
     if (error.response?.status === 400 && error.response?.data?.error === 'ALREADY_CANCELLED') {
       logger.info(`Booking ${bookId} was already canceled`);
       processedBookings.add(bookId);
+      markSentBookingCanceled(bookId, sentBookings);
       return { success: true, alreadyCancelled: true };
     }
     logger.error(`Failed to cancel booking: ${bookId}`, error);
@@ -85,30 +270,28 @@ const cancelBooking = async (bookId, canceledBy, accessToken, processedBookings,
 
 /**
  * 예약 업데이트 API 호출 헬퍼 함수
- * @param {Object} bookingData 업데이트할 예약 데이터
- * @param {string} accessToken 액세스 토큰
+ * @param {Object} bookingData 업데이트할 예약 데이터 (externalId와 변경된 필드)
+ * @param {TokenManager|string} accessToken 토큰 관리자 또는 액세스 토큰
  * @param {Set} processedBookings 처리된 예약 집합
  * @param {Map} paymentAmounts 결제 금액 맵
  * @param {Map} paymentStatus 결제 상태 맵
+ * @param {Map} sentBookings 마지막으로 전송한 예약 데이터 맵 (선택적)
  * @returns {Promise<Object>} API 응답 데이터
  */
-const updateBooking = async (bookingData, accessToken, processedBookings, paymentAmounts, paymentStatus) => {
-  const token = accessToken || await getAccessToken();
+const updateBooking = async (bookingData, accessToken, processedBookings, paymentAmounts, paymentStatus, sentBookings = null) => {
   const bookId = bookingData.externalId;
   
   logger.debug(`Updating booking ${bookId} with data:`, bookingData);
   
   try {
-    return await sendTo24GolfApi(
-      'Booking_Update', 
-      '', 
-      {}, 
-      bookingData, 
-      token, 
-      processedBookings, 
-      paymentAmounts, 
-      paymentStatus
-    );
+    const result = await sendBookingAction('Booking_Update', {}, bookingData, accessToken, processedBookings, paymentAmounts, paymentStatus);
+
+    // 전송한 변경 사항을 마지막 전송 데이터에 반영
+    if (sentBookings && bookId) {
+      sentBookings.set(bookId, { ...(sentBookings.get(bookId) || {}), ...bookingData });
+    }
+
+    return result;
   } catch (error) {
     logger.error(`Failed to update booking ${bookId}:`, error);
     throw error;
@@ -116,7 +299,14 @@ const updateBooking = async (bookingData, accessToken, processedBookings, paymen
 };
 
 module.exports = {
+  fetchCrawlBookings,
+  handleCreateResponse,
+  sendPendingBookingUpdates,
   createBooking,
   cancelBooking,
-  updateBooking
+  updateBooking,
+  setTransport,
+  setSyncMode,
+  isDryRun,
+  configureTransport
 };
\ No newline at end of file
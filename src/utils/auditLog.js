@@ -0,0 +1,107 @@
+// utils/auditLog.js
+// 24골프로 보낸(드라이런에서는 보냈을) 예약 작업 데이터를 JSON Lines 파일로 남깁니다.
+// 운영 인스턴스와 섀도 인스턴스의 기록을 cli/auditDiff.js로 비교할 수 있습니다.
+// 고객 이름/전화번호는 가려서 남기므로, 두 기록의 비교는 가린 값끼리 합니다.
+// (뒤 4자리가 같은 다른 번호, 첫 글자가 같은 다른 이름의 차이는 드러나지 않음)
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { redact } = require('./redact');
+
+class AuditLog {
+  /**
+   * @param {string} filePath 기록 파일 경로
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  /**
+   * 예약 작업 기록
+   * 기록 실패는 동기화를 막지 않도록 경고만 남깁니다.
+   * @param {Object} entry {mode, action, externalId, params, data}
+   */
+  write({ mode, action, externalId, params = null, data = null }) {
+    const record = { ts: new Date().toISOString(), mode, action, externalId: externalId || null, params: redact(params), data: redact(data) };
+    try {
+      fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+    } catch (e) {
+      logger.warn(`Failed to write audit record to ${this.filePath}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * 감사 기록 파일 읽기
+ * @param {string} filePath 기록 파일 경로
+ * @returns {Array<Object>} 기록 목록
+ */
+const readAuditLog = (filePath) => fs.readFileSync(filePath, 'utf8')
+  .split('\n')
+  .filter(line => line.trim())
+  .map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      throw new Error(`Invalid audit record at ${filePath}:${index + 1}: ${e.message}`);
+    }
+  });
+
+/**
+ * 비교용 키 (작업 + 예약 ID)
+ * @param {Object} record 감사 기록
+ * @returns {string}
+ */
+const auditKey = (record) => `${record.action}:${record.externalId}`;
+
+/**
+ * 두 감사 기록 비교
+ * 시각과 모드는 무시하고, 같은 작업/예약 ID의 n번째 기록끼리 전송 데이터를 비교합니다.
+ * @param {Array<Object>} live 운영 인스턴스 기록
+ * @param {Array<Object>} shadow 섀도(드라이런) 인스턴스 기록
+ * @returns {Object} {matched, onlyLive, onlyShadow, changed}
+ */
+const compareAuditLogs = (live, shadow) => {
+  const group = (records) => {
+    const groups = new Map();
+    for (const record of records) {
+      const key = auditKey(record);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    }
+    return groups;
+  };
+
+  const liveGroups = group(live);
+  const shadowGroups = group(shadow);
+  const result = { matched: 0, onlyLive: [], onlyShadow: [], changed: [] };
+
+  for (const key of new Set([...liveGroups.keys(), ...shadowGroups.keys()])) {
+    const liveRecords = liveGroups.get(key) || [];
+    const shadowRecords = shadowGroups.get(key) || [];
+    const length = Math.max(liveRecords.length, shadowRecords.length);
+
+    for (let index = 0; index < length; index++) {
+      const liveRecord = liveRecords[index];
+      const shadowRecord = shadowRecords[index];
+      if (!shadowRecord) {
+        result.onlyLive.push(liveRecord);
+      } else if (!liveRecord) {
+        result.onlyShadow.push(shadowRecord);
+      } else if (JSON.stringify([liveRecord.params, liveRecord.data]) !== JSON.stringify([shadowRecord.params, shadowRecord.data])) {
+        result.changed.push({ live: liveRecord, shadow: shadowRecord });
+      } else {
+        result.matched++;
+      }
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  AuditLog,
+  readAuditLog,
+  compareAuditLogs
+};
@@ -0,0 +1,145 @@
+// utils/bookingDiff.js
+// 연속된 예약 목록 응답(/owner/booking/, /reservation/crawl)을 비교하여 변경 사항만 추출합니다.
+const EventEmitter = require('events');
+const { extractPaymentInfo } = require('./bookingHelpers');
+
+/**
+ * 변경 유형
+ */
+const CHANGE_TYPES = {
+  NEW: 'new',           // 이전 목록에 없던 예약
+  STATE: 'state',       // 상태 변경 (예: success -> canceling)
+  PAYMENT: 'payment',   // 결제 금액 또는 완료 여부 변경
+  SCHEDULE: 'schedule', // 시간, 룸, 인원, 홀 변경
+  REMOVED: 'removed'    // 이전 목록에 있었으나 사라진 예약
+};
+
+// 일정 변경으로 보는 원본 예약 필드
+const SCHEDULE_SOURCE_FIELDS = ['start_datetime', 'end_datetime', 'room', 'person', 'hole'];
+
+/**
+ * 예약 목록 응답에서 book_id 기준 맵을 만드는 함수
+ * @param {Object} payload {results: [...]} 형태의 응답 데이터
+ * @returns {Map<string, Object>}
+ */
+const indexBookings = (payload) => {
+  const index = new Map();
+  const results = Array.isArray(payload?.results) ? payload.results : [];
+  for (const booking of results) {
+    if (booking?.book_id) {
+      index.set(booking.book_id, booking);
+    }
+  }
+  return index;
+};
+
+/**
+ * 두 예약 목록을 비교하여 변경 사항 배열을 반환하는 함수
+ * 한 예약에 여러 변경이 있으면 유형별로 각각 반환합니다.
+ * @param {Map<string, Object>} previous 이전 목록 (indexBookings 결과)
+ * @param {Map<string, Object>} current 현재 목록 (indexBookings 결과)
+ * @returns {Array<Object>} {type, bookId, booking, previous, ...} 형태의 변경 사항
+ */
+const diffBookingLists = (previous, current) => {
+  const changes = [];
+
+  for (const [bookId, booking] of current.entries()) {
+    const before = previous.get(bookId);
+    if (!before) {
+      changes.push({ type: CHANGE_TYPES.NEW, bookId, booking, previous: null });
+      continue;
+    }
+
+    if (before.state !== booking.state) {
+      changes.push({ type: CHANGE_TYPES.STATE, bookId, booking, previous: before, from: before.state, to: booking.state });
+    }
+
+    const paymentBefore = extractPaymentInfo(before);
+    const paymentNow = extractPaymentInfo(booking);
+    if (paymentBefore.amount !== paymentNow.amount || paymentBefore.finished !== paymentNow.finished) {
+      changes.push({ type: CHANGE_TYPES.PAYMENT, bookId, booking, previous: before, from: paymentBefore, to: paymentNow });
+    }
+
+    const fields = SCHEDULE_SOURCE_FIELDS.filter(field => String(before[field] ?? '') !== String(booking[field] ?? ''));
+    if (fields.length > 0) {
+      changes.push({ type: CHANGE_TYPES.SCHEDULE, bookId, booking, previous: before, fields });
+    }
+  }
+
+  for (const [bookId, before] of previous.entries()) {
+    if (!current.has(bookId)) {
+      changes.push({ type: CHANGE_TYPES.REMOVED, bookId, booking: null, previous: before });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * 응답 출처별 직전 스냅샷을 보관하고 새 응답과의 차이를 이벤트로 알리는 클래스
+ * 'changes' 이벤트: (source, changes)
+ * 출처마다 조회 범위가 다를 수 있으므로 같은 출처끼리만 비교합니다.
+ */
+class BookingSnapshotTracker extends EventEmitter {
+  constructor() {
+    super();
+    this.snapshots = new Map();
+  }
+
+  /**
+   * 새 응답을 직전 스냅샷과 비교하고 스냅샷을 교체
+   * @param {string} source 응답 출처 (예: 'ownerBooking', 'crawl')
+   * @param {Object} payload {results: [...]} 형태의 응답 데이터
+   * @returns {Array<Object>} 변경 사항
+   */
+  update(source, payload) {
+    const current = indexBookings(payload);
+    const previous = this.snapshots.get(source)?.index || new Map();
+    const changes = diffBookingLists(previous, current);
+
+    this.snapshots.set(source, { index: current, timestamp: Date.now() });
+    if (changes.length > 0) {
+      this.emit('changes', source, changes);
+    }
+    return changes;
+  }
+
+  /**
+   * 모든 출처의 스냅샷에서 예약을 제거
+   * 다음 응답에서 해당 예약이 다시 NEW 변경으로 보고됩니다.
+   * @param {string} bookId 예약 ID
+   * @returns {boolean} 제거한 스냅샷이 있는지 여부
+   */
+  forget(bookId) {
+    let removed = false;
+    for (const snapshot of this.snapshots.values()) {
+      removed = snapshot.index.delete(bookId) || removed;
+    }
+    return removed;
+  }
+
+  /**
+   * 출처별 마지막 스냅샷 시각 (밀리초)
+   * @param {string} source 응답 출처
+   * @returns {number|null}
+   */
+  lastUpdated(source) {
+    return this.snapshots.get(source)?.timestamp || null;
+  }
+}
+
+/**
+ * 변경 사항 배열에서 지정한 유형만 골라내는 함수
+ * @param {Array<Object>} changes 변경 사항
+ * @param {...string} types 변경 유형
+ * @returns {Array<Object>}
+ */
+const filterChanges = (changes, ...types) => changes.filter(change => types.includes(change.type));
+
+module.exports = {
+  CHANGE_TYPES,
+  indexBookings,
+  diffBookingLists,
+  filterChanges,
+  BookingSnapshotTracker
+};
@@ -1,5 +1,7 @@
 // utils/bookingHelpers.js
 const { convertKSTtoUTC } = require('./api');
+const { getRoomMapping } = require('./roomMapping');
+const { normalizeCustomer } = require('./customerProfile');
 
 /**
  * 예약 데이터에서 결제 정보를 추출하는 함수
@@ -21,27 +23,41 @@ const extractPaymentInfo = (booking) => {
   return { amount, finished };
 };
 
+/**
+ * 예약의 김캐디 룸을 24골프 룸으로 확인
+ * @param {Object} booking 원본 예약 데이터
+ * @param {RoomMapping|Object} roomMap 룸 매핑 (매장별, 선택적)
+ * @returns {Object} {status, kimcaddyRoomId, roomId, name} (roomMapping.resolve 결과)
+ */
+const resolveBookingRoom = (booking, roomMap = null) => {
+  return getRoomMapping(roomMap).resolve(booking.room?.toString() || booking.roomId);
+};
+
 /**
  * 24골프 API에 전송할 예약 데이터 객체를 생성하는 함수
+ * 룸을 24골프 룸으로 바꿀 수 없으면(매핑 없음, 비활성, 룸 정보 없음) roomId는 null이며, 전송하지 않고 보류해야 합니다.
+ * 이름과 전화번호는 customerProfile로 정리하며, 없거나 휴대전화 번호가 아니면 가짜 값 대신 null입니다.
  * @param {Object} booking 원본 예약 데이터
  * @param {number} amount 결제 금액
  * @param {boolean} finished 결제 완료 여부
  * @param {boolean} immediate 즉시 예약 여부
+ * @param {RoomMapping|Object} roomMap 김캐디 룸 ID -> 24골프 룸 매핑 (매장별, 선택적)
  * @returns {Object} API 전송용 예약 데이터 객체
  */
-const prepareBookingData = (booking, amount, finished, immediate = false) => {
+const prepareBookingData = (booking, amount, finished, immediate = false, roomMap = null) => {
   const bookId = booking.book_id || booking.externalId;
   const startDate = booking.start_datetime ? convertKSTtoUTC(booking.start_datetime) : null;
   const endDate = booking.end_datetime ? convertKSTtoUTC(booking.end_datetime) : null;
+  const customer = normalizeCustomer(booking);
 
   return {
     externalId: bookId,
-    name: booking.name || 'Unknown',
-    phone: booking.phone || '010-0000-0000',
+    name: customer.name,
+    phone: customer.phone,
     partySize: parseInt(booking.person || 1, 10),
     startDate,
     endDate,
-    roomId: booking.room?.toString() || booking.roomId || 'unknown',
+    roomId: resolveBookingRoom(booking, roomMap).roomId,
     hole: booking.hole,
     paymented: finished,
     paymentAmount: amount,
@@ -50,6 +66,45 @@ const prepareBookingData = (booking, amount, finished, immediate = false) => {
   };
 };
 
+/**
+ * Booking_Update 대상이 되는 일정 관련 필드
+ */
+const SCHEDULE_FIELDS = ['startDate', 'endDate', 'roomId', 'partySize', 'hole'];
+
+/**
+ * Booking_Update 대상이 되는 결제 관련 필드
+ */
+const PAYMENT_FIELDS = ['paymented', 'paymentAmount'];
+
+/**
+ * Booking_Update 대상이 되는 고객 정보 필드 (고객 정보 응답에서 갱신)
+ */
+const CUSTOMER_FIELDS = ['name', 'phone'];
+
+/**
+ * 마지막으로 전송한 예약 데이터와 새 예약 데이터를 비교하여 변경된 필드만 반환하는 함수
+ * 새 데이터에 값이 없거나 'unknown'인 필드는 변경으로 보지 않습니다.
+ * @param {Object} previous 마지막으로 전송한 예약 데이터
+ * @param {Object} next prepareBookingData로 생성한 새 예약 데이터
+ * @param {Array<string>} fields 비교할 필드 목록
+ * @returns {Object|null} 변경된 필드 객체 또는 변경이 없으면 null
+ */
+const diffBookingData = (previous, next, fields = SCHEDULE_FIELDS) => {
+  const changes = {};
+
+  for (const field of fields) {
+    const nextValue = next[field];
+    if (nextValue === null || nextValue === undefined || nextValue === 'unknown') continue;
+
+    const previousValue = previous[field];
+    if (previousValue === null || previousValue === undefined || String(previousValue) !== String(nextValue)) {
+      changes[field] = nextValue;
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
 /**
  * 캐시된 예약 데이터에서 특정 예약을 찾는 함수
  * @param {string} bookId 예약 ID
@@ -80,6 +135,11 @@ const updatePaymentMaps = (bookId, paymentInfo, paymentAmounts, paymentStatus) =
 module.exports = {
   extractPaymentInfo,
   prepareBookingData,
+  resolveBookingRoom,
+  SCHEDULE_FIELDS,
+  PAYMENT_FIELDS,
+  CUSTOMER_FIELDS,
+  diffBookingData,
   findBookingInCache,
   updatePaymentMaps
 };
\ No newline at end of file
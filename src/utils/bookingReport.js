@@ -0,0 +1,277 @@
+// utils/bookingReport.js
+// 예약과 결제 정보로 룸별 일간/월간 요약(예약 시간, 가동률, 결제/미결제 금액, 취소 수, 앱/매장 예약 수)을 만듭니다.
+// 시각과 날짜는 모두 한국 시간(KST) 기준이며, 가동률은 영업시간 안에 예약된 시간의 비율입니다.
+// 예약 목록/전송 기록을 보고서용 예약으로 바꾸는 부분은 services/reportService.js에 있습니다.
+const { getRoomMapping } = require('./roomMapping');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const KST_OFFSET_MS = 9 * HOUR_MS;
+
+// 집계 단위
+const REPORT_PERIODS = {
+  DAY: 'day',
+  MONTH: 'month'
+};
+
+// 기간별 전체 합계 행의 roomId
+const TOTAL_ROOM = 'TOTAL';
+// 룸 정보가 없는 예약의 roomId
+const NO_ROOM = '(none)';
+
+const CSV_COLUMNS = [
+  'storeId', 'period', 'roomId', 'golfRoomId', 'roomName',
+  'bookings', 'canceled', 'appBookings', 'ownerBookings',
+  'bookedHours', 'availableHours', 'occupancyPercent',
+  'totalAmount', 'paidAmount', 'unpaidAmount'
+];
+
+const BUSINESS_HOURS_PATTERN = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 영업시간 해석
+ * 종료가 시작보다 이르면 다음 날 새벽까지 영업하는 것으로 봅니다. (예: 10:00-02:00)
+ * @param {string} text 'HH:MM-HH:MM'
+ * @returns {Object|null} {open, close, length, overnight} (분 단위, 형식이 잘못되면 null)
+ */
+const parseBusinessHours = (text) => {
+  const match = BUSINESS_HOURS_PATTERN.exec(String(text ?? '').trim());
+  if (!match) return null;
+
+  const [openHour, openMinute, closeHour, closeMinute] = match.slice(1).map(Number);
+  if (openMinute >= 60 || closeMinute >= 60) return null;
+  const open = openHour * 60 + openMinute;
+  const close = closeHour * 60 + closeMinute;
+  if (open >= 24 * 60 || close > 24 * 60 || open === close) return null;
+
+  const overnight = close < open;
+  return { open, close, length: overnight ? close + 24 * 60 - open : close - open, overnight };
+};
+
+/**
+ * 영업시간 설정 검증
+ * @param {string} text 'HH:MM-HH:MM'
+ * @returns {string|null} 오류 메시지
+ */
+const validateBusinessHours = (text) => (
+  parseBusinessHours(text) ? null : `must be HH:MM-HH:MM (e.g. 00:00-24:00, 10:00-02:00) but got "${text}"`
+);
+
+/**
+ * 보고서 날짜 해석
+ * @param {string} text 'YYYY-MM-DD'
+ * @returns {number} 해당 날짜 0시 (KST 벽시계 시각을 UTC 밀리초로 표현한 값)
+ * @throws {Error} 날짜 형식이 잘못된 경우
+ */
+const parseReportDate = (text) => {
+  const time = DATE_PATTERN.test(String(text ?? '')) ? Date.parse(`${text}T00:00:00Z`) : NaN;
+  if (Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== text) {
+    throw new Error(`Invalid date "${text}" (expected YYYY-MM-DD)`);
+  }
+  return time;
+};
+
+/**
+ * 예약 시각을 KST 벽시계 시각(UTC 밀리초로 표현)으로 변환
+ * 김캐디 예약 목록은 시간대 없는 KST 문자열, 24골프 전송 기록은 UTC ISO 문자열입니다.
+ * @param {string} value 시각 문자열
+ * @returns {number|null}
+ */
+const toKstTime = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  const time = Date.parse(hasZone ? text : `${text}Z`);
+  if (Number.isNaN(time)) return null;
+  return hasZone ? time + KST_OFFSET_MS : time;
+};
+
+const dateKey = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * 룸 매핑의 활성 룸 목록 (예약이 없는 룸도 보고서에 0으로 나오도록)
+ * @param {RoomMapping|Object} roomMap 매장 룸 매핑
+ * @returns {Array<Object>} [{roomId, golfRoomId, roomName}]
+ */
+const listReportRooms = (roomMap) => [...getRoomMapping(roomMap).rooms.values()]
+  .filter(room => room.active)
+  .map(room => ({ roomId: room.kimcaddyRoomId, golfRoomId: room.golfRoomId, roomName: room.name }));
+
+const emptyRow = (period, room) => ({
+  period,
+  roomId: room.roomId,
+  golfRoomId: room.golfRoomId ?? null,
+  roomName: room.roomName ?? null,
+  bookings: 0,
+  canceled: 0,
+  appBookings: 0,
+  ownerBookings: 0,
+  bookedMinutes: 0,
+  availableMinutes: 0,
+  totalAmount: 0,
+  paidAmount: 0,
+  unpaidAmount: 0
+});
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const finishRow = ({ bookedMinutes, availableMinutes, ...row }) => ({
+  ...row,
+  bookedHours: round(bookedMinutes / 60, 2),
+  availableHours: round(availableMinutes / 60, 2),
+  occupancyPercent: availableMinutes > 0 ? round((bookedMinutes / availableMinutes) * 100, 1) : 0
+});
+
+/**
+ * 룸별 일간/월간 보고서 생성
+ * - 예약/취소/앱/매장 예약 수와 금액은 예약 시작 시각이 속한 영업일에 집계합니다. (금액은 취소 제외)
+ * - 예약 시간은 영업시간과 겹치는 부분만 영업일별로 나누어 더하고, 가동률은 (예약 시간 / 영업시간 합계)입니다.
+ * @param {Array<Object>} records 보고서용 예약 [{bookId, roomId, golfRoomId, roomName, start, end, canceled, app, amount, paidAmount, unpaidAmount}]
+ *   (start/end는 toKstTime 값, 룸 ID는 김캐디 룸 ID)
+ * @param {Object} options 옵션
+ * @param {string} options.from 시작 날짜 'YYYY-MM-DD'
+ * @param {string} options.to 종료 날짜 'YYYY-MM-DD' (포함)
+ * @param {string} options.period REPORT_PERIODS 값
+ * @param {string} options.businessHours 영업시간 'HH:MM-HH:MM'
+ * @param {Array<Object>} options.rooms 예약이 없어도 포함할 룸 (listReportRooms 결과)
+ * @returns {Object} {from, to, period, businessHours, generatedAt, rows, totals}
+ * @throws {Error} 날짜, 집계 단위, 영업시간이 잘못된 경우
+ */
+const buildReport = (records, { from, to = from, period = REPORT_PERIODS.DAY, businessHours = '00:00-24:00', rooms = [] } = {}) => {
+  const fromTime = parseReportDate(from);
+  const toTime = parseReportDate(to);
+  if (toTime < fromTime) throw new Error(`Report end date ${to} is before start date ${from}`);
+  if (!Object.values(REPORT_PERIODS).includes(period)) {
+    throw new Error(`Unknown report period ${period} (one of ${Object.values(REPORT_PERIODS).join(', ')})`);
+  }
+  const hours = parseBusinessHours(businessHours);
+  if (!hours) throw new Error(`Invalid business hours ${businessHours}`);
+
+  const periodOf = (day) => (period === REPORT_PERIODS.MONTH ? day.slice(0, 7) : day);
+  const inRange = (dayTime) => dayTime >= fromTime && dayTime <= toTime;
+
+  // 시각이 속한 영업일 0시 (자정을 넘겨 영업하면 종료 전 새벽은 전날 영업일)
+  const businessDayOf = (time) => {
+    const day = Math.floor(time / DAY_MS) * DAY_MS;
+    return hours.overnight && time - day < hours.close * MINUTE_MS ? day - DAY_MS : day;
+  };
+
+  // 기간별 영업일 수
+  const daysPerPeriod = new Map();
+  for (let day = fromTime; day <= toTime; day += DAY_MS) {
+    const key = periodOf(dateKey(day));
+    daysPerPeriod.set(key, (daysPerPeriod.get(key) || 0) + 1);
+  }
+
+  const knownRooms = new Map(rooms.map(room => [String(room.roomId), room]));
+  for (const record of records) {
+    const roomId = record.roomId ?? NO_ROOM;
+    if (!knownRooms.has(roomId)) {
+      knownRooms.set(roomId, { roomId, golfRoomId: record.golfRoomId, roomName: record.roomName });
+    }
+  }
+
+  const rows = new Map();
+  const rowFor = (key, roomId) => rows.get(`${key}|${roomId}`);
+  for (const [key, days] of daysPerPeriod.entries()) {
+    for (const room of knownRooms.values()) {
+      const row = emptyRow(key, room);
+      row.availableMinutes = room.roomId === NO_ROOM ? 0 : days * hours.length;
+      rows.set(`${key}|${room.roomId}`, row);
+    }
+  }
+
+  for (const record of records) {
+    if (record.start === null) continue;
+    const roomId = record.roomId ?? NO_ROOM;
+    const startDay = businessDayOf(record.start);
+
+    if (inRange(startDay)) {
+      const row = rowFor(periodOf(dateKey(startDay)), roomId);
+      if (record.canceled) {
+        row.canceled++;
+      } else {
+        row.bookings++;
+        row[record.app ? 'appBookings' : 'ownerBookings']++;
+        row.totalAmount += record.amount;
+        row.paidAmount += record.paidAmount;
+        row.unpaidAmount += record.unpaidAmount;
+      }
+    }
+
+    if (record.canceled || record.end === null || record.end <= record.start) continue;
+
+    // 예약 시간을 영업일별 영업시간과 겹치는 만큼 나누어 더함
+    for (let day = startDay; day <= businessDayOf(record.end); day += DAY_MS) {
+      if (!inRange(day)) continue;
+      const open = day + hours.open * MINUTE_MS;
+      const close = open + hours.length * MINUTE_MS;
+      const overlap = Math.min(record.end, close) - Math.max(record.start, open);
+      if (overlap > 0) {
+        rowFor(periodOf(dateKey(day)), roomId).bookedMinutes += overlap / MINUTE_MS;
+      }
+    }
+  }
+
+  const sortedRows = [...rows.values()].sort((a, b) => (
+    a.period.localeCompare(b.period) || String(a.roomId).localeCompare(String(b.roomId), undefined, { numeric: true })
+  ));
+
+  const totals = [...daysPerPeriod.keys()].map(key => {
+    const total = emptyRow(key, { roomId: TOTAL_ROOM });
+    for (const row of sortedRows.filter(item => item.period === key)) {
+      for (const field of ['bookings', 'canceled', 'appBookings', 'ownerBookings', 'bookedMinutes', 'availableMinutes', 'totalAmount', 'paidAmount', 'unpaidAmount']) {
+        total[field] += row[field];
+      }
+    }
+    return finishRow(total);
+  });
+
+  return {
+    from,
+    to,
+    period,
+    businessHours,
+    generatedAt: new Date().toISOString(),
+    rows: sortedRows.map(finishRow),
+    totals
+  };
+};
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * 매장별 보고서를 CSV로 변환 (기간마다 룸 행 뒤에 TOTAL 행)
+ * @param {Object} reports 매장 ID -> buildReport 결과
+ * @returns {string}
+ */
+const toCsv = (reports) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const [storeId, report] of Object.entries(reports)) {
+    for (const total of report.totals) {
+      const rows = [...report.rows.filter(row => row.period === total.period), total];
+      for (const row of rows) {
+        lines.push(CSV_COLUMNS.map(column => escapeCsv(column === 'storeId' ? storeId : row[column])).join(','));
+      }
+    }
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  REPORT_PERIODS,
+  TOTAL_ROOM,
+  parseBusinessHours,
+  validateBusinessHours,
+  parseReportDate,
+  toKstTime,
+  listReportRooms,
+  buildReport,
+  toCsv
+};
@@ -0,0 +1,80 @@
+// utils/circuitBreaker.js
+// 외부 API(24골프)가 연속으로 실패할 때 일정 시간 호출을 멈추기 위한 서킷 브레이커입니다.
+const logger = require('./logger');
+
+const STATE_CLOSED = 'closed';
+const STATE_OPEN = 'open';
+const STATE_HALF_OPEN = 'half-open';
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options 옵션
+   * @param {string} options.name 로그에 표시할 이름
+   * @param {number} options.failureThreshold 회로를 여는 연속 실패 횟수
+   * @param {number} options.resetTimeoutMs 회로를 연 뒤 다시 시도하기까지의 시간 (밀리초)
+   */
+  constructor({ name = '24Golf API', failureThreshold = 5, resetTimeoutMs = 60000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = STATE_CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * 지금 호출해도 되는지 여부
+   * 열린 상태에서 대기 시간이 지나면 한 번의 시험 호출만 허용합니다.
+   * true를 받은 호출자는 결과를 recordSuccess/recordFailure로 알려야 다음 호출이 허용됩니다.
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === STATE_OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = STATE_HALF_OPEN;
+      this.trialInFlight = false;
+      logger.info(`Circuit for ${this.name} is half-open, allowing a trial request`);
+    }
+    if (this.state === STATE_CLOSED) return true;
+    if (this.state === STATE_HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 회로가 다시 닫힐 수 있는 시각 (밀리초)
+   * 시험 호출 중이면 그 결과가 나올 때까지 기다리도록 대기 시간 뒤를 반환합니다.
+   * @returns {number}
+   */
+  nextAttemptAt() {
+    if (this.state === STATE_OPEN) return this.openedAt + this.resetTimeoutMs;
+    if (this.state === STATE_HALF_OPEN && this.trialInFlight) return Date.now() + this.resetTimeoutMs;
+    return Date.now();
+  }
+
+  recordSuccess() {
+    if (this.state !== STATE_CLOSED) {
+      logger.info(`Circuit for ${this.name} closed after successful request`);
+    }
+    this.state = STATE_CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === STATE_HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== STATE_OPEN) {
+        logger.warn(`Circuit for ${this.name} opened after ${this.failures} consecutive failures`);
+      }
+      this.state = STATE_OPEN;
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+    }
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,76 @@
+// utils/customerProfile.js
+// 고객 이름과 휴대전화 번호를 24골프로 보낼 형식으로 정리합니다.
+// 번호는 010-1234-5678 형식으로 바꾸며, 한국 휴대전화 번호가 아니면 가짜 번호로 바꾸지 않고 null을 반환합니다.
+
+// 한국 휴대전화 식별번호 (010은 11자리, 나머지는 10자리 또는 11자리)
+const MOBILE_PREFIXES = ['010', '011', '016', '017', '018', '019'];
+
+// 이름이 없을 때 쓰던 자리 표시 값
+const PLACEHOLDER_NAMES = ['unknown'];
+
+/**
+ * 휴대전화 번호 정리
+ * 하이픈/공백/점/괄호 구분, +82/0082/82 국가 번호(뒤에 0이 있거나 없거나)를 받습니다.
+ * @param {string|number} raw 원본 번호
+ * @returns {string|null} '010-1234-5678' 형식 (한국 휴대전화 번호가 아니면 null)
+ */
+const normalizePhone = (raw) => {
+  if (raw === undefined || raw === null) return null;
+  const text = String(raw).trim();
+  if (!text || !/^\+?[\d\s\-().]+$/.test(text)) return null;
+
+  let digits = text.replace(/\D/g, '');
+  if (text.startsWith('+')) {
+    if (!digits.startsWith('82')) return null;
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0082')) {
+    digits = digits.slice(4);
+  } else if (digits.startsWith('82') && digits.length >= 11) {
+    digits = digits.slice(2);
+  }
+  if (!digits.startsWith('0')) {
+    digits = `0${digits}`;
+  }
+
+  const prefix = digits.slice(0, 3);
+  if (!MOBILE_PREFIXES.includes(prefix)) return null;
+  if (prefix === '010' ? digits.length !== 11 : digits.length !== 10 && digits.length !== 11) return null;
+
+  // 010-0000-0000 같은 자리 표시 번호
+  const subscriber = digits.slice(3);
+  if (/^0+$/.test(subscriber)) return null;
+
+  return `${prefix}-${subscriber.slice(0, subscriber.length - 4)}-${subscriber.slice(-4)}`;
+};
+
+/**
+ * 이름 정리 (앞뒤 공백 제거, 연속 공백은 하나로)
+ * @param {string} raw 원본 이름
+ * @returns {string|null} 이름 (비었거나 자리 표시 값이면 null)
+ */
+const normalizeName = (raw) => {
+  if (raw === undefined || raw === null) return null;
+  const name = String(raw).trim().replace(/\s+/g, ' ');
+  if (!name || PLACEHOLDER_NAMES.includes(name.toLowerCase())) return null;
+  return name;
+};
+
+/**
+ * 고객 정보 정리
+ * @param {Object} customer {name, phone} (고객 정보 응답 또는 예약 데이터)
+ * @returns {Object} {name, phone, phoneRejected} (phoneRejected: 번호가 있었지만 휴대전화 번호가 아님)
+ */
+const normalizeCustomer = ({ name, phone } = {}) => {
+  const normalizedPhone = normalizePhone(phone);
+  return {
+    name: normalizeName(name),
+    phone: normalizedPhone,
+    phoneRejected: normalizedPhone === null && String(phone ?? '').trim() !== ''
+  };
+};
+
+module.exports = {
+  normalizePhone,
+  normalizeName,
+  normalizeCustomer
+};
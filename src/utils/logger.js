@@ -1,87 +1,191 @@
 // utils/logger.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { configureRedaction, redact, redactText } = require('./redact');
 
 /**
  * 일관된 로그 포맷으로 출력하는 함수들
- * 기존 로그 형식과 일치하도록 유지합니다.
+ * 콘솔에는 기존 `[LEVEL] message` 형식을 유지하고,
+ * 파일 경로가 설정되면 같은 로그를 JSON Lines 형식으로 파일에도 기록합니다.
+ * 레벨과 파일 설정은 시작 시 configure(toLoggerOptions(config))로 적용하며 (StoreRouter가 생성 시 적용),
+ * 그 전에는 LOG_LEVEL/LOG_FILE 환경 변수를 따릅니다.
+ * 메시지와 데이터의 고객 이름/전화번호, 토큰은 콘솔과 파일 모두 가려서 남깁니다 (utils/redact.js).
  */
 
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const settings = {
+  level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+  filePath: process.env.LOG_FILE || null,
+  maxBytes: 10 * 1024 * 1024,
+  maxFiles: 5
+};
+
+// 비동기 흐름을 따라 전달되는 로그 컨텍스트 (bookId, customerId, revenueId, storeId, correlationId 등)
+const contextStorage = new AsyncLocalStorage();
+let currentFileSize = null;
+
 /**
- * 디버그 레벨 로그 출력
- * @param {string} message 로그 메시지
- * @param {any} data 추가 데이터 (선택적)
+ * 로거 설정 변경
+ * @param {Object} options {level, filePath, maxBytes, maxFiles, redaction}
+ * @param {Object} options.redaction 가림 규칙 {fields, patterns, unredacted} (configureRedaction 옵션)
  */
-const logDebug = (message, data = null) => {
-  const formattedMessage = `[DEBUG] ${message}`;
-  if (data) {
-    if (typeof data === 'object') {
-      console.log(formattedMessage, JSON.stringify(data, null, 2));
-    } else {
-      console.log(formattedMessage, data);
+const configure = ({ redaction, ...options } = {}) => {
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) settings[key] = value;
+  }
+  currentFileSize = null;
+
+  if (redaction) {
+    configureRedaction(redaction);
+    if (redaction.unredacted) {
+      write('warn', 'Log redaction is disabled: customer names, phone numbers and tokens are written as-is (local debugging only)');
     }
-  } else {
-    console.log(formattedMessage);
   }
 };
 
+const isEnabled = (level) => LEVELS[level] >= (LEVELS[settings.level] || LEVELS.info);
+
 /**
- * 정보 레벨 로그 출력
- * @param {string} message 로그 메시지
- * @param {any} data 추가 데이터 (선택적)
+ * 현재 비동기 흐름의 로그 컨텍스트
+ * @returns {Object}
  */
-const logInfo = (message, data = null) => {
-  const formattedMessage = `[INFO] ${message}`;
-  if (data) {
-    if (typeof data === 'object') {
-      console.log(formattedMessage, JSON.stringify(data, null, 2));
-    } else {
-      console.log(formattedMessage, data);
+const getContext = () => contextStorage.getStore() || {};
+
+/**
+ * 주어진 컨텍스트로 함수를 실행
+ * 함수 안에서(await 이후 포함) 남기는 모든 로그에 컨텍스트 필드가 붙습니다.
+ * correlationId가 없으면 새로 만듭니다.
+ * @param {Object} context 컨텍스트 필드
+ * @param {Function} fn 실행할 함수
+ * @returns {any} fn의 반환값
+ */
+const withContext = (context, fn) => {
+  const parent = getContext();
+  const merged = { ...parent, ...context };
+  if (!merged.correlationId) {
+    merged.correlationId = crypto.randomBytes(4).toString('hex');
+  }
+  return contextStorage.run(merged, fn);
+};
+
+const stringify = (data) => {
+  try {
+    return JSON.stringify(data);
+  } catch (e) {
+    return String(data);
+  }
+};
+
+const formatContext = (context) => {
+  const pairs = Object.entries(context)
+    .filter(([key, value]) => key !== 'correlationId' && value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${value}`);
+  return pairs.length > 0 ? ` (${pairs.join(', ')})` : '';
+};
+
+const serializeError = (error) => {
+  if (error instanceof Error) {
+    return {
+      message: error.message,
+      status: error.response?.status,
+      stack: error.stack
+    };
+  }
+  return error;
+};
+
+const rotateFile = () => {
+  const { filePath, maxFiles } = settings;
+  for (let i = maxFiles - 1; i >= 1; i--) {
+    const source = `${filePath}.${i}`;
+    if (fs.existsSync(source)) {
+      fs.renameSync(source, `${filePath}.${i + 1}`);
     }
-  } else {
-    console.log(formattedMessage);
   }
+  if (fs.existsSync(filePath)) {
+    fs.renameSync(filePath, `${filePath}.1`);
+  }
+  currentFileSize = 0;
 };
 
-/**
- * 경고 레벨 로그 출력
- * @param {string} message 로그 메시지
- * @param {any} data 추가 데이터 (선택적)
- */
-const logWarn = (message, data = null) => {
-  const formattedMessage = `[WARN] ${message}`;
-  if (data) {
-    if (typeof data === 'object') {
-      console.log(formattedMessage, JSON.stringify(data, null, 2));
-    } else {
-      console.log(formattedMessage, data);
+const writeFileEntry = (entry) => {
+  const { filePath, maxBytes } = settings;
+  const line = `${stringify(entry)}\n`;
+
+  try {
+    if (currentFileSize === null) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      currentFileSize = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    }
+    if (currentFileSize > 0 && currentFileSize + Buffer.byteLength(line) > maxBytes) {
+      rotateFile();
     }
+    fs.appendFileSync(filePath, line);
+    currentFileSize += Buffer.byteLength(line);
+  } catch (e) {
+    settings.filePath = null;
+    console.error(`[ERROR] Failed to write log file, file logging disabled: ${e.message}`);
+  }
+};
+
+const write = (level, rawMessage, data, extraContext) => {
+  if (!isEnabled(level)) return;
+
+  const message = redactText(rawMessage);
+  const context = { ...getContext(), ...extraContext };
+  const label = `[${level.toUpperCase()}]`;
+  const formattedMessage = `${label} ${message}${formatContext(context)}`;
+
+  if (level === 'error') {
+    console.error(formattedMessage);
+    if (data) {
+      if (data.stack) {
+        console.error(`${label} Stack trace:`, redactText(data.stack));
+      } else if (typeof data === 'object') {
+        console.error(`${label} Details:`, stringify(redact(data)));
+      } else {
+        console.error(`${label} Details:`, redact(data));
+      }
+    }
+  } else if (data !== null && data !== undefined) {
+    console.log(formattedMessage, typeof data === 'object' ? stringify(redact(data)) : redact(data));
   } else {
     console.log(formattedMessage);
   }
+
+  if (settings.filePath) {
+    const entry = { ts: new Date().toISOString(), level, msg: message, ...context };
+    if (data !== null && data !== undefined) {
+      entry[level === 'error' ? 'error' : 'data'] = redact(serializeError(data));
+    }
+    writeFileEntry(entry);
+  }
 };
 
 /**
- * 에러 레벨 로그 출력
- * @param {string} message 에러 메시지
- * @param {Error|string|Object} error 에러 객체 또는 추가 정보 (선택적)
+ * 고정 컨텍스트가 붙는 로거 생성
+ * @param {Object} context 컨텍스트 필드 (예: {storeId})
+ * @param {Object} parentContext 상위 로거의 컨텍스트
+ * @returns {Object} debug/info/warn/error/child를 가진 로거
  */
-const logError = (message, error = null) => {
-  const formattedMessage = `[ERROR] ${message}`;
-  console.error(formattedMessage);
-  
-  if (error) {
-    if (error.stack) {
-      console.error(`[ERROR] Stack trace:`, error.stack);
-    } else if (typeof error === 'object') {
-      console.error(`[ERROR] Details:`, JSON.stringify(error, null, 2));
-    } else {
-      console.error(`[ERROR] Details:`, error);
-    }
-  }
+const createLogger = (context = {}, parentContext = {}) => {
+  const fixedContext = { ...parentContext, ...context };
+  return {
+    debug: (message, data = null) => write('debug', message, data, fixedContext),
+    info: (message, data = null) => write('info', message, data, fixedContext),
+    warn: (message, data = null) => write('warn', message, data, fixedContext),
+    error: (message, error = null) => write('error', message, error, fixedContext),
+    child: (childContext) => createLogger(childContext, fixedContext)
+  };
 };
 
 module.exports = {
-  debug: logDebug,
-  info: logInfo,
-  warn: logWarn,
-  error: logError
-};
\ No newline at end of file
+  ...createLogger(),
+  LEVELS,
+  configure,
+  getContext,
+  withContext
+};
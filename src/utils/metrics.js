@@ -0,0 +1,176 @@
+// utils/metrics.js
+// 운영 지표(카운터, 게이지)를 모아 Prometheus 텍스트 형식으로 출력합니다.
+
+/**
+ * 레이블 값 이스케이프 (Prometheus 텍스트 형식)
+ * @param {any} value 레이블 값
+ * @returns {string}
+ */
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * 레이블 객체를 `{a="1",b="2"}` 형태로 변환 (키 순서 고정)
+ * @param {Object} labels 레이블
+ * @returns {string}
+ */
+const formatLabels = (labels = {}) => {
+  const keys = Object.keys(labels).sort();
+  if (keys.length === 0) return '';
+  return `{${keys.map(key => `${key}="${escapeLabelValue(labels[key])}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = new Set();
+  }
+
+  /**
+   * 카운터 등록 (이미 있으면 기존 지표 반환)
+   * @param {string} name 지표 이름
+   * @param {string} help 설명
+   * @returns {Object} 지표
+   */
+  counter(name, help) {
+    return this._register(name, 'counter', help);
+  }
+
+  /**
+   * 게이지 등록 (이미 있으면 기존 지표 반환)
+   * @param {string} name 지표 이름
+   * @param {string} help 설명
+   * @returns {Object} 지표
+   */
+  gauge(name, help) {
+    return this._register(name, 'gauge', help);
+  }
+
+  /**
+   * 카운터 증가
+   * @param {string} name 지표 이름
+   * @param {Object} labels 레이블
+   * @param {number} value 증가량
+   */
+  inc(name, labels = {}, value = 1) {
+    const series = this._series(name, labels);
+    series.value += value;
+  }
+
+  /**
+   * 게이지 값 설정
+   * @param {string} name 지표 이름
+   * @param {Object} labels 레이블
+   * @param {number} value 값
+   */
+  set(name, labels = {}, value) {
+    this._series(name, labels).value = value;
+  }
+
+  /**
+   * 현재 값 조회
+   * @param {string} name 지표 이름
+   * @param {Object} labels 레이블
+   * @returns {number} 값 (없으면 0)
+   */
+  get(name, labels = {}) {
+    return this.metrics.get(name)?.series.get(formatLabels(labels))?.value || 0;
+  }
+
+  /**
+   * 출력 직전에 게이지를 채우는 수집 함수 등록
+   * @param {Function} collector (registry) => void
+   * @returns {Function} 등록 해제 함수
+   */
+  addCollector(collector) {
+    this.collectors.add(collector);
+    return () => this.collectors.delete(collector);
+  }
+
+  /**
+   * Prometheus 텍스트 형식으로 출력
+   * 수집 함수가 채우는 게이지는 매번 새로 계산하므로 없어진 매장 등의 값이 남지 않습니다.
+   * @returns {string}
+   */
+  render() {
+    for (const metric of this.metrics.values()) {
+      if (metric.type === 'gauge') metric.series.clear();
+    }
+    for (const collector of this.collectors) {
+      collector(this);
+    }
+
+    const lines = [];
+    for (const [name, metric] of this.metrics) {
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+      for (const [labelKey, series] of metric.series) {
+        lines.push(`${name}${labelKey} ${formatValue(series.value)}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * 모든 값 초기화 (지표 정의와 수집 함수는 유지)
+   */
+  reset() {
+    for (const metric of this.metrics.values()) {
+      metric.series.clear();
+    }
+  }
+
+  _register(name, type, help) {
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    const metric = { type, help, series: new Map() };
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  _series(name, labels) {
+    const metric = this.metrics.get(name);
+    if (!metric) {
+      throw new Error(`Unknown metric ${name}`);
+    }
+
+    const labelKey = formatLabels(labels);
+    if (!metric.series.has(labelKey)) {
+      metric.series.set(labelKey, { value: 0 });
+    }
+    return metric.series.get(labelKey);
+  }
+}
+
+// 프로세스 전체에서 공유하는 지표 저장소
+const metrics = new MetricsRegistry();
+
+metrics.counter('kimcady_sync_requests_total', '24Golf booking requests by action and result (success, failure, dry_run)');
+metrics.counter('kimcady_token_refresh_total', 'Access token refreshes by result');
+metrics.counter('kimcady_notifications_total', 'Webhook notifications by event and result');
+metrics.gauge('kimcady_booking_cache_age_seconds', 'Seconds since bookingDataCache was last filled');
+metrics.gauge('kimcady_booking_list_age_seconds', 'Seconds since the last /owner/booking/ response');
+metrics.gauge('kimcady_outbound_queue_size', 'Jobs waiting in the 24Golf retry queue');
+metrics.gauge('kimcady_outbound_dead_letters', 'Jobs that permanently failed in the 24Golf retry queue');
+metrics.gauge('kimcady_pending_customers', 'Customers waiting for a booking list');
+metrics.gauge('kimcady_held_bookings', 'Bookings held because their room has no 24Golf mapping or the customer name/phone is missing');
+metrics.gauge('kimcady_conflict_reviews', 'Bookings held for review because they overlap another booking in the same room');
+metrics.gauge('kimcady_uptime_seconds', 'Seconds since the process started');
+
+module.exports = {
+  MetricsRegistry,
+  metrics,
+  formatLabels
+};
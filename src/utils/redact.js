@@ -0,0 +1,229 @@
+// utils/redact.js
+// 로그, 트래픽 녹화, 감사 기록에 남기는 데이터에서 고객 이름/전화번호와 토큰을 가립니다.
+// 필드 경로 규칙은 키 이름(또는 경로 끝부분)으로, 고객 키 규칙은 키 이름 패턴으로, 패턴 규칙은 문자열 안의 값으로 찾습니다.
+// 가리지 않는 모드(LOG_UNREDACTED)는 로컬 디버깅용이며 NODE_ENV=production에서는 설정 오류입니다.
+
+// 기본 필드 경로 (대소문자 무시, 경로 끝부분 일치, *는 한 단계)
+const DEFAULT_FIELDS = [
+  'name',
+  'phone',
+  'email',
+  'birthday',
+  'accessToken',
+  'access_token',
+  'refresh_token',
+  'token',
+  'authorization',
+  'cookie',
+  'password',
+  'secret'
+];
+
+const REDACTED = '[REDACTED]';
+
+// 숫자는 뒤 4자리만 남김 (010-1234-5678 -> ***-****-5678)
+const maskPhone = (value) => {
+  const text = String(value);
+  const digitCount = (text.match(/\d/g) || []).length;
+  if (digitCount <= 4) return REDACTED;
+  let remaining = digitCount - 4;
+  return text.replace(/\d/g, digit => (remaining-- > 0 ? '*' : digit));
+};
+
+// 첫 글자만 남김 (홍길동 -> 홍**)
+const maskName = (value) => {
+  const chars = [...String(value).trim()];
+  if (chars.length === 0) return value;
+  return `${chars[0]}${'*'.repeat(Math.max(chars.length - 1, 1))}`;
+};
+
+// 위치와 상관없이 가리는 고객 이름/전화번호 키 (customer_name, phone_number, cust_phone, mobile, tel_no 등)
+// room_name, fileName 같은 다른 이름 키는 남기도록 이름은 알려진 접두어만 받습니다.
+const PII_KEYS = [
+  { regex: /phone|mobile|cellular|(^|[_-])(tel|hp)([_-]?(no|num|number))?$/, mask: maskPhone },
+  { regex: /^(customer|cust|user|member|guest|booker|first|last|full|real|nick)?[_-]?name$/, mask: maskName }
+];
+const findPiiKey = (key) => PII_KEYS.find(({ regex }) => regex.test(key));
+
+// 키 이름에 맞는 가림 방식
+const PHONE_KEY = /phone|mobile|tel$/;
+const NAME_KEY = /name$/;
+const maskFor = (key) => {
+  const lowered = String(key).toLowerCase();
+  const piiKey = findPiiKey(lowered);
+  if (piiKey) return piiKey.mask;
+  if (PHONE_KEY.test(lowered)) return maskPhone;
+  if (NAME_KEY.test(lowered)) return maskName;
+  return () => REDACTED;
+};
+
+// 고객 키 규칙(PII_KEYS)과 고객 정보 객체 아래의 이름/전화번호 키는 필드 규칙에 없어도 문자열/숫자 값을 가림
+// (고객 정보 객체의 날짜 등 다른 값은 재생에 필요하므로 유지)
+const CUSTOMER_CONTAINERS = ['customer_detail'];
+const isCustomerKey = (keyPath) => {
+  const key = keyPath[keyPath.length - 1];
+  if (findPiiKey(key)) return true;
+  return keyPath.some(segment => CUSTOMER_CONTAINERS.includes(segment)) && (PHONE_KEY.test(key) || NAME_KEY.test(key));
+};
+
+// 기본 패턴 (한국 휴대전화 번호, Bearer 토큰, JWT)
+const DEFAULT_PATTERNS = [
+  { regex: /(?<![\d*])(?:\+82[-.\s]?1[016789]|01[016789])[-.\s]?\d{3,4}[-.\s]?\d{4}(?!\d)/g, mask: maskPhone },
+  { regex: /(Bearer\s+)[\w.~+/-]+=*/gi, mask: (match, prefix) => `${prefix}${REDACTED}` },
+  { regex: /\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, mask: () => REDACTED }
+];
+
+// 멀티파트 본문의 필드 (name="phone" 다음 빈 줄 뒤의 값)
+const FORM_FIELD_PATTERN = /(name="([^"]+)"\r?\n\r?\n)([^\r\n]*)/g;
+
+/**
+ * 필드 경로 규칙 검증
+ * @param {any} fields 필드 경로 목록
+ * @returns {string|null} 오류 메시지
+ */
+const validateFields = (fields) => {
+  if (!Array.isArray(fields)) return 'must be an array of field paths (e.g. ["memo", "customer.*.address"])';
+  const invalid = fields.find(field => typeof field !== 'string' || !field.trim());
+  return invalid === undefined ? null : `has an invalid field path ${JSON.stringify(invalid)}`;
+};
+
+/**
+ * 패턴 규칙 검증
+ * @param {any} patterns 정규식 문자열 목록
+ * @returns {string|null} 오류 메시지
+ */
+const validatePatterns = (patterns) => {
+  if (!Array.isArray(patterns)) return 'must be an array of regular expressions';
+  for (const pattern of patterns) {
+    if (typeof pattern !== 'string' || !pattern) return `has an invalid pattern ${JSON.stringify(pattern)}`;
+    try {
+      new RegExp(pattern, 'g');
+    } catch (e) {
+      return `has an invalid pattern ${pattern}: ${e.message}`;
+    }
+  }
+  return null;
+};
+
+const compileField = (field) => field.toLowerCase().split('.').filter(Boolean);
+
+const settings = {
+  enabled: true,
+  fields: DEFAULT_FIELDS.map(compileField),
+  patterns: DEFAULT_PATTERNS
+};
+
+/**
+ * 가림 규칙 설정 (기본 규칙에 추가)
+ * @param {Object} options 옵션
+ * @param {Array<string>} options.fields 추가 필드 경로 (validateFields를 통과한 값)
+ * @param {Array<string>} options.patterns 추가 정규식 문자열 (validatePatterns를 통과한 값)
+ * @param {boolean} options.unredacted true면 가리지 않음 (로컬 디버깅용)
+ */
+const configureRedaction = ({ fields = [], patterns = [], unredacted = false } = {}) => {
+  settings.enabled = !unredacted;
+  settings.fields = [...DEFAULT_FIELDS, ...fields].map(compileField);
+  settings.patterns = [
+    ...DEFAULT_PATTERNS,
+    ...patterns.map(pattern => ({ regex: new RegExp(pattern, 'g'), mask: () => REDACTED }))
+  ];
+};
+
+/**
+ * @returns {boolean} 가림 사용 여부
+ */
+const isRedactionEnabled = () => settings.enabled;
+
+// 경로 끝부분이 규칙과 일치하는지 (배열 인덱스도 *와 일치)
+const matchesField = (keyPath) => settings.fields.some(rule => {
+  if (rule.length > keyPath.length) return false;
+  const tail = keyPath.slice(keyPath.length - rule.length);
+  return rule.every((segment, index) => segment === '*' || segment === tail[index]);
+});
+
+/**
+ * 문자열 안의 민감한 값 가리기 (패턴 규칙)
+ * @param {string} text 문자열
+ * @returns {string}
+ */
+const redactText = (text) => {
+  if (!settings.enabled || typeof text !== 'string' || !text) return text;
+  return settings.patterns.reduce((result, { regex, mask }) => result.replace(regex, mask), text);
+};
+
+const isPlainObject = (value) => {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+const redactValue = (value, keyPath, seen) => {
+  if (keyPath.length > 0 && (matchesField(keyPath) || (isCustomerKey(keyPath) && (typeof value === 'string' || typeof value === 'number')))) {
+    if (value === null || value === undefined || value === '') return value;
+    return typeof value === 'object' ? REDACTED : maskFor(keyPath[keyPath.length - 1])(value);
+  }
+  if (typeof value === 'string') return redactText(value);
+  if (!value || typeof value !== 'object') return value;
+  if (!Array.isArray(value) && !isPlainObject(value)) return value;
+  if (seen.has(value)) return '[Circular]';
+
+  seen.add(value);
+  const result = Array.isArray(value)
+    ? value.map(item => redactValue(item, [...keyPath, '*'], seen))
+    : Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, [...keyPath, key.toLowerCase()], seen)]));
+  seen.delete(value);
+  return result;
+};
+
+/**
+ * 객체의 민감한 값 가리기 (원본은 바꾸지 않고 복사본 반환)
+ * @param {any} value 기록할 값
+ * @returns {any} 가린 값 (가림을 끈 경우 원본)
+ */
+const redact = (value) => {
+  if (!settings.enabled) return value;
+  return redactValue(value, [], new WeakSet());
+};
+
+// JSON 객체/배열 문자열이면 파싱 결과 (아니면 null)
+const parseJsonObject = (text) => {
+  if (!/^\s*[[{]/.test(text)) return null;
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * 요청 본문 문자열 가리기 (JSON이면 필드 규칙, 멀티파트면 필드 이름, 그 밖에는 패턴 규칙)
+ * 멀티파트 필드 값이 JSON(bookingInfo 등)이면 필드 이름 아래 경로로 필드 규칙을 적용합니다.
+ * @param {string} body 요청 본문
+ * @returns {string}
+ */
+const redactBody = (body) => {
+  if (!settings.enabled || typeof body !== 'string' || !body) return body;
+
+  const parsed = parseJsonObject(body);
+  if (parsed) return JSON.stringify(redact(parsed));
+
+  const masked = body.replace(FORM_FIELD_PATTERN, (match, header, field, value) => {
+    if (!value) return match;
+    if (matchesField([field.toLowerCase()]) || findPiiKey(field.toLowerCase())) return `${header}${maskFor(field)(value)}`;
+
+    const json = parseJsonObject(value);
+    return json ? `${header}${JSON.stringify(redactValue(json, [field.toLowerCase()], new WeakSet()))}` : match;
+  });
+  return redactText(masked);
+};
+
+module.exports = {
+  DEFAULT_FIELDS,
+  configureRedaction,
+  isRedactionEnabled,
+  redact,
+  redactBody,
+  redactText,
+  validateFields,
+  validatePatterns
+};
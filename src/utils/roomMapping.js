@@ -0,0 +1,157 @@
+// utils/roomMapping.js
+// 김캐디 룸 ID를 24골프 룸(타석) ID로 바꾸는 매장별 매핑 테이블입니다.
+// 설정 형식: {"3": "bay-1"} (기존 형식), {"3": {"golfRoomId": "bay-1", "name": "1번 타석", "active": true}}
+//           또는 [{"kimcaddyRoomId": "3", "golfRoomId": "bay-1", "name": "1번 타석", "active": true}]
+
+// 룸 확인 결과
+const ROOM_STATUS = {
+  MAPPED: 'mapped',           // 매핑 테이블에 있는 활성 룸
+  PASSTHROUGH: 'passthrough', // 매핑 테이블이 비어 있어 김캐디 룸 ID를 그대로 사용
+  UNMAPPED: 'unmapped',       // 매핑 테이블에 없는 룸
+  INACTIVE: 'inactive',       // 비활성으로 표시된 룸
+  MISSING: 'missing'          // 예약에 룸 정보가 없음
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * 설정 값을 [{kimcaddyRoomId, golfRoomId, name, active}] 목록으로 변환 (검증 없이)
+ * @param {Object|Array} raw 설정 값
+ * @returns {Array<Object>}
+ */
+const toEntries = (raw) => {
+  if (!raw) return [];
+  if (Array.isArray(raw)) {
+    return raw.map(entry => ({ ...entry, kimcaddyRoomId: entry?.kimcaddyRoomId }));
+  }
+  return Object.entries(raw).map(([kimcaddyRoomId, value]) => (
+    value !== null && typeof value === 'object'
+      ? { ...value, kimcaddyRoomId }
+      : { kimcaddyRoomId, golfRoomId: value }
+  ));
+};
+
+/**
+ * 룸 매핑 설정 검증
+ * @param {any} raw 설정 값
+ * @returns {string|null} 오류 메시지
+ */
+const validateRoomMap = (raw) => {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object') return 'must be an object or an array of {kimcaddyRoomId, golfRoomId, name, active}';
+
+  const seen = new Set();
+  const activeTargets = new Map();
+  for (const [index, entry] of toEntries(raw).entries()) {
+    if (!entry || typeof entry !== 'object') return `entry ${index} must be an object`;
+    if (isBlank(entry.kimcaddyRoomId)) return `entry ${index} must have a kimcaddyRoomId`;
+
+    const sourceId = String(entry.kimcaddyRoomId);
+    if (seen.has(sourceId)) return `duplicate KimCaddie room ${sourceId}`;
+    seen.add(sourceId);
+
+    if (isBlank(entry.golfRoomId)) return `room ${sourceId} must have a golfRoomId`;
+    if (entry.name !== undefined && typeof entry.name !== 'string') return `name of room ${sourceId} must be a string`;
+    if (entry.active !== undefined && typeof entry.active !== 'boolean') return `active of room ${sourceId} must be a boolean`;
+
+    // 활성 룸 두 개가 같은 타석을 가리키면 설정 실수로 봄
+    const targetId = String(entry.golfRoomId);
+    if (entry.active !== false) {
+      if (activeTargets.has(targetId)) {
+        return `rooms ${activeTargets.get(targetId)} and ${sourceId} both map to 24Golf room ${targetId}`;
+      }
+      activeTargets.set(targetId, sourceId);
+    }
+  }
+  return null;
+};
+
+class RoomMapping {
+  /**
+   * @param {Object|Array} raw 룸 매핑 설정 (validateRoomMap을 통과한 값)
+   */
+  constructor(raw = null) {
+    this.rooms = new Map();
+    for (const entry of toEntries(raw)) {
+      const kimcaddyRoomId = String(entry.kimcaddyRoomId);
+      this.rooms.set(kimcaddyRoomId, {
+        kimcaddyRoomId,
+        golfRoomId: String(entry.golfRoomId),
+        name: entry.name || null,
+        active: entry.active !== false
+      });
+    }
+  }
+
+  /**
+   * 매핑 테이블 사용 여부 (비어 있으면 김캐디 룸 ID를 그대로 사용)
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.rooms.size > 0;
+  }
+
+  /**
+   * 김캐디 룸 ID로 24골프 룸 찾기
+   * @param {string|number} kimcaddyRoomId 김캐디 룸 ID
+   * @returns {Object} {status, kimcaddyRoomId, roomId, name} (보낼 수 없으면 roomId는 null)
+   */
+  resolve(kimcaddyRoomId) {
+    if (isBlank(kimcaddyRoomId)) {
+      return { status: ROOM_STATUS.MISSING, kimcaddyRoomId: null, roomId: null, name: null };
+    }
+
+    const sourceId = String(kimcaddyRoomId);
+    if (!this.enabled) {
+      return { status: ROOM_STATUS.PASSTHROUGH, kimcaddyRoomId: sourceId, roomId: sourceId, name: null };
+    }
+
+    const room = this.rooms.get(sourceId);
+    if (!room) {
+      return { status: ROOM_STATUS.UNMAPPED, kimcaddyRoomId: sourceId, roomId: null, name: null };
+    }
+    if (!room.active) {
+      return { status: ROOM_STATUS.INACTIVE, kimcaddyRoomId: sourceId, roomId: null, name: room.name };
+    }
+    return { status: ROOM_STATUS.MAPPED, kimcaddyRoomId: sourceId, roomId: room.golfRoomId, name: room.name };
+  }
+
+  /**
+   * 매핑 요약 (시작 로그/관리 명령용)
+   * @returns {Object} {enabled, rooms, active, inactive}
+   */
+  summary() {
+    const rooms = [...this.rooms.values()];
+    return {
+      enabled: this.enabled,
+      rooms: rooms.length,
+      active: rooms.filter(room => room.active).length,
+      inactive: rooms.filter(room => !room.active).length
+    };
+  }
+}
+
+// 설정 객체(고정됨)별 RoomMapping 캐시
+const mappingCache = new WeakMap();
+
+/**
+ * 룸 매핑 객체 반환 (같은 설정 값이면 같은 인스턴스)
+ * @param {RoomMapping|Object|Array} roomMap RoomMapping 또는 설정 값
+ * @returns {RoomMapping}
+ */
+const getRoomMapping = (roomMap) => {
+  if (roomMap instanceof RoomMapping) return roomMap;
+  if (!roomMap || typeof roomMap !== 'object') return new RoomMapping();
+
+  if (!mappingCache.has(roomMap)) {
+    mappingCache.set(roomMap, new RoomMapping(roomMap));
+  }
+  return mappingCache.get(roomMap);
+};
+
+module.exports = {
+  ROOM_STATUS,
+  RoomMapping,
+  getRoomMapping,
+  validateRoomMap
+};
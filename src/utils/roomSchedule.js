@@ -0,0 +1,147 @@
+// utils/roomSchedule.js
+// 룸별 예약 시간 색인으로 새로 만들 예약의 시간 오류와 같은 룸 예약과의 겹침을 찾습니다.
+// 색인은 김캐디 예약 목록(캐시)과 24골프에 보낸 마지막 데이터(sentBookings)로 만들며,
+// 목록에 있는 예약은 목록의 시간을, 목록에 없는 예약(조회 범위 밖, 사라진 예약)은 보낸 시간을 사용합니다.
+const { convertKSTtoUTC } = require('./api');
+const { resolveBookingRoom } = require('./bookingHelpers');
+
+// 충돌 유형
+const CONFLICT_TYPES = {
+  OVERLAP: 'overlap',                   // 같은 룸의 다른 예약과 시간이 겹침
+  ZERO_LENGTH: 'zero_length',           // 시작과 종료 시각이 같음
+  END_BEFORE_START: 'end_before_start', // 종료 시각이 시작 시각보다 이름
+  INVALID_TIME: 'invalid_time'          // 시작 또는 종료 시각이 없거나 읽을 수 없음
+};
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * 예약 시간 자체의 오류 확인
+ * @param {number|null} start 시작 시각 (밀리초)
+ * @param {number|null} end 종료 시각 (밀리초)
+ * @returns {string|null} 충돌 유형
+ */
+const checkInterval = (start, end) => {
+  if (start === null || end === null) return CONFLICT_TYPES.INVALID_TIME;
+  if (end === start) return CONFLICT_TYPES.ZERO_LENGTH;
+  if (end < start) return CONFLICT_TYPES.END_BEFORE_START;
+  return null;
+};
+
+class RoomScheduleIndex {
+  constructor() {
+    // 24골프 룸 ID -> [{bookId, roomId, start, end, source}]
+    this.rooms = new Map();
+  }
+
+  /**
+   * 예약 시간 추가 (시간이 잘못된 항목은 겹침 비교에서 제외)
+   * @param {Object} entry {bookId, roomId, start, end, source}
+   */
+  add(entry) {
+    if (!entry.roomId || checkInterval(entry.start, entry.end)) return;
+
+    const roomId = String(entry.roomId);
+    const entries = this.rooms.get(roomId) || [];
+    const duplicate = entries.some(item => item.bookId === entry.bookId && item.start === entry.start && item.end === entry.end);
+    if (!duplicate) {
+      entries.push({ ...entry, roomId });
+      this.rooms.set(roomId, entries);
+    }
+  }
+
+  /**
+   * 김캐디 예약 목록의 확정 예약 추가
+   * @param {Array<Object>} bookings 예약 목록 (bookingDataCache.data.results)
+   * @param {RoomMapping|Object} roomMap 매장 룸 매핑
+   */
+  addBookings(bookings, roomMap = null) {
+    for (const booking of bookings || []) {
+      if (!booking?.book_id || booking.state !== 'success') continue;
+      this.add({
+        bookId: booking.book_id,
+        roomId: resolveBookingRoom(booking, roomMap).roomId,
+        start: toTime(booking.start_datetime && convertKSTtoUTC(booking.start_datetime)),
+        end: toTime(booking.end_datetime && convertKSTtoUTC(booking.end_datetime)),
+        source: 'bookingList'
+      });
+    }
+  }
+
+  /**
+   * 24골프에 보낸 예약 추가 (취소했거나 김캐디 목록에 있는 예약 제외)
+   * @param {Map<string, Object>} sentBookings bookId -> 마지막 전송 데이터
+   * @param {Array<Object>} bookings 김캐디 예약 목록 (목록의 예약은 addBookings로 추가)
+   */
+  addSentBookings(sentBookings, bookings = []) {
+    const listed = new Set((bookings || []).map(booking => booking?.book_id));
+
+    for (const [bookId, lastSent] of sentBookings?.entries() || []) {
+      if (lastSent.canceled || listed.has(bookId)) continue;
+      this.add({
+        bookId,
+        roomId: lastSent.roomId,
+        start: toTime(lastSent.startDate),
+        end: toTime(lastSent.endDate),
+        source: 'sent'
+      });
+    }
+  }
+
+  /**
+   * 만들 예약의 충돌 확인
+   * @param {Object} data 전송할 데이터 (prepareBookingData 결과)
+   * @returns {Array<Object>} [{type, bookId?, roomId?, start?, end?, source?}] (충돌이 없으면 빈 배열)
+   */
+  findConflicts(data) {
+    const start = toTime(data.startDate);
+    const end = toTime(data.endDate);
+    const intervalError = checkInterval(start, end);
+    if (intervalError) {
+      return [{ type: intervalError, startDate: data.startDate || null, endDate: data.endDate || null }];
+    }
+
+    const conflicts = [];
+    const seen = new Set();
+    for (const entry of this.rooms.get(String(data.roomId)) || []) {
+      if (entry.bookId === data.externalId || seen.has(entry.bookId)) continue;
+      if (entry.start < end && start < entry.end) {
+        seen.add(entry.bookId);
+        conflicts.push({
+          type: CONFLICT_TYPES.OVERLAP,
+          bookId: entry.bookId,
+          roomId: entry.roomId,
+          start: new Date(entry.start).toISOString(),
+          end: new Date(entry.end).toISOString(),
+          source: entry.source
+        });
+      }
+    }
+    return conflicts;
+  }
+}
+
+/**
+ * 예약 목록과 전송 기록으로 룸별 예약 색인 생성
+ * @param {Object} sources 색인 원본
+ * @param {Array<Object>} sources.bookings 김캐디 예약 목록
+ * @param {Map<string, Object>} sources.sentBookings 24골프 전송 기록
+ * @param {RoomMapping|Object} sources.roomMap 매장 룸 매핑
+ * @returns {RoomScheduleIndex}
+ */
+const buildRoomSchedule = ({ bookings = [], sentBookings = null, roomMap = null } = {}) => {
+  const index = new RoomScheduleIndex();
+  index.addBookings(bookings, roomMap);
+  index.addSentBookings(sentBookings, bookings);
+  return index;
+};
+
+module.exports = {
+  CONFLICT_TYPES,
+  RoomScheduleIndex,
+  buildRoomSchedule
+};
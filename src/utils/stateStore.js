@@ -0,0 +1,395 @@
+// utils/stateStore.js
+// 중복 동기화 방지용 상태(processedBookings, paymentAmounts 등)를 재시작 후에도 유지하기 위한 로컬 저장소입니다.
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { getConfig } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 아무것도 저장하지 않는 백엔드 (테스트 및 기존 인메모리 동작용)
+ */
+class MemoryBackend {
+  load() {
+    return [];
+  }
+
+  append() {}
+
+  rewrite() {}
+}
+
+/**
+ * JSON Lines 저널 파일 백엔드
+ * 변경 사항을 한 줄씩 추가 기록하고, 압축 시 현재 상태로 파일을 다시 씁니다.
+ */
+class FileBackend {
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const records = [];
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (e) {
+        // 비정상 종료로 마지막 줄이 잘린 경우 등은 건너뜀
+        logger.warn(`Skipping corrupt state record in ${this.filePath}: ${e.message}`);
+      }
+    }
+    return records;
+  }
+
+  append(record) {
+    fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+  }
+
+  rewrite(records) {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+/**
+ * 다른 백엔드를 읽기만 하는 백엔드
+ * 실행 중인 크롤러의 저장 파일을 다른 프로세스(보고서, 정합성 점검 명령)에서 열 때 사용합니다.
+ * 변경 사항은 메모리에만 남고 파일은 추가 기록하거나 다시 쓰지 않습니다.
+ */
+class ReadOnlyBackend {
+  constructor(backend) {
+    this.backend = backend;
+    this.filePath = backend.filePath;
+  }
+
+  load() {
+    return this.backend.load();
+  }
+
+  append() {}
+
+  rewrite() {}
+}
+
+/**
+ * 변경 시 저장소에 기록되는 Set
+ * 기존 코드의 Set 사용 방식(has/add/delete/size/순회)을 그대로 지원합니다.
+ */
+class PersistentSet extends Set {
+  constructor(store, namespace) {
+    super();
+    this._store = store;
+    this._namespace = namespace;
+    for (const key of store._entries(namespace).keys()) {
+      super.add(key);
+    }
+  }
+
+  add(value) {
+    if (!super.has(value)) {
+      this._store._record('set', this._namespace, value, true);
+    }
+    return super.add(value);
+  }
+
+  delete(value) {
+    if (!super.has(value)) return false;
+    this._store._record('delete', this._namespace, value);
+    return super.delete(value);
+  }
+
+  clear() {
+    this._store._record('clear', this._namespace);
+    super.clear();
+  }
+
+  _evict(key) {
+    super.delete(key);
+  }
+}
+
+/**
+ * 변경 시 저장소에 기록되는 Map
+ * 값은 JSON으로 직렬화 가능해야 합니다.
+ */
+class PersistentMap extends Map {
+  constructor(store, namespace) {
+    super();
+    this._store = store;
+    this._namespace = namespace;
+    for (const [key, entry] of store._entries(namespace).entries()) {
+      super.set(key, entry.value);
+    }
+  }
+
+  set(key, value) {
+    // 객체를 수정한 뒤 다시 set 하는 경우도 있으므로 항상 기록
+    this._store._record('set', this._namespace, key, value);
+    return super.set(key, value);
+  }
+
+  delete(key) {
+    if (!super.has(key)) return false;
+    this._store._record('delete', this._namespace, key);
+    return super.delete(key);
+  }
+
+  clear() {
+    this._store._record('clear', this._namespace);
+    super.clear();
+  }
+
+  _evict(key) {
+    super.delete(key);
+  }
+}
+
+/**
+ * 네임스페이스별 키/값 상태 저장소
+ */
+class StateStore {
+  /**
+   * @param {Object} backend load/append/rewrite를 구현한 백엔드
+   * @param {Object} options 옵션
+   * @param {number} options.maxAgeMs 기본 보관 기간 (밀리초)
+   * @param {number} options.compactThreshold 자동 압축을 실행할 기록 수
+   */
+  constructor(backend, { maxAgeMs = 30 * DAY_MS, compactThreshold = 5000 } = {}) {
+    this.backend = backend;
+    this.maxAgeMs = maxAgeMs;
+    this.compactThreshold = compactThreshold;
+    this.namespaces = new Map();
+    this.retention = new Map();
+    this.collections = new Map();
+    this.pendingRecords = 0;
+  }
+
+  /**
+   * 저장된 기록을 재생하여 상태를 복원
+   * 네임스페이스별 보관 기간은 getSet/getMap 호출 때 정해지므로 여기서는 압축하지 않습니다.
+   * 읽은 기록 수를 쌓인 기록 수로 세어, 저널이 크면 서비스가 컬렉션을 등록한 뒤 첫 기록에서 압축됩니다.
+   * @returns {StateStore} 자기 자신
+   */
+  load() {
+    const records = this.backend.load();
+    for (const record of records) {
+      this._apply(record);
+    }
+    this.pendingRecords = records.length;
+    logger.info(`Loaded ${records.length} state records from ${this.backend.filePath || 'memory'}`);
+    return this;
+  }
+
+  /**
+   * 영구 Set 반환 (같은 네임스페이스는 같은 인스턴스)
+   * @param {string} namespace 네임스페이스
+   * @param {Object} options {maxAgeMs} 네임스페이스별 보관 기간 (선택적)
+   * @returns {PersistentSet}
+   */
+  getSet(namespace, options = {}) {
+    return this._getCollection(namespace, options, PersistentSet);
+  }
+
+  /**
+   * 영구 Map 반환 (같은 네임스페이스는 같은 인스턴스)
+   * @param {string} namespace 네임스페이스
+   * @param {Object} options {maxAgeMs} 네임스페이스별 보관 기간 (선택적)
+   * @returns {PersistentMap}
+   */
+  getMap(namespace, options = {}) {
+    return this._getCollection(namespace, options, PersistentMap);
+  }
+
+  /**
+   * 이후 변경을 메모리에만 반영하고 저장 파일에는 쓰지 않음 (드라이런)
+   * 이미 읽어 온 상태는 그대로 사용하므로 운영 인스턴스와 같은 상태에서 판단합니다.
+   * @returns {StateStore} 자기 자신
+   */
+  detach() {
+    if (!(this.backend instanceof ReadOnlyBackend)) {
+      this.backend = new ReadOnlyBackend(this.backend);
+    }
+    return this;
+  }
+
+  /**
+   * 네임스페이스 앞에 접두사를 붙이는 저장소 뷰 반환 (예: 매장별 상태 분리)
+   * @param {string} prefix 접두사 (예: 'store:123')
+   * @returns {ScopedStateStore}
+   */
+  scope(prefix) {
+    return new ScopedStateStore(this, prefix);
+  }
+
+  /**
+   * 보관 기간이 지난 항목을 제거하고 저장 파일을 현재 상태로 다시 씀
+   * 아직 getSet/getMap으로 등록되지 않은 네임스페이스는 보관 기간을 알 수 없으므로 제거하지 않고 그대로 둡니다.
+   */
+  compact() {
+    const now = Date.now();
+    const records = [];
+    let evicted = 0;
+
+    for (const [namespace, entries] of this.namespaces.entries()) {
+      const maxAgeMs = this.retention.get(namespace) || this.maxAgeMs;
+      const collection = this.collections.get(namespace);
+
+      for (const [key, entry] of entries.entries()) {
+        if (collection && now - entry.ts > maxAgeMs) {
+          entries.delete(key);
+          if (collection) collection._evict(key);
+          evicted++;
+          continue;
+        }
+        records.push({ op: 'set', ns: namespace, key, value: entry.value, ts: entry.ts });
+      }
+    }
+
+    this.backend.rewrite(records);
+    this.pendingRecords = 0;
+    if (evicted > 0) {
+      logger.info(`Compacted state store: evicted ${evicted} old entries, kept ${records.length}`);
+    }
+  }
+
+  _getCollection(namespace, options, CollectionClass) {
+    if (options.maxAgeMs) {
+      this.retention.set(namespace, options.maxAgeMs);
+    }
+    if (!this.collections.has(namespace)) {
+      this.collections.set(namespace, new CollectionClass(this, namespace));
+    }
+    return this.collections.get(namespace);
+  }
+
+  _entries(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  _apply(record) {
+    const entries = this._entries(record.ns);
+    if (record.op === 'set') {
+      entries.set(record.key, { value: record.value, ts: record.ts });
+    } else if (record.op === 'delete') {
+      entries.delete(record.key);
+    } else if (record.op === 'clear') {
+      entries.clear();
+    }
+  }
+
+  _record(op, namespace, key, value) {
+    const record = { op, ns: namespace, key, value, ts: Date.now() };
+    this._apply(record);
+
+    try {
+      this.backend.append(record);
+    } catch (e) {
+      logger.error(`Failed to persist state record for ${namespace}: ${e.message}`, e);
+    }
+
+    this.pendingRecords++;
+    if (this.pendingRecords >= this.compactThreshold) {
+      this.compact();
+    }
+  }
+}
+
+/**
+ * 접두사가 붙은 네임스페이스만 다루는 StateStore 뷰
+ * getSet/getMap/compact 사용 방식은 StateStore와 같습니다.
+ */
+class ScopedStateStore {
+  constructor(store, prefix) {
+    this.store = store;
+    this.prefix = prefix;
+  }
+
+  getSet(namespace, options = {}) {
+    return this.store.getSet(`${this.prefix}:${namespace}`, options);
+  }
+
+  getMap(namespace, options = {}) {
+    return this.store.getMap(`${this.prefix}:${namespace}`, options);
+  }
+
+  scope(prefix) {
+    return new ScopedStateStore(this.store, `${this.prefix}:${prefix}`);
+  }
+
+  detach() {
+    this.store.detach();
+    return this;
+  }
+
+  compact() {
+    this.store.compact();
+  }
+}
+
+/**
+ * 상태 저장소 생성 및 로드
+ * @param {Object} options 옵션 (기본 config.stateStore)
+ * @param {string} options.backend 'file' 또는 'memory'
+ * @param {string} options.path 파일 백엔드 경로 (상대 경로는 현재 작업 디렉터리 기준)
+ * @param {number} options.maxAgeMs 기본 보관 기간 (밀리초)
+ * @param {number} options.compactThreshold 자동 압축 기준 기록 수
+ * @param {Object} mode 열기 방식
+ * @param {boolean} mode.readOnly 저장 파일을 읽기만 할지 여부 (실행 중인 크롤러의 파일을 다른 프로세스에서 열 때)
+ * @returns {StateStore} 로드된 저장소
+ */
+const createStateStore = (options = getConfig().stateStore, { readOnly = false } = {}) => {
+  const { backend, maxAgeMs, compactThreshold } = options;
+  let storeBackend;
+  if (backend === 'memory') {
+    storeBackend = new MemoryBackend();
+  } else if (backend === 'file') {
+    storeBackend = new FileBackend(path.resolve(options.path));
+  } else {
+    throw new Error(`Unknown state store backend: ${backend}`);
+  }
+
+  return new StateStore(readOnly ? new ReadOnlyBackend(storeBackend) : storeBackend, { maxAgeMs, compactThreshold }).load();
+};
+
+/**
+ * 서비스들이 공유하는 maps 객체를 저장소 기반으로 생성
+ * 기존 maps 객체와 동일한 키를 가지므로 서비스 코드는 그대로 사용할 수 있습니다.
+ * @param {StateStore|ScopedStateStore} stateStore 상태 저장소 (매장별로 분리하려면 stateStore.scope 사용)
+ * @param {Object} extra maps에 함께 넣을 추가 값 (예: storeId)
+ * @returns {Object} maps 객체
+ */
+const createSyncMaps = (stateStore, extra = {}) => {
+  return {
+    ...extra,
+    stateStore,
+    processedBookings: stateStore.getSet('processedBookings', { maxAgeMs: 90 * DAY_MS }),
+    paymentAmounts: stateStore.getMap('paymentAmounts', { maxAgeMs: 90 * DAY_MS }),
+    paymentStatus: stateStore.getMap('paymentStatus', { maxAgeMs: 90 * DAY_MS }),
+    bookIdToIdxMap: stateStore.getMap('bookIdToIdxMap', { maxAgeMs: 90 * DAY_MS }),
+    sentBookings: stateStore.getMap('sentBookings', { maxAgeMs: 90 * DAY_MS }),
+    // requestMap은 요청/응답 사이의 임시 데이터이므로 짧게 보관
+    requestMap: stateStore.getMap('requestMap', { maxAgeMs: DAY_MS })
+  };
+};
+
+module.exports = {
+  StateStore,
+  ScopedStateStore,
+  PersistentSet,
+  PersistentMap,
+  FileBackend,
+  MemoryBackend,
+  ReadOnlyBackend,
+  createStateStore,
+  createSyncMaps
+};
@@ -0,0 +1,220 @@
+// utils/tokenManager.js
+// 액세스 토큰을 만료 시각과 함께 캐시하고, 만료 전 갱신과 401 응답 시 1회 재시도를 처리합니다.
+// 매장 설정의 고정 토큰(stores[].accessToken)만 갱신하지 않고 오류를 알리며, 그 밖의 토큰은 공용 발급 함수로 갱신합니다.
+const api = require('./api');
+const logger = require('./logger');
+const { metrics } = require('./metrics');
+const { getConfig } = require('../config');
+
+/**
+ * JWT 토큰의 만료 시각(exp) 추출
+ * @param {string} token 액세스 토큰
+ * @returns {number|null} 만료 시각(ms) 또는 JWT가 아니면 null
+ */
+const decodeTokenExpiry = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return Number.isFinite(payload.exp) ? payload.exp * 1000 : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * 인증 실패(401) 응답인지 판단하는 함수
+ * @param {Error} error 오류 객체
+ * @returns {boolean}
+ */
+const isUnauthorizedError = (error) => error?.response?.status === 401;
+
+/**
+ * 공용 계정의 새 토큰 발급 (api.getAccessToken)
+ * @returns {Promise<string>}
+ */
+const fetchSharedToken = () => api.getAccessToken();
+
+class TokenManager {
+  /**
+   * @param {Object} options 옵션
+   * @param {Function|null} options.fetchToken 새 토큰을 발급받는 함수 (기본: api.getAccessToken, null이면 갱신하지 않음)
+   * @param {string} options.accessToken 처음 사용할 토큰 (만료되면 fetchToken으로 갱신)
+   * @param {string} options.name 로그와 오류에 표시할 이름
+   * @param {Object} options.config 설정 객체 (auth.* 사용)
+   */
+  constructor({ fetchToken = fetchSharedToken, accessToken = null, name = 'default', config = getConfig() } = {}) {
+    this.fetchToken = fetchToken;
+    this.name = name;
+    this.ttlMs = config.auth.tokenTtlMs;
+    this.refreshMarginMs = config.auth.refreshMarginMs;
+    this.token = null;
+    this.expiresAt = 0;
+    this.refreshing = null;
+
+    if (accessToken) {
+      this._setToken(accessToken);
+    }
+  }
+
+  /**
+   * 유효한 토큰 반환
+   * 만료 전 여유 시간(refreshMarginMs) 안으로 들어오면 미리 갱신합니다. (발급 함수가 없으면 만료될 때까지 사용)
+   * @returns {Promise<string>}
+   */
+  async getToken() {
+    const marginMs = this.fetchToken ? this.refreshMarginMs : 0;
+    if (this.token && Date.now() < this.expiresAt - marginMs) {
+      return this.token;
+    }
+    return this.refresh();
+  }
+
+  /**
+   * 토큰 갱신
+   * 동시에 여러 곳에서 호출해도 발급 요청은 한 번만 보냅니다.
+   * 발급 함수가 없는 고정 토큰은 다른 계정의 토큰으로 바꾸지 않고 오류를 던집니다.
+   * @returns {Promise<string>}
+   */
+  refresh() {
+    if (!this.fetchToken) {
+      metrics.inc('kimcady_token_refresh_total', { result: 'failure' });
+      const error = new Error(`Access token for ${this.name} expired or was rejected and cannot be refreshed (update the configured accessToken)`);
+      logger.error(error.message);
+      return Promise.reject(error);
+    }
+    if (!this.refreshing) {
+      this.refreshing = (async () => {
+        try {
+          logger.info(`Refreshing access token`);
+          const token = await this.fetchToken();
+          if (!token) {
+            throw new Error('Token provider returned an empty access token');
+          }
+          this._setToken(token);
+          metrics.inc('kimcady_token_refresh_total', { result: 'success' });
+          return token;
+        } catch (error) {
+          metrics.inc('kimcady_token_refresh_total', { result: 'failure' });
+          throw error;
+        } finally {
+          this.refreshing = null;
+        }
+      })();
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * 거부된 토큰 폐기
+   * 이미 다른 요청이 새 토큰으로 갱신한 경우에는 현재 토큰을 유지합니다.
+   * @param {string} token 거부된 토큰
+   */
+  invalidate(token) {
+    if (this.token === token) {
+      this.token = null;
+      this.expiresAt = 0;
+    }
+  }
+
+  /**
+   * 토큰으로 요청을 실행하고 401이면 토큰을 갱신해 한 번 더 시도
+   * @param {Function} request (token) => Promise
+   * @returns {Promise<any>} request의 결과
+   */
+  async withToken(request) {
+    const token = await this.getToken();
+    try {
+      return await request(token);
+    } catch (error) {
+      if (!isUnauthorizedError(error)) throw error;
+      if (!this.fetchToken) {
+        this.invalidate(token);
+        logger.error(`Request was rejected with 401 and the access token for ${this.name} cannot be refreshed (update the configured accessToken)`);
+        throw error;
+      }
+
+      logger.warn(`Request was rejected with 401, refreshing access token and retrying once`);
+      this.invalidate(token);
+      return request(await this.getToken());
+    }
+  }
+
+  // JWT가 아닌 고정 토큰은 거부될 때까지 사용
+  _setToken(token) {
+    this.token = token;
+    this.expiresAt = decodeTokenExpiry(token) || (this.fetchToken ? Date.now() + this.ttlMs : Infinity);
+  }
+}
+
+let defaultManager = null;
+
+/**
+ * 매장 토큰이 없을 때 사용하는 프로세스 공용 토큰 관리자
+ * @returns {TokenManager}
+ */
+const getDefaultTokenManager = () => {
+  if (!defaultManager) {
+    defaultManager = new TokenManager();
+  }
+  return defaultManager;
+};
+
+/**
+ * maps 단위로 공유되는 토큰 관리자 반환
+ * 토큰(accessToken)도 발급 함수(fetchToken)도 없으면 공용 토큰 관리자를 사용합니다.
+ * 넘겨받은 토큰은 만료되거나 401로 거부되면 발급 함수(기본: 공용 발급 함수)로 갱신하며,
+ * fetchToken을 null로 넘기면 갱신하지 않습니다. (매장 설정의 고정 토큰, getStoreTokenManager 참고)
+ * @param {Object} maps 공유 맵 객체
+ * @param {Object} options {accessToken, fetchToken, config}
+ * @returns {TokenManager}
+ */
+const getTokenManager = (maps, { accessToken = null, fetchToken = fetchSharedToken, config } = {}) => {
+  if (!maps.tokenManager) {
+    maps.tokenManager = accessToken || (fetchToken && fetchToken !== fetchSharedToken)
+      ? new TokenManager({ accessToken, fetchToken, name: `store ${maps.storeId}`, config })
+      : getDefaultTokenManager();
+  }
+  return maps.tokenManager;
+};
+
+/**
+ * 매장 설정(stores[].accessToken)의 토큰 관리자를 maps에 등록하여 반환
+ * 매장 토큰은 그 매장 계정의 고정 토큰이므로 공용 계정의 토큰으로 갱신하지 않습니다. (매장 토큰이 없으면 공용 토큰 관리자)
+ * 서비스를 만들기 전에 호출해야 서비스들이 이 관리자를 공유합니다.
+ * @param {Object} maps 공유 맵 객체
+ * @param {Object} store 매장 정보 {id, accessToken}
+ * @param {Object} config 매장 설정 객체
+ * @returns {TokenManager}
+ */
+const getStoreTokenManager = (maps, store, config) =>
+  getTokenManager(maps, { accessToken: store.accessToken || null, fetchToken: null, config });
+
+/**
+ * 토큰 소스로 요청 실행
+ * TokenManager면 401 재시도를 적용하고, 문자열이면 고정 토큰으로 한 번만 실행합니다.
+ * 값이 없으면 공용 토큰 관리자를 사용합니다.
+ * @param {TokenManager|string|null} tokenSource 토큰 관리자 또는 액세스 토큰
+ * @param {Function} request (token) => Promise
+ * @returns {Promise<any>}
+ */
+const withAccessToken = (tokenSource, request) => {
+  if (tokenSource instanceof TokenManager) {
+    return tokenSource.withToken(request);
+  }
+  if (tokenSource) {
+    return request(tokenSource);
+  }
+  return getDefaultTokenManager().withToken(request);
+};
+
+module.exports = {
+  TokenManager,
+  getTokenManager,
+  getStoreTokenManager,
+  getDefaultTokenManager,
+  withAccessToken,
+  decodeTokenExpiry,
+  isUnauthorizedError
+};
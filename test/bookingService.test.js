@@ -0,0 +1,115 @@
+// test/bookingService.test.js
+// 보류/검토 중인 Booking_Create를 예약 목록 변경에 따라 다시 확인하는지와 고객 번호가 없는 예약의 전송 여부를 확인하는 테스트입니다.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BookingService = require('../src/services/bookingService');
+const { createMemoryMaps } = require('../src/services/storeContext');
+const { setTransport } = require('../src/utils/apiHelpers');
+const { loadConfig } = require('../src/config');
+
+const config = loadConfig({ env: { API_BASE_URL: 'http://localhost', STORE_ID: 'store-1' }, file: null });
+
+const booking = (bookId, room, start, end, state = 'success') => ({
+  book_id: bookId,
+  state,
+  room,
+  customer: 'c1',
+  book_type: 'U',
+  name: '홍길동',
+  phone: '010-1234-5678',
+  person: 2,
+  start_datetime: `2026-10-20T${start}:00`,
+  end_datetime: `2026-10-20T${end}:00`,
+  amount: 10000
+});
+
+const setup = (t, serviceConfig = config) => {
+  const calls = [];
+  const restore = setTransport({
+    sendTo24GolfApi: async (action, url, params, data) => {
+      calls.push(`${action}:${data?.externalId || params.externalId}`);
+      return { ok: true };
+    }
+  });
+  const service = new BookingService(createMemoryMaps('store-1'), 'token', { data: null, timestamp: 0 }, serviceConfig);
+  t.after(() => { service.outboundQueue.stop(); restore(); });
+
+  // 예약 목록 응답 처리와 같은 순서 (캐시 갱신 -> 변경 감지 -> 반영)
+  const receiveList = (results) => {
+    service.bookingDataCache.data = { results };
+    service.bookingDataCache.timestamp = Date.now();
+    return service._applyBookingChanges(service.snapshots.update('ownerBooking', { results }), null);
+  };
+  return { service, calls, receiveList };
+};
+
+test('a Booking_Create held for a conflict is sent once the conflicting booking is canceled', async (t) => {
+  const { service, calls, receiveList } = setup(t);
+
+  await receiveList([booking('A1', '3', '10:00', '11:00')]);
+  await receiveList([booking('A1', '3', '10:00', '11:00'), booking('A2', '3', '10:30', '11:30')]);
+  assert.deepEqual(calls, ['Booking_Create:A1']);
+  assert.ok(service.conflictReview.get('A2'));
+
+  await receiveList([booking('A1', '3', '10:00', '11:00', 'canceled'), booking('A2', '3', '10:30', '11:30')]);
+  assert.deepEqual(calls.filter(call => call.startsWith('Booking_Create')), ['Booking_Create:A1', 'Booking_Create:A2']);
+  assert.equal(service.conflictReview.get('A2'), null);
+});
+
+test('a Booking_Create held for a conflict is sent once the conflicting booking moves to another time', async (t) => {
+  const { service, calls, receiveList } = setup(t);
+
+  await receiveList([booking('A1', '3', '10:00', '11:00')]);
+  await receiveList([booking('A1', '3', '10:00', '11:00'), booking('A2', '3', '10:30', '11:30')]);
+  await receiveList([booking('A1', '3', '12:00', '13:00'), booking('A2', '3', '10:30', '11:30')]);
+
+  assert.deepEqual(calls, ['Booking_Create:A1', 'Booking_Update:A1', 'Booking_Create:A2']);
+  assert.equal(service.conflictReview.get('A2'), null);
+});
+
+test('a Booking_Create still conflicting stays in review', async (t) => {
+  const { service, calls, receiveList } = setup(t);
+
+  await receiveList([booking('A1', '3', '10:00', '11:00')]);
+  await receiveList([booking('A1', '3', '10:00', '11:00'), booking('A2', '3', '10:30', '11:30')]);
+  await receiveList([booking('A1', '3', '10:00', '11:10'), booking('A2', '3', '10:30', '11:30')]);
+
+  assert.deepEqual(calls, ['Booking_Create:A1', 'Booking_Update:A1']);
+  assert.ok(service.conflictReview.get('A2'));
+});
+
+test('a Booking_Create held for an unmapped room is sent when the booking shows up with a mapped room', async (t) => {
+  const mapped = loadConfig({
+    env: { API_BASE_URL: 'http://localhost', STORE_ID: 'store-1' },
+    file: null,
+    overrides: { store: { roomMap: { 3: 'bay-3' } } }
+  });
+  const { service, calls, receiveList } = setup(t, mapped);
+
+  await receiveList([booking('A1', '9', '10:00', '11:00')]);
+  assert.equal(service.heldBookings.get('A1').reason, 'room');
+
+  await receiveList([booking('A1', '3', '10:00', '11:00')]);
+  assert.deepEqual(calls, ['Booking_Create:A1']);
+  assert.equal(service.heldBookings.get('A1'), null);
+});
+
+test('a Booking_Create without a customer phone number is sent with the number blank by default', async (t) => {
+  const { service, calls, receiveList } = setup(t);
+
+  await receiveList([{ ...booking('A1', '3', '10:00', '11:00'), phone: '' }]);
+  assert.deepEqual(calls, ['Booking_Create:A1']);
+  assert.equal(service.heldBookings.get('A1'), null);
+});
+
+test('a Booking_Create without a customer phone number is held when customer.holdMissingProfile is on', async (t) => {
+  const holding = loadConfig({
+    env: { API_BASE_URL: 'http://localhost', STORE_ID: 'store-1', CUSTOMER_HOLD_MISSING_PROFILE: 'true' },
+    file: null
+  });
+  const { service, calls, receiveList } = setup(t, holding);
+
+  await receiveList([{ ...booking('A1', '3', '10:00', '11:00'), phone: '' }]);
+  assert.deepEqual(calls, []);
+  assert.equal(service.heldBookings.get('A1').status, 'missing_phone');
+});
@@ -0,0 +1,136 @@
+// test/outboundQueue.test.js
+// 같은 예약의 작업 순서(생성 재시도 중 취소/변경)를 확인하는 테스트입니다.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OutboundQueue } = require('../src/services/outboundQueue');
+const { setTransport } = require('../src/utils/apiHelpers');
+const { loadConfig } = require('../src/config');
+
+const config = loadConfig({
+  env: { API_BASE_URL: 'http://localhost', STORE_ID: 'store-1' },
+  file: null,
+  overrides: { outbound: { baseDelayMs: 20, maxDelayMs: 20 } }
+});
+
+const createMaps = () => ({
+  storeId: 'store-1',
+  processedBookings: new Set(),
+  paymentAmounts: new Map(),
+  paymentStatus: new Map(),
+  sentBookings: new Map()
+});
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data: null } });
+
+// 24골프 예약 상태를 흉내 내는 전송 경로 (failures에 남은 응답 코드를 차례로 돌려줌)
+const fakeGolfApi = (failures = {}) => {
+  const calls = [];
+  const active = new Map();
+  const restore = setTransport({
+    sendTo24GolfApi: async (action, url, params, data) => {
+      const externalId = data?.externalId || params.externalId;
+      calls.push({ action, externalId, data });
+      const status = failures[action]?.shift();
+      if (status) throw httpError(status);
+      if (action === 'Booking_Create') active.set(externalId, { ...data });
+      if (action === 'Booking_Update') active.set(externalId, { ...active.get(externalId), ...data });
+      if (action === 'Booking_Cancel') {
+        if (!active.has(externalId)) throw httpError(404);
+        active.delete(externalId);
+      }
+      return { ok: true };
+    }
+  });
+  return { calls, active, restore };
+};
+
+const waitForEmpty = async (queue) => {
+  for (let i = 0; i < 100 && queue.size > 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test('Booking_Cancel drops a Booking_Create that is waiting to be retried', async (t) => {
+  const api = fakeGolfApi({ Booking_Create: [503] });
+  const queue = new OutboundQueue(createMaps(), { tokenManager: 'token', config });
+  t.after(() => { queue.stop(); api.restore(); });
+
+  const created = await queue.submit('Booking_Create', { externalId: 'B1', name: '홍길동' });
+  assert.equal(created.queued, true);
+
+  const canceled = await queue.submit('Booking_Cancel', { externalId: 'B1', canceledBy: 'App User' });
+  assert.equal(canceled.success, true);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.deepEqual(api.calls.map(call => call.action), ['Booking_Create']);
+  assert.equal(api.active.has('B1'), false);
+  assert.equal(queue.size, 0);
+  assert.deepEqual(queue.listDeadLetters(), []);
+});
+
+test('Booking_Cancel waits for a Booking_Create that is being sent', async (t) => {
+  const api = fakeGolfApi();
+  const queue = new OutboundQueue(createMaps(), { tokenManager: 'token', config });
+  t.after(() => { queue.stop(); api.restore(); });
+
+  const created = queue.submit('Booking_Create', { externalId: 'B1', name: '홍길동' });
+  const canceled = await queue.submit('Booking_Cancel', { externalId: 'B1', canceledBy: 'App User' });
+  assert.equal(canceled.queued, true);
+  assert.equal((await created).success, true);
+
+  await waitForEmpty(queue);
+  assert.deepEqual(api.calls.map(call => call.action), ['Booking_Create', 'Booking_Cancel']);
+  assert.equal(api.active.has('B1'), false);
+  assert.deepEqual(queue.listDeadLetters(), []);
+});
+
+test('Booking_Cancel is still sent when a Booking_Create may have reached 24Golf', async (t) => {
+  const api = fakeGolfApi();
+  const queue = new OutboundQueue(createMaps(), { tokenManager: 'token', config });
+  t.after(() => { queue.stop(); api.restore(); });
+
+  // 응답 없이 끊긴 전송 (24골프에 예약이 만들어졌는지 알 수 없음)
+  const restoreTimeout = setTransport({
+    sendTo24GolfApi: async (action, url, params, data) => {
+      api.calls.push({ action, externalId: data.externalId, data });
+      api.active.set(data.externalId, { ...data });
+      throw new Error('socket hang up');
+    }
+  });
+  await queue.submit('Booking_Create', { externalId: 'B1', name: '홍길동' });
+  restoreTimeout();
+
+  await queue.submit('Booking_Cancel', { externalId: 'B1', canceledBy: 'App User' });
+  await waitForEmpty(queue);
+  assert.deepEqual(api.calls.map(call => call.action), ['Booking_Create', 'Booking_Cancel']);
+  assert.equal(api.active.has('B1'), false);
+});
+
+test('Booking_Update is merged into a Booking_Create that is waiting to be retried', async (t) => {
+  const api = fakeGolfApi({ Booking_Create: [503] });
+  const queue = new OutboundQueue(createMaps(), { tokenManager: 'token', config });
+  t.after(() => { queue.stop(); api.restore(); });
+
+  await queue.submit('Booking_Create', { externalId: 'B1', startDate: '10:00' });
+  const updated = await queue.submit('Booking_Update', { externalId: 'B1', startDate: '11:00' });
+  assert.deepEqual(updated, { queued: true, jobId: 'Booking_Create:B1' });
+
+  await waitForEmpty(queue);
+  assert.deepEqual(api.calls.map(call => call.action), ['Booking_Create', 'Booking_Create']);
+  assert.equal(api.active.get('B1').startDate, '11:00');
+});
+
+test('Booking_Update waits for a Booking_Create that is being sent', async (t) => {
+  const api = fakeGolfApi();
+  const queue = new OutboundQueue(createMaps(), { tokenManager: 'token', config });
+  t.after(() => { queue.stop(); api.restore(); });
+
+  const created = queue.submit('Booking_Create', { externalId: 'B1', startDate: '10:00' });
+  const updated = await queue.submit('Booking_Update', { externalId: 'B1', startDate: '11:00' });
+  assert.equal(updated.queued, true);
+  await created;
+
+  await waitForEmpty(queue);
+  assert.deepEqual(api.calls.map(call => call.action), ['Booking_Create', 'Booking_Update']);
+  assert.equal(api.active.get('B1').startDate, '11:00');
+});
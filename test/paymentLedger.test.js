@@ -0,0 +1,42 @@
+// test/paymentLedger.test.js
+// 예약별 결제 합계(완납 여부, ID 없는 결제 중복)를 확인하는 테스트입니다.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PaymentLedger } = require('../src/services/paymentLedger');
+
+test('a booking with only its deposit paid is not finished', () => {
+  const ledger = new PaymentLedger({});
+  ledger.setBookingAmount('B1', 50000);
+
+  const totals = ledger.record('B1', { revenueId: 'R1', bookIdx: '10', amount: 10000, finished: true });
+  assert.equal(totals.finished, false);
+  assert.equal(totals.netAmount, 10000);
+
+  assert.equal(ledger.record('B1', { revenueId: 'R2', bookIdx: '10', amount: 40000, finished: true }).finished, true);
+});
+
+test('learning the booking amount after the payment recomputes the totals', () => {
+  const ledger = new PaymentLedger({});
+  const changes = [];
+  ledger.on('change', change => changes.push(change));
+
+  assert.equal(ledger.record('B1', { revenueId: 'R1', bookIdx: '10', amount: 10000, finished: true }).finished, true);
+  ledger.setBookingAmount('B1', 50000);
+
+  assert.equal(ledger.getTotals('B1').finished, false);
+  assert.equal(changes.length, 2);
+  assert.deepEqual(ledger.getPaymentInfo('B1', { amount: 50000, finished: false }), { amount: 10000, finished: false });
+});
+
+test('the same payment without an ID is counted once', () => {
+  const ledger = new PaymentLedger({});
+  const payment = { revenueId: null, bookIdx: '10', amount: 10000, finished: true, receivedAt: 1700000000000 };
+
+  ledger.record('B1', payment);
+  const totals = ledger.record('B1', { ...payment });
+  assert.equal(totals.paymentCount, 1);
+  assert.equal(totals.netAmount, 10000);
+
+  // 같은 금액이라도 따로 받은 결제는 분할 결제로 합산
+  assert.equal(ledger.record('B1', { ...payment, receivedAt: 1700000060000 }).netAmount, 20000);
+});
@@ -0,0 +1,54 @@
+// test/redact.test.js
+// 필드 규칙에 없는 고객 이름/전화번호 키(customer_name, phone_number, mobile 등)를 가리는지 확인하는 테스트입니다.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redact, redactBody } = require('../src/utils/redact');
+
+test('customer phone keys are masked wherever they appear', () => {
+  const redacted = redact({
+    phone_number: '010-1234-5678',
+    mobile: '01012345678',
+    cust_phone: '010-1234-5678',
+    mobilePhone: '010 1234 5678',
+    tel_no: '02-123-4567',
+    payment: { cust_tel: '010-1234-5678', hp: '010-9876-5432' }
+  });
+
+  assert.deepEqual(redacted, {
+    phone_number: '***-****-5678',
+    mobile: '*******5678',
+    cust_phone: '***-****-5678',
+    mobilePhone: '*** **** 5678',
+    tel_no: '**-***-4567',
+    payment: { cust_tel: '***-****-5678', hp: '***-****-5432' }
+  });
+});
+
+test('customer name keys are masked wherever they appear', () => {
+  const redacted = redact({
+    customer_name: '홍길동',
+    customerName: '홍길동',
+    results: [{ member_name: '김철수', first_name: 'Gildong', nickname: '길동' }]
+  });
+
+  assert.deepEqual(redacted, {
+    customer_name: '홍**',
+    customerName: '홍**',
+    results: [{ member_name: '김**', first_name: 'G******', nickname: '길*' }]
+  });
+});
+
+test('other name and flag keys are kept', () => {
+  const value = { room_name: '3번 룸', fileName: 'day1.jsonl', hotel: 'A', phone_verified: true, store_name: '강남점' };
+  assert.deepEqual(redact(value), value);
+});
+
+test('customer keys in a multipart body are masked', () => {
+  const body = '--b\r\nContent-Disposition: form-data; name="customer_name"\r\n\r\n홍길동\r\n'
+    + '--b\r\nContent-Disposition: form-data; name="bookingInfo"\r\n\r\n{"cust_phone":"010-1234-5678"}\r\n--b--';
+
+  const redacted = redactBody(body);
+  assert.match(redacted, /\r\n\r\n홍\*\*\r\n/);
+  assert.match(redacted, /"cust_phone":"\*\*\*-\*\*\*\*-5678"/);
+  assert.doesNotMatch(redacted, /길동|1234/);
+});
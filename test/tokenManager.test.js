@@ -0,0 +1,44 @@
+// test/tokenManager.test.js
+// 서비스에 넘긴 토큰과 매장 설정의 고정 토큰이 401을 받았을 때의 갱신 여부를 확인하는 테스트입니다.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const api = require('../src/utils/api');
+const { withAccessToken, getStoreTokenManager } = require('../src/utils/tokenManager');
+const { createMemoryMaps } = require('../src/services/storeContext');
+const BookingService = require('../src/services/bookingService');
+const { loadConfig } = require('../src/config');
+
+const config = loadConfig({ env: { API_BASE_URL: 'http://localhost', STORE_ID: 'store-1' }, file: null });
+
+const unauthorized = () => Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } });
+
+// 'fresh-token'만 받아 주는 요청
+const request = (tokens) => async (token) => {
+  tokens.push(token);
+  if (token !== 'fresh-token') throw unauthorized();
+  return { ok: true };
+};
+
+test('a token passed to a service constructor is refreshed after a 401', async (t) => {
+  t.mock.method(api, 'getAccessToken', async () => 'fresh-token');
+  const service = new BookingService(createMemoryMaps('store-1'), 'stale-token', { data: null, timestamp: 0 }, config);
+  t.after(() => service.outboundQueue.stop());
+
+  const tokens = [];
+  assert.deepEqual(await withAccessToken(service.tokenManager, request(tokens)), { ok: true });
+  assert.deepEqual(tokens, ['stale-token', 'fresh-token']);
+  assert.equal(api.getAccessToken.mock.callCount(), 1);
+});
+
+test('a store token from the configuration is not replaced with the shared account token', async (t) => {
+  t.mock.method(api, 'getAccessToken', async () => 'fresh-token');
+  const maps = createMemoryMaps('store-1');
+  getStoreTokenManager(maps, { id: 'store-1', accessToken: 'store-token' }, config);
+  const service = new BookingService(maps, 'store-token', { data: null, timestamp: 0 }, config);
+  t.after(() => service.outboundQueue.stop());
+
+  const tokens = [];
+  await assert.rejects(withAccessToken(service.tokenManager, request(tokens)), { response: { status: 401 } });
+  assert.deepEqual(tokens, ['store-token']);
+  assert.equal(api.getAccessToken.mock.callCount(), 0);
+});